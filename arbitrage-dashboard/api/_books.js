@@ -0,0 +1,192 @@
+/**
+ * Server-side orderbook loading (not a function: `_` files aren't deployed)
+ *
+ * Fetches books straight from the venues (no proxy) for the serverless
+ * scanner and the CLI, and builds the same price maps usePolling does:
+ *   { opinion: Map, poly: Map } keyed 'eventId-outcome' / 'eventId-outcome-NO'
+ *
+ * Polymarket tokens only come from confirmed (or pinned) outcome mappings,
+ * as in the dashboard: unconfirmed outcomes are reported as unmapped and
+ * need confirming in the browser (Markets -> Map Outcomes).
+ *
+ * Raw books are kept per venue and token ID, with the Polymarket token IDs
+ * they were fetched for, so they can be saved as a snapshot and priced
+ * again offline:
+ *   { takenAt, polyTokenIds: { [marketId]: { [outcome]: { yes, no } } },
+ *     opinion: { [tokenId]: { bids, asks } }, poly: { ... } }
+ */
+
+import { getConfirmedMappings } from '../src/utils/outcomeMapping.js';
+
+const OPINION_URL = 'https://proxy.opinion.trade:8443/openapi';
+const CLOB_URL = 'https://clob.polymarket.com';
+
+// Orderbook levels kept per side (same as the browser adapters)
+const BOOK_DEPTH = 10;
+
+/**
+ * Convert a raw book ({ price, size } strings) to the adapters' book format
+ * @param {Object} raw - { bids, asks }
+ * @param {number} timestamp - Quote time (ms)
+ */
+export function parseBook(raw, timestamp) {
+  const formatLevel = (level) => ({ price: parseFloat(level.price) || 0, size: parseFloat(level.size) || 0 });
+  const bids = (raw?.bids || []).map(formatLevel).sort((a, b) => b.price - a.price);
+  const asks = (raw?.asks || []).map(formatLevel).sort((a, b) => a.price - b.price);
+
+  const bid = bids[0]?.price || 0;
+  const ask = asks[0]?.price || 0;
+
+  return {
+    price: bid && ask ? (bid + ask) / 2 : (bid || ask || 0),
+    bid,
+    ask,
+    bids: bids.slice(0, BOOK_DEPTH),
+    asks: asks.slice(0, BOOK_DEPTH),
+    shares: asks[0]?.size || 0,
+    timestamp
+  };
+}
+
+/**
+ * Fetch a token's raw orderbook from its venue
+ * @param {string} venue - 'opinion' | 'poly'
+ * @param {string} tokenId - Token ID
+ * @param {Object} [options]
+ * @param {string} [options.opinionApiKey] - Opinion API key
+ * @returns {Promise<Object>} { bids, asks }
+ */
+export async function fetchRawBook(venue, tokenId, { opinionApiKey = '' } = {}) {
+  if (venue === 'poly') {
+    const res = await fetch(`${CLOB_URL}/book?token_id=${tokenId}`);
+    if (!res.ok) throw new Error(`Polymarket HTTP ${res.status}`);
+    const book = await res.json();
+    return { bids: book.bids || [], asks: book.asks || [] };
+  }
+
+  const res = await fetch(`${OPINION_URL}/token/orderbook?token_id=${tokenId}`, {
+    headers: {
+      'apikey': opinionApiKey,
+      'Content-Type': 'application/json',
+    },
+  });
+  if (!res.ok) throw new Error(`Opinion HTTP ${res.status}`);
+
+  // Opinion API uses 'errno' instead of 'code'
+  const data = await res.json();
+  const errorCode = data.errno ?? data.code;
+  if (errorCode !== 0 && errorCode !== undefined) {
+    throw new Error(data.errmsg || data.msg || 'Opinion API error');
+  }
+  return { bids: data.result?.bids || [], asks: data.result?.asks || [] };
+}
+
+/**
+ * Polymarket token IDs for every market, from confirmed mappings only
+ * @param {Array} markets - Market configs
+ * @returns {Object} { polyTokenIds: { [marketId]: { [outcome]: { yes, no, ... } } }, unmapped: ['marketId/outcome'] }
+ */
+export function resolvePolyTokens(markets) {
+  const polyTokenIds = {};
+  const unmapped = [];
+
+  for (const market of markets) {
+    const confirmed = getConfirmedMappings(market);
+    polyTokenIds[market.id] = confirmed;
+    unmapped.push(...(market.outcomes || []).filter(o => !confirmed[o]).map(o => `${market.id}/${o}`));
+  }
+
+  return { polyTokenIds, unmapped };
+}
+
+/**
+ * Every token to price: both sides of each outcome, on each venue
+ * Outcomes without Polymarket tokens are skipped (nothing to pair them with)
+ * @param {Array} markets - Market configs
+ * @param {Object} [polyTokenIds] - From resolvePolyTokens (default: confirmed mappings only)
+ * @returns {Array} [{ venue, tokenId, key }]
+ */
+export function listTokens(markets, polyTokenIds = null) {
+  const tokens = [];
+  for (const market of markets) {
+    const polyIds = polyTokenIds?.[market.id] || getConfirmedMappings(market);
+    for (const outcome of market.outcomes || []) {
+      if (!polyIds[outcome]?.yes && !polyIds[outcome]?.no) continue;
+      const venues = {
+        opinion: market.opinion?.tokenIds?.[outcome],
+        poly: polyIds[outcome]
+      };
+      for (const [venue, ids] of Object.entries(venues)) {
+        if (ids?.yes) tokens.push({ venue, tokenId: ids.yes, key: `${market.id}-${outcome}` });
+        if (ids?.no) tokens.push({ venue, tokenId: ids.no, key: `${market.id}-${outcome}-NO` });
+      }
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Build price maps from a snapshot
+ * @param {Array} markets - Market configs
+ * @param {Object} snapshot - { takenAt, polyTokenIds, opinion: { [tokenId]: raw }, poly: { ... } }
+ * @returns {Object} { opinion: Map, poly: Map }
+ */
+export function pricesFromSnapshot(markets, snapshot) {
+  const prices = { opinion: new Map(), poly: new Map() };
+  for (const { venue, tokenId, key } of listTokens(markets, snapshot.polyTokenIds)) {
+    const raw = snapshot[venue]?.[tokenId];
+    if (raw) prices[venue].set(key, parseBook(raw, snapshot.takenAt));
+  }
+  return prices;
+}
+
+/**
+ * Fetch every configured book, a batch at a time
+ * Failed fetches are logged and left out, but a venue with no tokens to
+ * price or no book loaded is an error: one venue alone can't be arbitraged.
+ * @param {Array} markets - Market configs
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] - Requests in flight at once (settings.maxRequestsPerBatch)
+ * @param {string} [options.opinionApiKey] - Opinion API key
+ * @returns {Promise<Object>} Snapshot { takenAt, polyTokenIds, unmapped, opinion, poly }
+ */
+export async function fetchSnapshot(markets, { batchSize = 10, opinionApiKey = '' } = {}) {
+  const { polyTokenIds, unmapped } = resolvePolyTokens(markets);
+  const snapshot = { takenAt: Date.now(), polyTokenIds, unmapped, opinion: {}, poly: {} };
+  const tokens = listTokens(markets, polyTokenIds);
+
+  // Polymarket first: without its tokens no outcome is listed at all
+  for (const venue of ['poly', 'opinion']) {
+    if (!tokens.some(t => t.venue === venue)) {
+      throw new Error(venue === 'poly'
+        ? 'No Polymarket tokens to price: no outcome has a confirmed mapping (Markets -> Map Outcomes)'
+        : 'No Opinion tokens to price: no mapped outcome has opinion.tokenIds');
+    }
+  }
+
+  for (let i = 0; i < tokens.length; i += batchSize) {
+    const batch = tokens.slice(i, i + batchSize);
+    const results = await Promise.allSettled(
+      batch.map(({ venue, tokenId }) => fetchRawBook(venue, tokenId, { opinionApiKey }))
+    );
+    results.forEach((result, j) => {
+      const { venue, tokenId } = batch[j];
+      if (result.status === 'fulfilled') {
+        snapshot[venue][tokenId] = result.value;
+      } else {
+        console.error(`Failed to fetch ${venue} book ${tokenId}:`, result.reason?.message);
+      }
+    });
+  }
+
+  for (const venue of ['opinion', 'poly']) {
+    if (Object.keys(snapshot[venue]).length === 0) {
+      throw new Error(`No ${venue === 'poly' ? 'Polymarket' : 'Opinion'} books loaded (every request failed)`);
+    }
+  }
+
+  snapshot.takenAt = Date.now();
+  return snapshot;
+}
+
+export default { parseBook, fetchRawBook, resolvePolyTokens, listTokens, pricesFromSnapshot, fetchSnapshot };
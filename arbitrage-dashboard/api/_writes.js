@@ -0,0 +1,44 @@
+/**
+ * Order-write guard for the venue proxies (not a function: `_` files aren't deployed)
+ *
+ * Reads are public market data and stay open to any origin. Writes (order
+ * POST / DELETE from api/orders.js) must come from the dashboard itself:
+ * the request's Origin has to be this deployment's or one listed in
+ * ALLOWED_ORIGINS (comma-separated), and only that origin may read the
+ * answer. Writes are always authenticated with the caller's own credentials.
+ */
+
+/**
+ * Whether a request writes (anything but GET / HEAD)
+ */
+export function isWrite(request) {
+  return request.method !== 'GET' && request.method !== 'HEAD';
+}
+
+/**
+ * Check a write request's origin
+ * @param {Request} request
+ * @returns {string|null} The allowed origin, or null if the write must be refused
+ */
+export function allowedWriteOrigin(request) {
+  const origin = request.headers.get('origin');
+  if (!origin) return null;
+
+  const allowed = (process.env.ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+  return origin === new URL(request.url).origin || allowed.includes(origin) ? origin : null;
+}
+
+/**
+ * JSON error response for a refused write
+ */
+export function refuseWrite(status, error) {
+  return new Response(JSON.stringify({ error }), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+export default { isWrite, allowedWriteOrigin, refuseWrite };
@@ -1,8 +1,12 @@
 /**
  * Vercel Serverless Function - Opinion API Proxy
- * Proxies requests to Opinion API with API key from environment
+ * Proxies read requests to Opinion API with API key from environment.
+ * Order writes are only accepted from the dashboard's own origin and must
+ * carry the user's own `apikey` header; the server key is never used for them.
  */
 
+import { isWrite, allowedWriteOrigin, refuseWrite } from './_writes.js';
+
 export const config = {
   runtime: 'edge',
 };
@@ -24,13 +28,26 @@ export default async function handler(request) {
     }
   });
 
+  // Order requests (api/orders.js) carry a body and the user's own key
+  const write = isWrite(request);
+  let allowOrigin = '*';
+  // Reads use the caller's key when it sends one (its own orders), else the server's
+  let apiKey = request.headers.get('apikey') || process.env.OPINION_API_KEY || '';
+  if (write) {
+    allowOrigin = allowedWriteOrigin(request);
+    if (!allowOrigin) return refuseWrite(403, 'Order requests are only accepted from the dashboard');
+    apiKey = request.headers.get('apikey');
+    if (!apiKey) return refuseWrite(401, 'Order requests need your Opinion API key');
+  }
+
   try {
     const response = await fetch(targetUrl.toString(), {
       method: request.method,
       headers: {
-        'apikey': process.env.OPINION_API_KEY || '',
+        'apikey': apiKey,
         'Content-Type': 'application/json',
       },
+      body: write ? await request.text() : undefined,
     });
 
     const data = await response.text();
@@ -39,7 +56,7 @@ export default async function handler(request) {
       status: response.status,
       headers: {
         'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Origin': allowOrigin,
       },
     });
   } catch (error) {
@@ -47,7 +64,7 @@ export default async function handler(request) {
       status: 500,
       headers: {
         'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Origin': allowOrigin,
       },
     });
   }
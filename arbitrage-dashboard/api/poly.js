@@ -1,8 +1,11 @@
 /**
  * Vercel Serverless Function - Polymarket CLOB API Proxy
- * Proxies requests to Polymarket CLOB API (orderbook)
+ * Proxies requests to Polymarket CLOB API (orderbook). Order writes are only
+ * accepted from the dashboard's own origin, with the user's L2 auth headers.
  */
 
+import { isWrite, allowedWriteOrigin, refuseWrite } from './_writes.js';
+
 export const config = {
   runtime: 'edge',
 };
@@ -24,12 +27,24 @@ export default async function handler(request) {
     }
   });
 
+  // Order requests (api/orders.js) carry a body and CLOB L2 auth headers
+  const headers = { 'Content-Type': 'application/json' };
+  request.headers.forEach((value, key) => {
+    if (key.toLowerCase().startsWith('poly_')) headers[key.toUpperCase()] = value;
+  });
+  const write = isWrite(request);
+  let allowOrigin = '*';
+  if (write) {
+    allowOrigin = allowedWriteOrigin(request);
+    if (!allowOrigin) return refuseWrite(403, 'Order requests are only accepted from the dashboard');
+    if (!headers.POLY_API_KEY) return refuseWrite(401, 'Order requests need your Polymarket API credentials');
+  }
+
   try {
     const response = await fetch(targetUrl.toString(), {
       method: request.method,
-      headers: {
-        'Content-Type': 'application/json',
-      },
+      headers,
+      body: write ? await request.text() : undefined,
     });
 
     const data = await response.text();
@@ -38,7 +53,7 @@ export default async function handler(request) {
       status: response.status,
       headers: {
         'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Origin': allowOrigin,
       },
     });
   } catch (error) {
@@ -46,7 +61,7 @@ export default async function handler(request) {
       status: 500,
       headers: {
         'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Origin': allowOrigin,
       },
     });
   }
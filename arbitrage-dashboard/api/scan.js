@@ -0,0 +1,238 @@
+/**
+ * Vercel Serverless Function - Scheduled Arbitrage Scanner
+ * Runs the dashboard's arbitrage engine against the configured markets (vercel.json cron) and
+ * POSTs matching opportunities to webhooks, so alerts fire without the
+ * dashboard open.
+ *
+ * Environment:
+ *   WEBHOOK_URLS     Comma-separated targets; prefix `chat:` for Slack-style { text }
+ *                    messages (Discord accepts these on its /slack endpoint), plain
+ *                    URLs get the generic JSON payload
+ *   WEBHOOK_SECRET   HMAC-SHA256 key for the X-Arb-Signature header (required
+ *                    when WEBHOOK_URLS is set - runs fail with a 500 without it)
+ *   ALERT_RULES      JSON overrides of DEFAULT_ALERT_RULES (position rules are
+ *                    ignored - the scanner doesn't know your positions)
+ *   OPINION_API_KEY  Opinion API key
+ *   CRON_SECRET      If set, requests need `Authorization: Bearer <CRON_SECRET>`
+ *
+ * Outcomes are only scanned through their confirmed Polymarket mapping in
+ * src/config/markets.js (api/_books.js); the rest are skipped and counted in
+ * `warnings`.
+ * A run that loads no books on either venue fails with a 500.
+ *
+ * Delivery is signed as HMAC-SHA256(`${timestamp}.${body}`) and every alert
+ * carries an `id` that is stable within its cooldown window, so receivers can
+ * drop duplicates from overlapping runs, retries or cold starts.
+ * GET /api/scan?test=1 sends a test alert.
+ */
+
+import { config as appConfig } from '../src/config/markets.js';
+import { findOpportunities } from '../src/utils/arbitrage.js';
+import { DEFAULT_ALERT_RULES, alertKey, selectAlerts } from '../src/utils/alerts.js';
+import { fetchSnapshot, pricesFromSnapshot } from './_books.js';
+
+export const config = {
+  runtime: 'edge',
+};
+
+// alertKey -> { at, signal } of the last alert (survives warm invocations only;
+// alert ids cover the rest)
+const history = new Map();
+
+/**
+ * Alert rules from ALERT_RULES (defaults otherwise)
+ */
+function loadRules() {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.ALERT_RULES || '{}');
+  } catch (error) {
+    console.error('Invalid ALERT_RULES, using defaults:', error);
+  }
+  return { ...DEFAULT_ALERT_RULES, ...overrides, enabled: true, position: 'any' };
+}
+
+/**
+ * Webhook targets from WEBHOOK_URLS
+ * @returns {Array} [{ url, format: 'json' | 'chat' }]
+ */
+function loadWebhooks() {
+  return (process.env.WEBHOOK_URLS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => entry.startsWith('chat:')
+      ? { url: entry.slice(5), format: 'chat' }
+      : { url: entry, format: 'json' });
+}
+
+/**
+ * Hex SHA-256 digest
+ */
+async function sha256(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hex HMAC-SHA256 signature of `${timestamp}.${body}`
+ */
+async function sign(secret, timestamp, body) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`));
+  return [...new Uint8Array(signature)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Build the alert record sent to webhooks
+ * The id only changes with the cooldown window or a signal change, so repeated
+ * runs within one window produce the same id.
+ */
+async function toAlert(opp, rules, now) {
+  const key = alertKey(opp);
+  const bucket = Math.floor(now / Math.max(rules.cooldown, 1));
+  const { strategyDetails: details } = opp;
+
+  return {
+    id: (await sha256(`${key}|${opp.signal}|${bucket}`)).slice(0, 32),
+    key,
+    signal: opp.signal,
+    eventId: opp.eventId,
+    eventName: opp.eventName,
+    eventType: opp.eventType,
+    outcome: opp.outcome,
+    direction: opp.bestStrategyType,
+    profitPct: opp.netProfit,
+    profit: details.profit,
+    shares: details.shares,
+    cost: details.totalCost,
+    opinionAvgPrice: details.opinionAvgPrice,
+    polyAvgPrice: details.polyAvgPrice,
+    opinionUrl: opp.opinionUrl,
+    polyUrl: opp.polyUrl
+  };
+}
+
+/**
+ * One line per alert for chat webhooks
+ */
+function formatChatLine(alert) {
+  const legs = alert.direction === 'opinion-yes'
+    ? `Opinion YES @ ${(alert.opinionAvgPrice * 100).toFixed(1)}¢ + Poly NO @ ${(alert.polyAvgPrice * 100).toFixed(1)}¢`
+    : `Poly YES @ ${(alert.polyAvgPrice * 100).toFixed(1)}¢ + Opinion NO @ ${(alert.opinionAvgPrice * 100).toFixed(1)}¢`;
+  return `*${alert.signal}* ${alert.eventName} / ${alert.outcome}: +${(alert.profitPct * 100).toFixed(2)}% ` +
+    `($${alert.profit.toFixed(2)} on ${Math.floor(alert.shares)} shares) - ${legs}`;
+}
+
+/**
+ * POST alerts to every webhook, signed
+ * @param {string} secret - WEBHOOK_SECRET (the handler refuses to run without it)
+ * @returns {Promise<Array>} [{ url, status } | { url, error }]
+ */
+async function deliver(webhooks, alerts, secret, now) {
+  const timestamp = String(Math.floor(now / 1000));
+
+  return Promise.all(webhooks.map(async ({ url, format }) => {
+    const body = JSON.stringify(format === 'chat'
+      ? { text: alerts.map(formatChatLine).join('\n') }
+      : { type: 'arbitrage.alerts', sentAt: new Date(now).toISOString(), alerts });
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Arb-Timestamp': timestamp,
+      'X-Arb-Alert-Ids': alerts.map(a => a.id).join(','),
+      'X-Arb-Signature': `sha256=${await sign(secret, timestamp, body)}`,
+    };
+
+    try {
+      const res = await fetch(url, { method: 'POST', headers, body });
+      return { url, status: res.status };
+    } catch (error) {
+      console.error(`Webhook delivery failed (${url}):`, error);
+      return { url, error: error.message };
+    }
+  }));
+}
+
+export default async function handler(request) {
+  const url = new URL(request.url);
+
+  const cronSecret = process.env.CRON_SECRET;
+  if (cronSecret && request.headers.get('authorization') !== `Bearer ${cronSecret}`) {
+    return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+      status: 401,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  const webhooks = loadWebhooks();
+  const rules = loadRules();
+  const now = Date.now();
+
+  // Never send unsigned alerts: receivers can't tell them from forged ones
+  const secret = process.env.WEBHOOK_SECRET;
+  if (webhooks.length > 0 && !secret) {
+    return new Response(JSON.stringify({ error: 'WEBHOOK_SECRET is not set; refusing to deliver unsigned alerts' }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  try {
+    let alerts;
+    let scanned = 0;
+    let books = null;
+    const warnings = [];
+
+    if (url.searchParams.get('test')) {
+      alerts = [{
+        id: `test-${now}`,
+        key: 'test',
+        signal: 'HOT',
+        eventId: 'test',
+        eventName: 'Test',
+        eventType: 'Other',
+        outcome: 'Webhook delivery',
+        direction: 'opinion-yes',
+        profitPct: 0.05,
+        profit: 5,
+        shares: 100,
+        cost: 95,
+        opinionAvgPrice: 0.45,
+        polyAvgPrice: 0.5,
+        opinionUrl: null,
+        polyUrl: null
+      }];
+    } else {
+      const { markets, settings } = appConfig;
+      const snapshot = await fetchSnapshot(markets, {
+        batchSize: settings.maxRequestsPerBatch,
+        opinionApiKey: process.env.OPINION_API_KEY || ''
+      });
+      books = { opinion: Object.keys(snapshot.opinion).length, poly: Object.keys(snapshot.poly).length };
+      if (snapshot.unmapped.length > 0) {
+        warnings.push(`${snapshot.unmapped.length} outcomes have no confirmed Polymarket mapping and were skipped`);
+      }
+
+      const opportunities = findOpportunities(pricesFromSnapshot(markets, snapshot), markets, settings, { now: snapshot.takenAt });
+      scanned = opportunities.length;
+      const selected = selectAlerts(opportunities, rules, history, now);
+      alerts = await Promise.all(selected.map(opp => toAlert(opp, rules, now)));
+    }
+
+    const deliveries = alerts.length > 0 && webhooks.length > 0
+      ? await deliver(webhooks, alerts, secret, now)
+      : [];
+
+    return new Response(JSON.stringify({ scanned, books, warnings, alerts: alerts.map(a => a.id), deliveries }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+}
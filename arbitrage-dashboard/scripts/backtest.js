@@ -0,0 +1,188 @@
+/**
+ * Backtest signal thresholds and sizing rules on recorded captures
+ *
+ * Replays one or more capture files (● Rec in the dashboard) through
+ * src/utils/backtest.js and prints a report per rule set.
+ *
+ * Usage:
+ *   npm run backtest -- books-2026-10-19T09-00.jsonl.gz [more captures...]
+ *   npm run backtest -- capture.jsonl.gz --thresholds 0.01,0.02,0.03 --latency 1500 --fill 0.5 --max-size 500
+ *   npm run backtest -- capture.jsonl.gz --rules rules.json --json
+ *
+ * --thresholds  GO thresholds to compare (one rule set each; default: config.settings)
+ * --min-signal  Enter on GO (default) or only on HOT
+ * --latency     Signal -> execution delay in ms (default 0)
+ * --fill        Share of each displayed ask level filled, 0-1 (default 1)
+ * --max-size    Max $ per entry, fees included (default: no cap)
+ * --max-shares  Max shares per entry (default: no cap)
+ * --exit        Min exit price sum (default 0.98, as usePositions)
+ * --rules       JSON array of rule sets instead of the flags above, e.g.
+ *               [{ "name": "2% fast", "minSpreadAlert": 0.02, "latency": 500, "fillRatio": 0.5 }]
+ * --step        Min capture time between evaluations in ms (default 1000)
+ * --markets     JSON array of market configs instead of the first capture's header
+ * --json        Print the reports as JSON (one per line)
+ * --trades      Also write every simulated trade to this CSV file
+ */
+
+import { openAsBlob } from 'node:fs';
+import { readFile, writeFile } from 'node:fs/promises';
+import { config } from '../src/config/markets.js';
+import { readCapture } from '../src/utils/capture.js';
+import { runBacktest } from '../src/utils/backtest.js';
+import { formatPct, formatAge } from '../src/utils/format.js';
+
+// Flags that take no value
+const BOOLEAN_FLAGS = ['json'];
+
+/**
+ * Parse --name value pairs, boolean flags and positional arguments from argv
+ */
+function parseArgs(argv) {
+  const args = { files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      args.files.push(argv[i]);
+      continue;
+    }
+    const name = argv[i].slice(2);
+    if (BOOLEAN_FLAGS.includes(name)) {
+      args[name] = true;
+    } else {
+      args[name] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+/**
+ * Optional numeric flag
+ */
+function numberArg(name, fallback) {
+  if (args[name] === undefined) return fallback;
+  const value = parseFloat(args[name]);
+  if (!Number.isFinite(value)) throw new Error(`--${name} must be a number`);
+  return value;
+}
+
+/**
+ * Rule sets: --rules file, or one per --thresholds entry sharing the other flags
+ */
+async function loadRules() {
+  if (args.rules) {
+    const rules = JSON.parse(await readFile(args.rules, 'utf8'));
+    if (!Array.isArray(rules) || rules.length === 0) throw new Error(`${args.rules} is not an array of rule sets`);
+    return rules.map((rule, i) => ({ name: `rule ${i + 1}`, ...rule }));
+  }
+
+  const shared = {
+    minSignal: (args['min-signal'] || 'GO').toUpperCase(),
+    latency: numberArg('latency', 0),
+    fillRatio: numberArg('fill', 1),
+    maxSize: numberArg('max-size', 0),
+    maxShares: numberArg('max-shares', 0),
+    exitThreshold: numberArg('exit', 0.98)
+  };
+  const thresholds = args.thresholds
+    ? args.thresholds.split(',').map(parseFloat).filter(Number.isFinite)
+    : [config.settings.minSpreadAlert];
+
+  return thresholds.map(threshold => ({
+    ...shared,
+    name: `> ${formatPct(threshold, false)}`,
+    minSpreadAlert: threshold,
+    // Keep HOT above GO when sweeping GO past the configured HOT threshold
+    hotSpreadThreshold: Math.max(config.settings.hotSpreadThreshold, threshold)
+  }));
+}
+
+/**
+ * Events of all captures (merged by time) and the markets to price
+ */
+async function loadCaptures() {
+  const captures = [];
+  for (const file of args.files) {
+    captures.push(await readCapture(await openAsBlob(file)));
+  }
+
+  const markets = args.markets
+    ? JSON.parse(await readFile(args.markets, 'utf8'))
+    : captures[0].header.markets;
+  if (!Array.isArray(markets)) throw new Error('Markets are not an array of market configs');
+
+  const events = captures.flatMap(capture => capture.events).sort((a, b) => a.t - b.t);
+  return { markets, events };
+}
+
+const money = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+
+/**
+ * Print the reports as an aligned table
+ */
+function printTable(results, events) {
+  const rows = results.map(({ report }) => [
+    report.name,
+    report.signals.toString(),
+    report.entries.toString(),
+    (report.missed.book + report.missed.depth + report.missed.edge).toString(),
+    report.exits.toString(),
+    report.held.toString(),
+    report.avgFill === null ? '-' : formatPct(report.avgFill, false),
+    money(report.realisedPnl),
+    money(report.settlementPnl),
+    money(report.totalPnl),
+    money(report.peakCapital),
+    money(report.avgCapital),
+    `${report.turnover.toFixed(2)}x`,
+    formatPct(report.returnOnPeak)
+  ]);
+  const header = ['Rule', 'Signals', 'Entries', 'Missed', 'Exits', 'Held', 'Fill', 'Realised', 'Settle', 'Total', 'Peak cap', 'Avg cap', 'Turnover', 'Return'];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+  const line = (cells) => cells.map((c, i) => (i >= 1 ? c.padStart(widths[i]) : c.padEnd(widths[i]))).join('  ');
+
+  const span = events.length > 0 ? events.at(-1).t - events[0].t : 0;
+  console.log(`\n${events.length} books over ${formatAge(span)} - ${results.length} rule sets`);
+  console.log(line(header));
+  console.log(widths.map(w => '-'.repeat(w)).join('  '));
+  rows.forEach(row => console.log(line(row)));
+  console.log('\nRealised = closed on the exit criterion; Settle = held to settlement at $1 per pair.');
+}
+
+/**
+ * Write every simulated trade as CSV
+ */
+async function writeTrades(results, file) {
+  const columns = ['rule', 'eventId', 'outcome', 'direction', 'signalAt', 'enteredAt', 'exitedAt', 'settled', 'shares', 'plannedShares', 'cost', 'proceeds', 'pnl'];
+  const escape = (value) => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value ?? ''));
+  const lines = [columns.join(',')];
+  for (const { rule, trades } of results) {
+    for (const trade of trades) {
+      lines.push(columns.map(column => escape(column === 'rule' ? rule.name : trade[column])).join(','));
+    }
+  }
+  await writeFile(file, `${lines.join('\n')}\n`);
+}
+
+async function main() {
+  if (args.files.length === 0) {
+    throw new Error('Usage: npm run backtest -- <capture.jsonl.gz> [...] [--thresholds 0.01,0.02] [--rules rules.json]');
+  }
+
+  const rules = await loadRules();
+  const { markets, events } = await loadCaptures();
+  const results = runBacktest(events, markets, config.settings, rules, { step: numberArg('step', 1000) });
+
+  if (args.json) {
+    results.forEach(({ rule, report }) => console.log(JSON.stringify({ rule, ...report })));
+  } else {
+    printTable(results, events);
+  }
+  if (args.trades) await writeTrades(results, args.trades);
+}
+
+main().catch((error) => {
+  console.error('Backtest failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,52 @@
+/**
+ * Inline the fee registry into the standalone calculator (../../index.html)
+ *
+ * The calculator is opened straight from disk (file://), where browsers
+ * refuse ES module imports, so it can't load src/config/fees.js itself.
+ * This writes the registry and the fee functions it uses into the page's
+ * generated <script> block. Re-run it after changing config/fees.js.
+ *
+ * Usage:
+ *   npm run calculator:fees
+ *   npm run calculator:fees -- --check   (exit 1 if the page is out of date)
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { feeSchedules } from '../src/config/fees.js';
+import { getFeeModel, calcFeeRate, calcFillFee } from '../src/utils/fees.js';
+
+const PAGE = fileURLToPath(new URL('../../index.html', import.meta.url));
+const BEGIN = '<!-- BEGIN generated fees (arbitrage-dashboard: npm run calculator:fees) -->';
+const END = '<!-- END generated fees -->';
+const INDENT = '    ';
+
+// Indent a block of code (blank lines stay empty)
+const indent = (text) => text.replace(/\n(?!\n)/g, `\n${INDENT}`);
+
+const script = [
+  '<script>',
+  '    // Generated from arbitrage-dashboard/src/config/fees.js and src/utils/fees.js - do not edit',
+  `${INDENT}const feeSchedules = ${indent(JSON.stringify(feeSchedules, null, 4))};`,
+  ...[getFeeModel, calcFeeRate, calcFillFee].map(fn => `${INDENT}${indent(fn.toString())}`),
+  '</script>'
+].join('\n');
+
+const page = readFileSync(PAGE, 'utf8');
+const start = page.indexOf(BEGIN);
+const end = page.indexOf(END);
+if (start < 0 || end < start) {
+  console.error(`No generated fees block in ${PAGE}`);
+  process.exit(1);
+}
+
+const next = `${page.slice(0, start + BEGIN.length)}\n${INDENT}${indent(script)}\n${INDENT}${page.slice(end)}`;
+
+if (process.argv.includes('--check')) {
+  const current = next === page;
+  console.log(current ? 'Calculator fees are up to date' : 'Calculator fees are out of date - run npm run calculator:fees');
+  process.exitCode = current ? 0 : 1;
+} else {
+  writeFileSync(PAGE, next);
+  console.log(`Wrote fee registry into ${PAGE}`);
+}
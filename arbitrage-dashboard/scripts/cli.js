@@ -0,0 +1,175 @@
+/**
+ * Headless arbitrage scanner
+ *
+ * Prices the configured markets with the dashboard's engine
+ * (src/utils/arbitrage.js) and prints a table or JSON lines.
+ *
+ * Usage:
+ *   OPINION_API_KEY=... npm run cli -- [--watch 10] [--json] [--all]
+ *   npm run cli -- --save-books books.json     # also write the fetched books
+ *   npm run cli -- --books books.json          # offline: price a saved snapshot
+ *
+ * --watch      Rescan every N seconds (re-reads --books each time)
+ * --json       One JSON object per opportunity and line
+ * --all        Include outcomes without a GO/HOT signal
+ * --markets    JSON array of market configs instead of src/config/markets.js,
+ *              e.g. the browser registry: copy(localStorage['arbitrage-market-registry'])
+ *
+ * Node loads src/ without a bundler here, so the modules shared with it
+ * (and with api/scan.js, scripts/backtest.js, scripts/calculator-fees.js)
+ * import each other with explicit `.js` extensions. Browser-only modules
+ * keep extensionless imports.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { config } from '../src/config/markets.js';
+import { findOpportunities, sortOpportunities } from '../src/utils/arbitrage.js';
+import { formatPct, formatPrice } from '../src/utils/format.js';
+import { fetchSnapshot, pricesFromSnapshot } from '../api/_books.js';
+
+// Flags that take no value
+const BOOLEAN_FLAGS = ['json', 'all'];
+
+/**
+ * Parse --name value pairs (and boolean flags) from argv
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const name = argv[i].slice(2);
+    if (BOOLEAN_FLAGS.includes(name)) {
+      args[name] = true;
+    } else {
+      args[name] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const WATCH_MS = args.watch ? parseFloat(args.watch) * 1000 : 0;
+
+/**
+ * Market configs (--markets file or the static config)
+ */
+async function loadMarkets() {
+  if (!args.markets) return config.markets;
+  const markets = JSON.parse(await readFile(args.markets, 'utf8'));
+  if (!Array.isArray(markets)) throw new Error(`${args.markets} is not an array of markets`);
+  return markets;
+}
+
+/**
+ * Books to price: a saved snapshot (--books) or a live fetch
+ */
+async function loadSnapshot(markets) {
+  if (args.books) {
+    return JSON.parse(await readFile(args.books, 'utf8'));
+  }
+
+  const snapshot = await fetchSnapshot(markets, {
+    batchSize: config.settings.maxRequestsPerBatch,
+    opinionApiKey: process.env.OPINION_API_KEY || ''
+  });
+  if (snapshot.unmapped.length > 0) {
+    console.error(`${snapshot.unmapped.length} outcomes have no confirmed Polymarket mapping and are skipped (confirm them in Markets -> Map Outcomes)`);
+  }
+  if (args['save-books']) {
+    await writeFile(args['save-books'], JSON.stringify(snapshot));
+  }
+  return snapshot;
+}
+
+/**
+ * Legs of an opportunity, e.g. "Op YES 41.0¢ + Poly NO 55.0¢"
+ */
+function formatLegs(opp) {
+  const { isBuyOpinionYes, opinionAvgPrice, polyAvgPrice } = opp.strategyDetails;
+  return isBuyOpinionYes
+    ? `Op YES ${formatPrice(opinionAvgPrice)} + Poly NO ${formatPrice(polyAvgPrice)}`
+    : `Poly YES ${formatPrice(polyAvgPrice)} + Op NO ${formatPrice(opinionAvgPrice)}`;
+}
+
+/**
+ * Print opportunities as an aligned table
+ */
+function printTable(opportunities, takenAt) {
+  const rows = opportunities.map(opp => [
+    opp.signal,
+    `${opp.eventName} / ${opp.outcome}`.slice(0, 48),
+    formatLegs(opp),
+    formatPct(opp.netProfit),
+    `$${opp.strategyDetails.profit.toFixed(2)}`,
+    Math.floor(opp.strategyDetails.shares).toString(),
+    `$${opp.strategyDetails.totalCost.toFixed(2)}`
+  ]);
+  const header = ['Signal', 'Market / Outcome', 'Legs', 'Profit %', 'Profit', 'Shares', 'Cost'];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+  const line = (cells) => cells.map((c, i) => (i >= 3 ? c.padStart(widths[i]) : c.padEnd(widths[i]))).join('  ');
+
+  console.log(`\n${new Date(takenAt).toLocaleString()} - ${opportunities.length} opportunities`);
+  if (rows.length === 0) return;
+  console.log(line(header));
+  console.log(widths.map(w => '-'.repeat(w)).join('  '));
+  rows.forEach(row => console.log(line(row)));
+}
+
+/**
+ * Print one JSON object per opportunity
+ */
+function printJsonLines(opportunities, takenAt) {
+  for (const opp of opportunities) {
+    const details = opp.strategyDetails;
+    console.log(JSON.stringify({
+      t: takenAt,
+      eventId: opp.eventId,
+      outcome: opp.outcome,
+      signal: opp.signal,
+      direction: opp.bestStrategyType,
+      profitPct: opp.netProfit,
+      profit: details.profit,
+      shares: details.shares,
+      cost: details.totalCost,
+      opinionAvgPrice: details.opinionAvgPrice,
+      polyAvgPrice: details.polyAvgPrice,
+      stale: opp.quoteAge.isStale || opp.quoteAge.isSkewed
+    }));
+  }
+}
+
+/**
+ * Scan once and print
+ */
+async function scan() {
+  const markets = await loadMarkets();
+  const snapshot = await loadSnapshot(markets);
+
+  // Quote ages are measured at the snapshot time, so saved books aren't stale
+  const opportunities = findOpportunities(pricesFromSnapshot(markets, snapshot), markets, config.settings, {
+    now: snapshot.takenAt
+  });
+  const shown = sortOpportunities(args.all ? opportunities : opportunities.filter(o => o.signal !== 'NONE'));
+
+  if (args.json) {
+    printJsonLines(shown, snapshot.takenAt);
+  } else {
+    printTable(shown, snapshot.takenAt);
+  }
+}
+
+/**
+ * Scan, then schedule the next scan with --watch (never overlapping)
+ */
+async function run() {
+  try {
+    await scan();
+  } catch (error) {
+    console.error('Scan failed:', error.message);
+    if (WATCH_MS === 0) process.exitCode = 1;
+  }
+  if (WATCH_MS > 0) setTimeout(run, WATCH_MS);
+}
+
+run();
@@ -0,0 +1,212 @@
+/**
+ * Mock orderbook stream server
+ *
+ * Speaks the same market-channel protocol as src/api/bookStream.js so the
+ * streaming feed can be tested without the network. Every subscribed token
+ * gets a random book snapshot, then random-walk price_change deltas, with a
+ * subscription heartbeat every HEARTBEAT_MS (keeps unchanged books current).
+ *
+ * Usage:
+ *   npm run mock:books -- [--port 8787] [--tick 500] [--drop-after 60]
+ *   VITE_POLY_WS_URL=ws://localhost:8787 VITE_OPINION_WS_URL=ws://localhost:8787 npm run dev
+ *
+ * --drop-after closes every connection after N seconds to exercise the
+ * REST fallback and reconnect path.
+ */
+
+import { WebSocketServer } from 'ws';
+
+/**
+ * Parse --name value pairs from argv
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const PORT = parseInt(args.port || process.env.PORT || '8787', 10);
+const TICK_MS = parseInt(args.tick || '500', 10);
+const DROP_AFTER = args['drop-after'] ? parseFloat(args['drop-after']) * 1000 : 0;
+
+// Heartbeat interval (ms)
+const HEARTBEAT_MS = 5000;
+
+// Shared books so every client sees the same market (tokenId -> { bids, asks })
+const books = new Map();
+
+/**
+ * Round to a 0.1¢ tick
+ */
+function roundPrice(p) {
+  return Math.round(p * 1000) / 1000;
+}
+
+/**
+ * Create a random book around a random mid price
+ */
+function createBook() {
+  const mid = 0.05 + Math.random() * 0.9;
+  const bids = new Map();
+  const asks = new Map();
+
+  for (let i = 1; i <= 8; i++) {
+    const bid = roundPrice(mid - i * 0.005);
+    const ask = roundPrice(mid + i * 0.005);
+    if (bid > 0) bids.set(bid, Math.round(50 + Math.random() * 950));
+    if (ask < 1) asks.set(ask, Math.round(50 + Math.random() * 950));
+  }
+
+  return { bids, asks };
+}
+
+/**
+ * Serialize one side of a book as [{ price, size }] strings (like the CLOB)
+ */
+function levelsToWire(levels) {
+  return [...levels].map(([price, size]) => ({ price: String(price), size: String(size) }));
+}
+
+/**
+ * Mutate a random level of a book and return the resulting change
+ */
+function randomChange(tokenId) {
+  const book = books.get(tokenId);
+  const isBid = Math.random() < 0.5;
+  const levels = isBid ? book.bids : book.asks;
+  const prices = [...levels.keys()];
+  if (prices.length === 0) return null;
+
+  const best = isBid ? Math.max(...prices) : Math.min(...prices);
+  const roll = Math.random();
+  let price;
+  let size;
+
+  if (roll < 0.2) {
+    // Remove a level
+    price = prices[Math.floor(Math.random() * prices.length)];
+    size = 0;
+  } else if (roll < 0.4) {
+    // Improve the best price by one tick
+    price = roundPrice(isBid ? best + 0.001 : best - 0.001);
+    size = Math.round(20 + Math.random() * 300);
+  } else {
+    // Resize an existing level
+    price = prices[Math.floor(Math.random() * prices.length)];
+    size = Math.round(20 + Math.random() * 1000);
+  }
+
+  // Never cross the book
+  const opposite = isBid ? [...book.asks.keys()] : [...book.bids.keys()];
+  if (size > 0 && opposite.length > 0) {
+    const oppositeBest = isBid ? Math.min(...opposite) : Math.max(...opposite);
+    if (isBid ? price >= oppositeBest : price <= oppositeBest) return null;
+  }
+  if (price <= 0 || price >= 1) return null;
+
+  if (size === 0) {
+    levels.delete(price);
+  } else {
+    levels.set(price, size);
+  }
+
+  return {
+    asset_id: tokenId,
+    price: String(price),
+    size: String(size),
+    side: isBid ? 'BUY' : 'SELL'
+  };
+}
+
+const server = new WebSocketServer({ port: PORT });
+
+server.on('connection', (socket) => {
+  let subscribed = [];
+
+  socket.on('message', (raw) => {
+    const text = raw.toString();
+    if (text === 'PING') {
+      socket.send('PONG');
+      return;
+    }
+
+    let msg;
+    try {
+      msg = JSON.parse(text);
+    } catch {
+      return;
+    }
+    if (!Array.isArray(msg.assets_ids)) return;
+
+    // Initial subscription replaces the set; later changes add or remove tokens
+    if (msg.operation === 'unsubscribe') {
+      subscribed = subscribed.filter(tokenId => !msg.assets_ids.includes(tokenId));
+      console.log(`Client unsubscribed from ${msg.assets_ids.length} tokens`);
+      return;
+    }
+    subscribed = msg.operation === 'subscribe'
+      ? [...new Set([...subscribed, ...msg.assets_ids])]
+      : msg.assets_ids;
+
+    const snapshots = msg.assets_ids.map((tokenId) => {
+      if (!books.has(tokenId)) books.set(tokenId, createBook());
+      const book = books.get(tokenId);
+      return {
+        event_type: 'book',
+        asset_id: tokenId,
+        bids: levelsToWire(book.bids),
+        asks: levelsToWire(book.asks),
+        timestamp: String(Date.now())
+      };
+    });
+
+    socket.send(JSON.stringify(snapshots));
+    console.log(`Client subscribed to ${subscribed.length} tokens`);
+  });
+
+  const ticker = setInterval(() => {
+    if (subscribed.length === 0) return;
+
+    const changes = [];
+    const count = 1 + Math.floor(Math.random() * 3);
+    for (let i = 0; i < count; i++) {
+      const tokenId = subscribed[Math.floor(Math.random() * subscribed.length)];
+      const change = randomChange(tokenId);
+      if (change) changes.push(change);
+    }
+
+    if (changes.length > 0) {
+      socket.send(JSON.stringify({
+        event_type: 'price_change',
+        price_changes: changes,
+        timestamp: String(Date.now())
+      }));
+    }
+  }, TICK_MS);
+
+  const heartbeat = setInterval(() => {
+    if (subscribed.length === 0) return;
+    socket.send(JSON.stringify({ event_type: 'heartbeat', assets_ids: subscribed, timestamp: String(Date.now()) }));
+  }, HEARTBEAT_MS);
+
+  const dropper = DROP_AFTER > 0
+    ? setTimeout(() => {
+      console.log('Dropping client (--drop-after)');
+      socket.close();
+    }, DROP_AFTER)
+    : null;
+
+  socket.on('close', () => {
+    clearInterval(ticker);
+    clearInterval(heartbeat);
+    if (dropper) clearTimeout(dropper);
+  });
+});
+
+console.log(`Mock book server listening on ws://localhost:${PORT}`);
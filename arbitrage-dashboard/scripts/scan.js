@@ -0,0 +1,21 @@
+/**
+ * Run the serverless scanner (api/scan.js) once from the command line
+ *
+ * Same environment variables as the deployed function (WEBHOOK_URLS,
+ * WEBHOOK_SECRET, ALERT_RULES, OPINION_API_KEY).
+ *
+ * Usage:
+ *   WEBHOOK_URLS=http://localhost:8788 WEBHOOK_SECRET=dev npm run scan
+ *   WEBHOOK_URLS=http://localhost:8788 WEBHOOK_SECRET=dev npm run scan -- --test
+ *
+ * --test sends a test alert instead of scanning.
+ */
+
+import handler from '../api/scan.js';
+
+const test = process.argv.includes('--test');
+const headers = process.env.CRON_SECRET ? { authorization: `Bearer ${process.env.CRON_SECRET}` } : {};
+
+const response = await handler(new Request(`http://localhost/api/scan${test ? '?test=1' : ''}`, { headers }));
+console.log(JSON.stringify(await response.json(), null, 2));
+process.exitCode = response.ok ? 0 : 1;
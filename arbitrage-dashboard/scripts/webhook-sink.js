@@ -0,0 +1,94 @@
+/**
+ * Local webhook sink
+ *
+ * Receives the serverless scanner's webhook POSTs (api/scan.js), checks the
+ * X-Arb-Signature header against WEBHOOK_SECRET, drops alert ids it has
+ * already seen and prints the rest.
+ *
+ * Usage:
+ *   WEBHOOK_SECRET=dev npm run webhook:sink -- [--port 8788]
+ */
+
+import { createServer } from 'node:http';
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+/**
+ * Parse --name value pairs from argv
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const PORT = parseInt(args.port || process.env.PORT || '8788', 10);
+const SECRET = process.env.WEBHOOK_SECRET || '';
+
+// Alert ids already received
+const seen = new Set();
+
+/**
+ * Check a signature header ("sha256=<hex>") over `${timestamp}.${body}`
+ */
+function verify(signature, timestamp, body) {
+  if (!SECRET) return true;
+  if (!signature?.startsWith('sha256=') || !timestamp) return false;
+
+  const expected = createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest();
+  const received = Buffer.from(signature.slice(7), 'hex');
+  return received.length === expected.length && timingSafeEqual(received, expected);
+}
+
+const server = createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405).end();
+    return;
+  }
+
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString();
+
+    if (!verify(req.headers['x-arb-signature'], req.headers['x-arb-timestamp'], body)) {
+      console.log(`✗ Rejected: bad signature (${req.url})`);
+      res.writeHead(401).end();
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      res.writeHead(400).end();
+      return;
+    }
+
+    const ids = (req.headers['x-arb-alert-ids'] || '').split(',').filter(Boolean);
+    const fresh = ids.filter(id => !seen.has(id));
+    ids.forEach(id => seen.add(id));
+
+    if (ids.length > 0 && fresh.length === 0) {
+      console.log(`= Duplicate: ${ids.join(', ')}`);
+    } else if (payload.text) {
+      console.log(`✓ Chat message:\n${payload.text}`);
+    } else {
+      for (const alert of payload.alerts || []) {
+        const tag = fresh.includes(alert.id) ? '✓' : '=';
+        console.log(`${tag} ${alert.signal} ${alert.eventName} / ${alert.outcome} +${(alert.profitPct * 100).toFixed(2)}% ($${alert.profit.toFixed(2)}) [${alert.id}]`);
+      }
+    }
+
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook sink listening on http://localhost:${PORT}${SECRET ? ' (verifying signatures)' : ''}`);
+});
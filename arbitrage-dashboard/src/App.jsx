@@ -2,12 +2,35 @@ import { useState, useMemo } from 'react';
 import { usePolling } from './hooks/usePolling';
 import { useArbitrage, sortOpportunities, filterOpportunities } from './hooks/useArbitrage';
 import { useWallet } from './hooks/useWallet';
+import { useBankroll } from './hooks/useBankroll';
+import { useMarketSync } from './hooks/useMarketSync';
+import { useOutcomeMappings } from './hooks/useOutcomeMappings';
+import { useResolutionCheck } from './hooks/useResolutionCheck';
+import { useMarketRegistry } from './hooks/useMarketRegistry';
+import { useMarketValidation } from './hooks/useMarketValidation';
 import { usePositions } from './hooks/usePositions';
+import { usePriceHistory } from './hooks/usePriceHistory';
+import { useOpportunityLog } from './hooks/useOpportunityLog';
+import { useAlerts } from './hooks/useAlerts';
+import { usePaperTrading } from './hooks/usePaperTrading';
+import { useExecution } from './hooks/useExecution';
+import { useCapture } from './hooks/useCapture';
+import { useBasketArbitrage } from './hooks/useBasketArbitrage';
+import { useLadderArbitrage } from './hooks/useLadderArbitrage';
+import { useCompleteSetArbitrage } from './hooks/useCompleteSetArbitrage';
 import { Header } from './components/Header';
 import { StatsBar } from './components/StatsBar';
 import { FilterBar } from './components/FilterBar';
 import { MarketTable } from './components/MarketTable';
+import { BasketTable } from './components/BasketTable';
+import { ConfigIssues } from './components/ConfigIssues';
+import { OpportunityLog } from './components/OpportunityLog';
+import { ReplayBar } from './components/ReplayBar';
+import { ExecutionTicket } from './components/ExecutionTicket';
+import { ExposurePanel } from './components/ExposurePanel';
+import { RollPanel } from './components/RollPanel';
 import { Footer } from './components/Footer';
+import { config } from './config/markets';
 
 // Get Opinion API key from environment
 const OPINION_API_KEY = import.meta.env.VITE_OPINION_API_KEY || '';
@@ -30,16 +53,67 @@ function App() {
   // Wallet management
   const { wallet, setWallet } = useWallet();
 
+  // Bankroll (available capital per platform)
+  const { bankroll, setBankroll } = useBankroll();
+
+  // Monitored markets (editable at runtime, saved in the browser)
+  const marketRegistry = useMarketRegistry(OPINION_API_KEY);
+  const { markets } = marketRegistry;
+
+  // Schema checks on the registry (shown as a banner)
+  const validation = useMarketValidation(markets);
+
+  // Sub-market discovery across both venues
+  const marketSync = useMarketSync(OPINION_API_KEY, markets, marketRegistry.setMarkets);
+
+  // Opinion -> Polymarket outcome mappings (only confirmed ones are polled)
+  const outcomeMappings = useOutcomeMappings(markets, marketRegistry.setMarkets);
+
+  // Both venues' resolution criteria, deadlines and sources (for divergence warnings)
+  useResolutionCheck(OPINION_API_KEY, markets, marketRegistry.setMarkets);
+
+  // Book recording and capture replay (a replay brings the markets it was recorded with)
+  const capture = useCapture(markets);
+  const replaying = !!capture.replay;
+  const activeMarkets = capture.replay?.header.markets || markets;
+
   // Fetch price data
-  const { prices, loading, error, lastUpdate, connectionStatus, pollingInfo } = usePolling();
+  const { prices, loading, error, lastUpdate, connectionStatus, streamStatus, pollingInfo } = usePolling(activeMarkets, {
+    recorder: capture.recorder,
+    replay: capture.replay?.player
+  });
 
   // Monitor user positions
-  const { matchedPositions, arbitragePositions, loading: positionsLoading } = usePositions(
-    wallet, OPINION_API_KEY, prices, settings.exitThreshold, settings.shareThreshold
+  const { matchedPositions, arbitragePositions, exposures, rolls, unmappedPositions, loading: positionsLoading } = usePositions(
+    wallet, OPINION_API_KEY, prices, settings.exitThreshold, settings.shareThreshold, activeMarkets
   );
 
   // Calculate arbitrage opportunities
-  const { opportunities, stats } = useArbitrage(prices);
+  const { opportunities, stats, computedAt } = useArbitrage(prices, bankroll, activeMarkets);
+
+  // Local price / spread history (sparklines, time open)
+  const priceHistory = usePriceHistory(prices, opportunities, activeMarkets, replaying);
+
+  // Opportunity episodes (open/close, duration, peak)
+  const opportunityLog = useOpportunityLog(opportunities, computedAt, replaying);
+
+  // Paper trading (simulated fills against the live books)
+  const paper = usePaperTrading(opportunities, prices, computedAt, settings.exitThreshold, replaying);
+
+  // Two-leg order execution (dry-run, mock exchange or live)
+  const execution = useExecution(activeMarkets, prices, wallet, replaying);
+
+  // Desktop notifications / sound for signals, EXIT NOW and unhedged exposure
+  const alerts = useAlerts(opportunities, matchedPositions, arbitragePositions, computedAt, exposures, replaying);
+
+  // Scan mutually exclusive events for basket arbitrage
+  const { baskets } = useBasketArbitrage(prices, computedAt, activeMarkets);
+
+  // Scan threshold ladders for monotonicity violations
+  const { ladders } = useLadderArbitrage(prices, computedAt, activeMarkets);
+
+  // Scan each venue for YES+NO complete sets under $1
+  const { completeSets } = useCompleteSetArbitrage(prices, computedAt, activeMarkets);
 
   // Filter and sort opportunities
   const allFilteredOpportunities = useMemo(() => {
@@ -99,11 +173,20 @@ function App() {
         {/* Header */}
         <Header
           connectionStatus={connectionStatus}
+          streamStatus={streamStatus}
           lastUpdate={lastUpdate}
           pollingInfo={pollingInfo}
           wallet={wallet}
           onWalletChange={setWallet}
-          positionsInfo={{ count: arbitragePositions.size, loading: positionsLoading }}
+          bankroll={bankroll}
+          onBankrollChange={setBankroll}
+          marketSync={marketSync}
+          marketRegistry={marketRegistry}
+          outcomeMappings={outcomeMappings}
+          alerts={alerts}
+          capture={capture}
+          paper={paper}
+          positionsInfo={{ count: arbitragePositions.size, unmapped: unmappedPositions, loading: positionsLoading }}
           settings={settings}
           onSettingsChange={setSettings}
         />
@@ -115,6 +198,15 @@ function App() {
           </div>
         )}
 
+        {/* Capture replay controls */}
+        <ReplayBar capture={capture} />
+
+        {/* Order ticket */}
+        <ExecutionTicket execution={execution} replaying={replaying} />
+
+        {/* Market config issues */}
+        <ConfigIssues {...validation} />
+
         {/* Loading State */}
         {loading && opportunities.length === 0 && (
           <div className="mb-6 p-4 rounded-lg bg-blue-50 border border-blue-200 text-blue-600 text-sm">
@@ -122,11 +214,18 @@ function App() {
           </div>
         )}
 
+        {/* Unhedged held shares */}
+        <ExposurePanel exposures={exposures} />
+
+        {/* Held legs worth swapping to the other venue */}
+        <RollPanel rolls={rolls} />
+
         {/* Stats Bar */}
         <StatsBar stats={stats} />
 
         {/* Filter Bar */}
         <FilterBar
+          markets={activeMarkets}
           filter={filter}
           sortBy={sortBy}
           profitableOnly={profitableOnly}
@@ -137,6 +236,18 @@ function App() {
           onMyPositionsOnlyChange={handleMyPositionsOnlyChange}
         />
 
+        {/* Basket Arbitrage */}
+        <BasketTable baskets={baskets} />
+
+        {/* Ladder Arbitrage */}
+        <BasketTable baskets={ladders} kind="ladder" />
+
+        {/* Same-Venue Arbitrage */}
+        <BasketTable baskets={completeSets} kind="complete" />
+
+        {/* Opportunity Log */}
+        <OpportunityLog log={opportunityLog} now={computedAt} />
+
         {/* Market Table */}
         <MarketTable
           opportunities={displayedOpportunities}
@@ -144,6 +255,10 @@ function App() {
           profitableOnly={profitableOnly}
           matchedPositions={matchedPositions}
           arbitragePositions={arbitragePositions}
+          paper={paper.enabled ? paper : null}
+          onExecute={execution.prepare}
+          history={priceHistory}
+          signalThreshold={config.settings.minSpreadAlert}
           currentPage={currentPage}
           totalPages={totalPages}
           onPageChange={setCurrentPage}
@@ -0,0 +1,336 @@
+/**
+ * Streaming orderbook client
+ *
+ * Speaks the Polymarket CLOB market-channel protocol:
+ *   wss://ws-subscriptions-clob.polymarket.com/ws/market
+ *
+ * - Subscribe:   { type: 'market', assets_ids: [tokenId, ...] }
+ * - Change:      { assets_ids: [tokenId, ...], operation: 'subscribe' | 'unsubscribe' }
+ * - Snapshot:    { event_type: 'book', asset_id, bids: [...], asks: [...] }
+ * - Incremental: { event_type: 'price_change', price_changes: [{ asset_id, price, size, side }] }
+ * - Per token:   { event_type: 'tick_size_change' | 'last_trade_price', asset_id }
+ * - Heartbeat:   { event_type: 'heartbeat', assets_ids?: [tokenId, ...] } (all subscribed books if omitted)
+ *
+ * Any feed speaking the same protocol can be used (e.g. an Opinion relay or
+ * the local mock server in scripts/mock-book-server.js).
+ * Books are kept at full depth and emitted in the same PriceData shape as the
+ * REST adapters, so consumers can't tell the two sources apart. A book's
+ * timestamp is when the server last vouched for it: snapshots and deltas set
+ * it, and per-token events or a heartbeat refresh it while it is quiet. Our
+ * own keep-alive (PING/PONG) only proves the socket is open, so it never
+ * refreshes a book.
+ */
+
+// Levels emitted per side (matches the REST adapters)
+const BOOK_DEPTH = 10;
+
+// Changed books are batched and flushed at most this often (ms)
+const FLUSH_INTERVAL = 250;
+
+// Keep-alive ping interval (ms) - server answers 'PONG'
+const PING_INTERVAL = 10000;
+
+// Books unchanged for this long are re-emitted with a fresh timestamp on the next message (ms)
+const QUIET_REFRESH = 5000;
+
+// Treat the feed as dropped if nothing arrives for this long (ms)
+const STALE_TIMEOUT = 30000;
+
+// Reconnect backoff bounds (ms)
+const RECONNECT_MIN = 1000;
+const RECONNECT_MAX = 30000;
+
+/**
+ * Create an empty full-depth book
+ */
+function createBook() {
+  return { bids: new Map(), asks: new Map(), timestamp: 0 };
+}
+
+/**
+ * Apply a single level update to one side of a book (size 0 removes the level)
+ */
+function applyLevel(levels, price, size) {
+  const p = parseFloat(price);
+  const s = parseFloat(size);
+  if (!p) return;
+
+  if (!s) {
+    levels.delete(p);
+  } else {
+    levels.set(p, s);
+  }
+}
+
+/**
+ * Convert a full-depth book into the adapters' PriceData format
+ * @param {Object} book - { bids: Map, asks: Map, timestamp }
+ * @returns {Object} PriceData
+ */
+export function bookToPriceData(book) {
+  // Sort bids descending (highest first) to get best bid
+  const sortedBids = [...book.bids]
+    .map(([price, size]) => ({ price, size }))
+    .sort((a, b) => b.price - a.price);
+
+  // Sort asks ascending (lowest first) to get best ask
+  const sortedAsks = [...book.asks]
+    .map(([price, size]) => ({ price, size }))
+    .sort((a, b) => a.price - b.price);
+
+  const bid = sortedBids[0]?.price || 0;
+  const ask = sortedAsks[0]?.price || 0;
+  const price = bid && ask ? (bid + ask) / 2 : (bid || ask || 0);
+
+  return {
+    price,
+    bid,
+    ask,
+    bids: sortedBids.slice(0, BOOK_DEPTH),
+    asks: sortedAsks.slice(0, BOOK_DEPTH),
+    shares: sortedAsks[0]?.size || 0,
+    timestamp: book.timestamp
+  };
+}
+
+/**
+ * Connect to an orderbook stream and keep the subscribed books live
+ * The connection opens once there are tokens to subscribe to; setTokens
+ * changes the subscription on the open socket without reconnecting.
+ * A token is live once its snapshot has arrived on the current connection.
+ *
+ * @param {Object} options
+ * @param {string} options.url - Websocket URL
+ * @param {Array<string>} options.tokenIds - Token IDs to subscribe to
+ * @param {function} options.onBooks - Called with Map<tokenId, PriceData> of changed books
+ * @param {function} options.onStatus - Called with 'connecting' | 'live' | 'down'
+ * @param {function} [options.WebSocketImpl] - WebSocket constructor (defaults to global)
+ * @returns {Object} { isLive, setTokens, close }
+ */
+export function connectBookStream({ url, tokenIds, onBooks, onStatus, WebSocketImpl = globalThis.WebSocket }) {
+  const books = new Map();
+  const dirty = new Set();
+  let subscribed = new Set(tokenIds);
+
+  let socket = null;
+  let closed = false;
+  let reconnectDelay = RECONNECT_MIN;
+  let reconnectTimer = null;
+  let flushTimer = null;
+  let pingTimer = null;
+  let lastMessageAt = 0;
+
+  if (!WebSocketImpl || !url) {
+    onStatus('down');
+    return { isLive: () => false, setTokens() {}, close() {} };
+  }
+
+  const flush = () => {
+    flushTimer = null;
+    if (dirty.size === 0) return;
+
+    const changed = new Map();
+    for (const tokenId of dirty) {
+      changed.set(tokenId, bookToPriceData(books.get(tokenId)));
+    }
+    dirty.clear();
+    onBooks(changed);
+  };
+
+  const markDirty = (tokenId) => {
+    dirty.add(tokenId);
+    if (!flushTimer) {
+      flushTimer = setTimeout(flush, FLUSH_INTERVAL);
+    }
+  };
+
+  // The server reported on this token without changing it, so a quiet book is still current
+  const refreshQuietBook = (tokenId, now) => {
+    const book = books.get(tokenId);
+    if (book && now - book.timestamp >= QUIET_REFRESH) {
+      book.timestamp = now;
+      markDirty(tokenId);
+    }
+  };
+
+  const handleEvent = (event) => {
+    const now = Date.now();
+
+    if (event.event_type === 'heartbeat') {
+      for (const tokenId of event.assets_ids || books.keys()) refreshQuietBook(tokenId, now);
+      return;
+    }
+
+    if (event.event_type === 'tick_size_change' || event.event_type === 'last_trade_price') {
+      refreshQuietBook(event.asset_id, now);
+      return;
+    }
+
+    if (event.event_type === 'book') {
+      // Full snapshot replaces the book
+      if (!subscribed.has(event.asset_id)) return;
+      const book = createBook();
+      for (const level of event.bids || event.buys || []) applyLevel(book.bids, level.price, level.size);
+      for (const level of event.asks || event.sells || []) applyLevel(book.asks, level.price, level.size);
+      book.timestamp = now;
+      books.set(event.asset_id, book);
+      markDirty(event.asset_id);
+      return;
+    }
+
+    if (event.event_type === 'price_change') {
+      // Newer format carries asset_id per change, older format per message
+      const changes = event.price_changes || event.changes || [];
+      for (const change of changes) {
+        const tokenId = change.asset_id || event.asset_id;
+        const book = books.get(tokenId);
+        // Deltas before the snapshot (or after unsubscribing) can't be applied
+        if (!book) continue;
+
+        const side = (change.side || '').toUpperCase() === 'BUY' ? book.bids : book.asks;
+        applyLevel(side, change.price, change.size);
+        book.timestamp = now;
+        markDirty(tokenId);
+      }
+    }
+  };
+
+  const scheduleReconnect = () => {
+    if (closed || reconnectTimer) return;
+    onStatus('down');
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, reconnectDelay);
+    reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX);
+  };
+
+  const stopTimers = () => {
+    if (pingTimer) clearInterval(pingTimer);
+    if (flushTimer) clearTimeout(flushTimer);
+    pingTimer = null;
+    flushTimer = null;
+  };
+
+  function connect() {
+    onStatus('connecting');
+    books.clear();
+    dirty.clear();
+
+    try {
+      socket = new WebSocketImpl(url);
+    } catch (error) {
+      console.error(`Book stream connect failed (${url}):`, error);
+      scheduleReconnect();
+      return;
+    }
+
+    socket.onopen = () => {
+      socket.send(JSON.stringify({ type: 'market', assets_ids: [...subscribed] }));
+      lastMessageAt = Date.now();
+
+      // Keep-alive, and drop the connection if the feed goes quiet
+      pingTimer = setInterval(() => {
+        if (Date.now() - lastMessageAt > STALE_TIMEOUT) {
+          console.warn(`Book stream stale (${url}), reconnecting`);
+          socket.close();
+          return;
+        }
+        socket.send('PING');
+      }, PING_INTERVAL);
+    };
+
+    socket.onmessage = (msg) => {
+      lastMessageAt = Date.now();
+      if (typeof msg.data !== 'string' || msg.data === 'PONG') return;
+
+      let data;
+      try {
+        data = JSON.parse(msg.data);
+      } catch {
+        return;
+      }
+
+      // Messages may be a single event or an array of events
+      const events = Array.isArray(data) ? data : [data];
+      const hadBooks = books.size > 0;
+      for (const event of events) {
+        handleEvent(event);
+      }
+
+      // Only report live once at least one snapshot has arrived
+      if (!hadBooks && books.size > 0) {
+        reconnectDelay = RECONNECT_MIN;
+        onStatus('live');
+      }
+    };
+
+    socket.onerror = (error) => {
+      console.error(`Book stream error (${url}):`, error);
+    };
+
+    socket.onclose = () => {
+      stopTimers();
+      socket = null;
+      // Books stop updating: none of them is live until its next snapshot
+      books.clear();
+      dirty.clear();
+      scheduleReconnect();
+    };
+  }
+
+  // Send a subscription change if the socket is open (otherwise onopen sends the full set)
+  const sendChange = (ids, operation) => {
+    if (ids.length > 0 && socket?.readyState === 1) {
+      socket.send(JSON.stringify({ assets_ids: ids, operation }));
+    }
+  };
+
+  if (subscribed.size > 0) connect();
+
+  return {
+    /**
+     * Whether a token's book is currently kept up to date by the stream
+     * @param {string} tokenId
+     */
+    isLive(tokenId) {
+      return books.has(tokenId);
+    },
+
+    /**
+     * Replace the subscribed token set
+     * @param {Array<string>} ids - Token IDs
+     */
+    setTokens(ids) {
+      const next = new Set(ids);
+      const added = [...next].filter(id => !subscribed.has(id));
+      const removed = [...subscribed].filter(id => !next.has(id));
+      subscribed = next;
+
+      for (const id of removed) {
+        books.delete(id);
+        dirty.delete(id);
+      }
+
+      if (!socket && !reconnectTimer && !closed) {
+        if (subscribed.size > 0) connect();
+        return;
+      }
+      sendChange(added, 'subscribe');
+      sendChange(removed, 'unsubscribe');
+    },
+
+    close() {
+      closed = true;
+      stopTimers();
+      if (reconnectTimer) clearTimeout(reconnectTimer);
+      if (socket) {
+        socket.onclose = null;
+        socket.close();
+        socket = null;
+      }
+    }
+  };
+}
+
+export default { connectBookStream, bookToPriceData };
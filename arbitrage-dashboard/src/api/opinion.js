@@ -8,6 +8,9 @@
 // Use proxy path in development
 const BASE_URL = '/api/opinion';
 
+// Orderbook levels kept per side (sizing walks the full ladder)
+const BOOK_DEPTH = 10;
+
 // Cache for market metadata (topicId -> tokens)
 const marketCache = new Map();
 
@@ -32,16 +35,31 @@ function formatLevel(raw) {
   return { price, size };
 }
 
+/**
+ * Extract resolution info from an Opinion market payload
+ * (field names vary between endpoints, so several are tried)
+ * @returns {{text: string|null, endDate: string|number|null, source: string|null}}
+ */
+function parseResolution(market) {
+  return {
+    text: market?.rules || market?.resolutionRules || market?.resolution || market?.description || null,
+    endDate: market?.cutoffAt ?? market?.endTime ?? market?.endDate ?? market?.resolveTime ?? null,
+    source: market?.resolutionSource || market?.resolveSource || market?.source || null
+  };
+}
+
 /**
  * Fetch market info by topicId
  * @param {number} topicId - Topic ID
  * @param {string} apiKey - API key
- * @returns {Promise<{outcomes: Array<{name: string, tokenId: string}>}|null>}
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Skip the cache and refetch (market sync)
+ * @returns {Promise<{outcomes: Array<{name: string, tokenId: string}>, resolution: Object}|null>}
  */
-export async function fetchMarketByTopicId(topicId, apiKey) {
+export async function fetchMarketByTopicId(topicId, apiKey, { force = false } = {}) {
   const cacheKey = `topic-${topicId}`;
 
-  if (marketCache.has(cacheKey)) {
+  if (!force && marketCache.has(cacheKey)) {
     return marketCache.get(cacheKey);
   }
 
@@ -94,7 +112,7 @@ export async function fetchMarketByTopicId(topicId, apiKey) {
       }));
 
       console.log('Opinion parsed outcomes:', outcomes);
-      const result = { outcomes, raw: market, volume };
+      const result = { outcomes, resolution: parseResolution(market), raw: market, volume };
       marketCache.set(cacheKey, result);
       return result;
     }
@@ -127,7 +145,7 @@ export async function fetchMarketByTopicId(topicId, apiKey) {
       }
     }
 
-    const result = { outcomes, raw: markets };
+    const result = { outcomes, resolution: parseResolution(markets[0]), raw: markets };
     marketCache.set(cacheKey, result);
 
     return result;
@@ -300,8 +318,8 @@ async function fetchTokenData(tokenId, apiKey) {
       price,
       bid,
       ask,
-      bids: sortedBids.slice(0, 5),  // Top 5 bid levels
-      asks: sortedAsks.slice(0, 5),  // Top 5 ask levels
+      bids: sortedBids.slice(0, BOOK_DEPTH),
+      asks: sortedAsks.slice(0, BOOK_DEPTH),
       shares: sortedAsks[0]?.size || 0,  // Best ask size for backward compat
       timestamp: Date.now()
     };
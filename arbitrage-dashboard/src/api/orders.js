@@ -0,0 +1,183 @@
+/**
+ * Order API - Submit, poll and cancel limit orders on both venues
+ *
+ * Polymarket CLOB (L2 auth headers, HMAC-SHA256 of the request):
+ *   POST   /order              { order, owner, orderType: 'GTC' | 'GTD' }
+ *   GET    /data/order/{id}
+ *   DELETE /order              { orderID }
+ * Opinion's exchange is a CTF exchange fork; its client speaks the same
+ * order shape with the 'apikey' header (set config.execution.venues.opinion.url
+ * if its order API lives elsewhere). utils/mockExchange.js stands in for both.
+ *
+ * Clients normalise every answer to { id, status, filled, avgPrice, error }
+ * with status 'open' | 'filled' | 'cancelled' | 'rejected' (utils/execution.js).
+ */
+
+import { buildOrderTypedData } from '../utils/orders';
+
+const encoder = new TextEncoder();
+
+/**
+ * HMAC-SHA256 of a message with a base64 secret, as URL-safe base64 (CLOB L2 signature)
+ */
+async function hmacSignature(secret, message) {
+  const keyBytes = Uint8Array.from(atob(secret.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+  const key = await crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(message)));
+  return btoa(String.fromCharCode(...signature)).replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Auth headers of a request
+ * @param {string} venue - 'opinion' | 'poly'
+ * @param {Object} credentials - Poly: { address, apiKey, secret, passphrase }; Opinion: { apiKey }
+ */
+async function authHeaders(venue, credentials, method, path, body) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (venue === 'opinion') {
+    if (credentials?.apiKey) headers['apikey'] = credentials.apiKey;
+    return headers;
+  }
+  if (!credentials?.apiKey || !credentials?.secret) return headers;
+
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  headers['POLY_ADDRESS'] = credentials.address;
+  headers['POLY_API_KEY'] = credentials.apiKey;
+  headers['POLY_PASSPHRASE'] = credentials.passphrase;
+  headers['POLY_TIMESTAMP'] = timestamp;
+  headers['POLY_SIGNATURE'] = await hmacSignature(credentials.secret, `${timestamp}${method}${path}${body || ''}`);
+  return headers;
+}
+
+/**
+ * Normalise an order status answer
+ */
+function toOrderState(id, data, fallbackPrice) {
+  const status = String(data.status || '').toUpperCase();
+  const size = parseFloat(data.original_size ?? data.size) || 0;
+  const filled = parseFloat(data.size_matched ?? data.filled) || 0;
+
+  let state = 'open';
+  if (status === 'MATCHED' || (size > 0 && filled >= size)) state = 'filled';
+  else if (status === 'CANCELED' || status === 'CANCELLED') state = 'cancelled';
+  else if (status === 'REJECTED') state = 'rejected';
+
+  return {
+    id,
+    status: state,
+    filled,
+    // The order endpoints only report the limit, so fills are priced at it
+    avgPrice: parseFloat(data.avg_price ?? data.price) || fallbackPrice || 0,
+    error: data.errorMsg || data.error || null
+  };
+}
+
+/**
+ * Create a venue order client
+ * @param {string} venue - 'opinion' | 'poly'
+ * @param {Object} options
+ * @param {string} options.url - Order API base (config.execution.venues[venue].url)
+ * @param {Object} options.credentials - See authHeaders
+ * @returns {Object} { submit({ order, typedData, signature }), getOrder(id), cancel(id) }
+ */
+export function createOrderClient(venue, { url, credentials }) {
+  const prices = new Map();  // orderId -> limit price (status answers may omit it)
+
+  const request = async (method, path, payload) => {
+    const body = payload ? JSON.stringify(payload) : undefined;
+    const res = await fetch(`${url}${path}`, {
+      method,
+      headers: await authHeaders(venue, credentials, method, path, body),
+      body
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const error = new Error(data.errorMsg || data.error || `HTTP ${res.status}`);
+      error.status = res.status;
+      throw error;
+    }
+    return data;
+  };
+
+  return {
+    async submit({ order, typedData, signature }) {
+      const message = typedData.message;
+      let data;
+      try {
+        data = await request('POST', '/order', {
+          order: {
+            ...message,
+            salt: Number(message.salt),
+            side: order.side,
+            signature
+          },
+          owner: credentials?.apiKey || '',
+          orderType: message.expiration === '0' ? 'GTC' : 'GTD'
+        });
+      } catch (err) {
+        // A 4xx answer means the venue refused the order; anything else may have reached it
+        if (err.status >= 400 && err.status < 500) {
+          return { id: null, status: 'rejected', filled: 0, avgPrice: 0, error: err.message };
+        }
+        throw err;
+      }
+
+      if (data.success === false || !data.orderID) {
+        return { id: data.orderID || null, status: 'rejected', filled: 0, avgPrice: 0, error: data.errorMsg || 'Order not accepted' };
+      }
+      prices.set(data.orderID, order.price);
+
+      // Accepted: if its state can't be read yet, polling by id picks it up
+      try {
+        return toOrderState(data.orderID, await request('GET', `/data/order/${data.orderID}`), order.price);
+      } catch {
+        return { id: data.orderID, status: 'open', filled: 0, avgPrice: order.price, error: null };
+      }
+    },
+
+    async getOrder(id) {
+      return toOrderState(id, await request('GET', `/data/order/${id}`), prices.get(id));
+    },
+
+    async cancel(id) {
+      await request('DELETE', '/order', { orderID: id });
+      return toOrderState(id, await request('GET', `/data/order/${id}`), prices.get(id));
+    }
+  };
+}
+
+/**
+ * Order signer using the browser wallet (eth_signTypedData_v4)
+ * @param {Object} options
+ * @param {Object} options.wallet - { opinion, poly } maker addresses (useWallet)
+ * @param {Object} options.execution - config.execution
+ * @param {Object} [options.provider] - EIP-1193 provider (default: window.ethereum)
+ * @returns {function} async (order) => { typedData, signature }
+ */
+export function createWalletSigner({ wallet, execution, provider = globalThis.ethereum }) {
+  return async (order) => {
+    if (!provider) throw new Error('No browser wallet to sign orders with');
+    const maker = wallet[order.venue];
+    if (!maker) throw new Error(`No ${order.venue} wallet address set`);
+
+    const venue = execution.venues[order.venue];
+    const typedData = buildOrderTypedData(order, {
+      maker,
+      venue,
+      expiration: Math.floor(Date.now() / 1000) + execution.orderExpiry
+    });
+
+    // The wallet only signs for the chain it's on
+    await provider.request({
+      method: 'wallet_switchEthereumChain',
+      params: [{ chainId: `0x${venue.chainId.toString(16)}` }]
+    });
+    const signature = await provider.request({
+      method: 'eth_signTypedData_v4',
+      params: [maker, JSON.stringify(typedData)]
+    });
+    return { typedData, signature };
+  };
+}
+
+export default { createOrderClient, createWalletSigner };
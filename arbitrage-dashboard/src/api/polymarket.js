@@ -9,6 +9,9 @@
 const CLOB_URL = '/api/poly';
 const GAMMA_URL = '/api/gamma';
 
+// Orderbook levels kept per side (sizing walks the full ladder)
+const BOOK_DEPTH = 10;
+
 // Cache for market metadata (slug -> tokens)
 const marketCache = new Map();
 
@@ -25,11 +28,13 @@ function formatLevel(raw) {
  * Fetch event metadata by slug from Gamma API
  * Returns all markets (outcomes) for the event
  * @param {string} slug - Event slug (e.g., "okbet-arena-ai-trading-competition-winner")
- * @returns {Promise<{markets: Array<{name: string, yesTokenId: string, noTokenId: string}>}|null>}
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Skip the cache and refetch (market sync)
+ * @returns {Promise<{markets: Array<{name: string, yesTokenId: string, noTokenId: string}>, resolution: Object}|null>}
  */
-export async function fetchMarketBySlug(slug) {
+export async function fetchMarketBySlug(slug, { force = false } = {}) {
   // Check cache first
-  if (marketCache.has(slug)) {
+  if (!force && marketCache.has(slug)) {
     return marketCache.get(slug);
   }
 
@@ -50,6 +55,13 @@ export async function fetchMarketBySlug(slug) {
 
     const event = events[0];
 
+    // Resolution criteria, deadline and source (compared against Opinion)
+    const resolution = {
+      text: event.description || event.markets?.[0]?.description || null,
+      endDate: event.endDate || event.markets?.[0]?.endDate || null,
+      source: event.resolutionSource || event.markets?.[0]?.resolutionSource || null
+    };
+
     // Check if this is a multi-outcome event (has markets array)
     if (event.markets && event.markets.length > 0) {
       const markets = event.markets.map(m => {
@@ -73,7 +85,7 @@ export async function fetchMarketBySlug(slug) {
         };
       });
 
-      const result = { markets, title: event.title };
+      const result = { markets, title: event.title, resolution };
       marketCache.set(slug, result);
       return result;
     }
@@ -91,7 +103,8 @@ export async function fetchMarketBySlug(slug) {
         yesTokenId: tokens[0],
         noTokenId: tokens[1]
       }],
-      title: event.title
+      title: event.title,
+      resolution
     };
 
     marketCache.set(slug, result);
@@ -104,7 +117,8 @@ export async function fetchMarketBySlug(slug) {
 
 /**
  * Fetch prices for Polymarket markets
- * @param {Array} marketConfigs - Array of { eventId, slug } or { eventId, outcomeIds }
+ * @param {Array} marketConfigs - Array of { eventId, outcomeIds } (confirmed token
+ *   mappings, { [outcome]: { yes, no } }) or { eventId, slug } (every sub-market, by name)
  * @returns {Promise<Map<string, PriceData>>}
  */
 export async function fetchPrices(marketConfigs) {
@@ -161,23 +175,33 @@ export async function fetchPrices(marketConfigs) {
           })
       );
     } else if (config.outcomeIds) {
-      // Legacy: direct token IDs provided
-      for (const [outcome, tokenId] of Object.entries(config.outcomeIds)) {
-        if (!tokenId) continue;
-
-        const key = `${config.eventId}-${outcome}`;
-
-        promises.push(
-          fetchTokenBook(tokenId)
-            .then(data => {
-              if (data) {
-                results.set(key, data);
-              }
-            })
-            .catch(err => {
-              console.error(`Polymarket fetch error for ${key}:`, err);
-            })
-        );
+      // Direct token IDs provided (YES and NO)
+      for (const [outcome, tokens] of Object.entries(config.outcomeIds)) {
+        if (!tokens) continue;
+
+        // Handle both old format (string) and mapping format ({yes, no})
+        const sides = typeof tokens === 'string'
+          ? [['yes', tokens, `${config.eventId}-${outcome}`]]
+          : [
+              ['yes', tokens.yes, `${config.eventId}-${outcome}`],
+              ['no', tokens.no, `${config.eventId}-${outcome}-NO`]
+            ];
+
+        for (const [side, tokenId, key] of sides) {
+          if (!tokenId) continue;
+
+          promises.push(
+            fetchTokenBook(tokenId)
+              .then(data => {
+                if (data) {
+                  results.set(key, { ...data, side });
+                }
+              })
+              .catch(err => {
+                console.error(`Polymarket fetch error for ${key}:`, err);
+              })
+          );
+        }
       }
     }
   }
@@ -218,8 +242,8 @@ async function fetchTokenBook(tokenId) {
       price,
       bid,
       ask,
-      bids: sortedBids.slice(0, 5),  // Top 5 bid levels
-      asks: sortedAsks.slice(0, 5),  // Top 5 ask levels
+      bids: sortedBids.slice(0, BOOK_DEPTH),
+      asks: sortedAsks.slice(0, BOOK_DEPTH),
       shares: sortedAsks[0]?.size || 0,  // Best ask size for backward compat
       timestamp: Date.now()
     };
@@ -30,7 +30,9 @@
  * @property {number} spreadPct - Spread as percentage
  * @property {number} feeRate - Fee rate
  * @property {number} netProfit - |spreadPct| - fee
- * @property {'HOT'|'GO'|'NONE'} signal - Trading signal
+ * @property {'HOT'|'GO'|'NONE'} signal - Trading signal (downgraded when quotes are stale/skewed)
+ * @property {Object} quoteAge - { opinion, poly, skew, isStale, isSkewed } leg quote ages in ms
+ * @property {Object} resolutionRisk - { level: 'ok'|'warn'|'risk'|'unknown', reasons } resolution divergence between venues
  * @property {string} direction - Direction description
  */
 
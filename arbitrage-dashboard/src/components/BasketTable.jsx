@@ -0,0 +1,142 @@
+import { useState } from 'react';
+import { formatPct, formatAge } from '../utils/format';
+
+/**
+ * Format price as cents
+ */
+function formatPrice(p) {
+  if (!p || isNaN(p)) return '—';
+  return (p * 100).toFixed(1);
+}
+
+// Display text per basket kind
+const KINDS = {
+  basket: {
+    title: 'Basket Arbitrage',
+    subtitle: 'YES on all outcomes < $1 · NO on all outcomes < $(N-1)',
+    rowKey: (b) => `${b.eventId}-${b.side}`,
+    badge: (b) => `${b.side.toUpperCase()} × ${b.outcomeCount}`,
+    badgeClass: (b) => b.side === 'yes' ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700',
+    note: (b) => `Guaranteed payout: $${b.payoutPerShare} per basket share${b.side === 'no' ? ' (at most one outcome can win)' : ''}`
+  },
+  ladder: {
+    title: 'Ladder Arbitrage',
+    subtitle: 'YES lower threshold + NO higher threshold < $1',
+    rowKey: (b) => `${b.eventId}-${b.lower}-${b.higher}`,
+    badge: (b) => `YES ${b.lower} + NO ${b.higher}`,
+    badgeClass: () => 'bg-purple-100 text-purple-700',
+    note: (b) => `Guaranteed payout: $1 per share ($${b.maxPayout.toFixed(2)} total if the result lands between ${b.lower} and ${b.higher})`
+  },
+  complete: {
+    title: 'Same-Venue Arbitrage',
+    subtitle: 'YES + NO of one outcome on one venue < $1',
+    rowKey: (b) => `${b.eventId}-${b.outcome}-${b.venue}`,
+    badge: (b) => `${b.venue === 'opinion' ? 'Opinion' : 'Poly'} ${b.outcome} YES + NO`,
+    badgeClass: (b) => b.venue === 'opinion' ? 'bg-orange-100 text-orange-700' : 'bg-blue-100 text-blue-700',
+    note: () => 'Guaranteed payout: $1 per share'
+  }
+};
+
+/**
+ * Structured arbitrage across several outcomes of one event
+ * (baskets over mutually exclusive outcomes, or ladder threshold pairs)
+ */
+export function BasketTable({ baskets, kind = 'basket' }) {
+  if (!baskets || baskets.length === 0) return null;
+  const text = KINDS[kind];
+
+  return (
+    <div className="card rounded-lg mb-4 overflow-hidden">
+      <div className="px-4 py-2 bg-slate-800 flex items-center justify-between">
+        <span className="font-bold text-white text-sm">{text.title}</span>
+        <span className="text-slate-400 text-xs">{text.subtitle}</span>
+      </div>
+      <div className="divide-y divide-slate-100">
+        {baskets.map(basket => (
+          <BasketRow key={text.rowKey(basket)} basket={basket} text={text} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * One basket with an expandable per-outcome leg plan
+ */
+function BasketRow({ basket, text }) {
+  const [expanded, setExpanded] = useState(false);
+  const isProfitable = basket.profit > 0;
+
+  return (
+    <div className="text-xs">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className={`w-full px-4 py-2 flex items-center justify-between hover:bg-slate-50 ${isProfitable ? 'bg-green-50' : ''}`}
+      >
+        <div className="flex items-center gap-2">
+          <span className="text-slate-400">{expanded ? '▾' : '▸'}</span>
+          <span className="font-bold text-slate-700">{basket.eventName}</span>
+          <span className={`px-1.5 py-0.5 rounded font-bold ${text.badgeClass(basket)}`}>
+            {text.badge(basket)}
+          </span>
+          {(basket.quoteAge?.isStale || basket.quoteAge?.isSkewed) && (
+            <span
+              className="border border-amber-400 text-amber-500 px-2 py-0.5 rounded font-bold"
+              title={`Oldest leg quote: ${formatAge(basket.quoteAge.oldest)}, skew: ${formatAge(basket.quoteAge.skew)}`}
+            >
+              {basket.quoteAge.isStale ? 'STALE' : 'SKEW'}
+            </span>
+          )}
+          {basket.signal !== 'NONE' && (
+            <span className={basket.signal === 'HOT'
+              ? 'bg-gradient-to-r from-orange-500 to-red-500 text-white px-2 py-0.5 rounded font-bold'
+              : 'border border-green-500 text-green-600 px-2 py-0.5 rounded font-bold'
+            }>
+              {basket.signal}
+            </span>
+          )}
+        </div>
+        <div className="flex items-center gap-3 font-mono">
+          <span className="text-slate-500">
+            {basket.shares.toFixed(2)} sh @ <span className="text-slate-700">{formatPrice(basket.costPerShare)}¢</span>
+          </span>
+          <span className="text-slate-500">
+            Payout: <span className="text-slate-700">${basket.payout.toFixed(2)}</span>
+          </span>
+          <span className="text-amber-600">Fee: ${basket.fee.toFixed(2)}</span>
+          <span className={`font-bold ${isProfitable ? 'text-green-600' : 'text-red-500'}`}>
+            ${basket.profit.toFixed(2)} ({formatPct(basket.profitPct)})
+          </span>
+        </div>
+      </button>
+
+      {expanded && (
+        <div className="px-4 pb-2">
+          <div className="grid grid-cols-5 gap-2 font-mono text-[10px] text-slate-400 px-2 py-1 border-b border-slate-100">
+            <span>Outcome</span>
+            <span>Venue</span>
+            <span className="text-right">Avg Price</span>
+            <span className="text-right">Cost</span>
+            <span className="text-right">Fee</span>
+          </div>
+          {basket.legs.map(leg => (
+            <div key={`${leg.outcome}-${leg.side}`} className="grid grid-cols-5 gap-2 font-mono text-[10px] px-2 py-0.5">
+              <span className="text-slate-700">{leg.outcome}</span>
+              <span className={leg.venue === 'opinion' ? 'text-orange-600' : 'text-blue-600'}>
+                {leg.venue === 'opinion' ? 'Opinion' : 'Poly'} {leg.side.toUpperCase()} (L1{leg.levels > 1 ? `-${leg.levels}` : ''})
+              </span>
+              <span className="text-right text-slate-600">{formatPrice(leg.avgPrice)}¢</span>
+              <span className="text-right text-slate-600">${leg.cost.toFixed(2)}</span>
+              <span className="text-right text-amber-600">{leg.fee > 0 ? `$${leg.fee.toFixed(2)}` : '—'}</span>
+            </div>
+          ))}
+          <div className="px-2 pt-1 text-slate-400">
+            {text.note(basket)}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BasketTable;
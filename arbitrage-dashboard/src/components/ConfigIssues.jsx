@@ -0,0 +1,49 @@
+import { useState } from 'react';
+
+/**
+ * Banner listing market configuration errors and warnings
+ */
+export function ConfigIssues({ issues, errorCount, warningCount }) {
+  const [expanded, setExpanded] = useState(false);
+
+  if (!issues || issues.length === 0) return null;
+
+  const hasErrors = errorCount > 0;
+
+  return (
+    <div className={`mb-6 p-3 rounded-lg border text-sm ${
+      hasErrors ? 'bg-red-50 border-red-200 text-red-600' : 'bg-amber-50 border-amber-200 text-amber-700'
+    }`}>
+      <div className="flex items-center justify-between">
+        <span>
+          Market config: {errorCount > 0 && `${errorCount} error${errorCount === 1 ? '' : 's'}`}
+          {errorCount > 0 && warningCount > 0 && ', '}
+          {warningCount > 0 && `${warningCount} warning${warningCount === 1 ? '' : 's'}`}
+        </span>
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="text-xs underline"
+        >
+          {expanded ? 'Hide' : 'Show'}
+        </button>
+      </div>
+
+      {expanded && (
+        <ul className="mt-2 space-y-1 text-xs">
+          {issues.map((item, i) => (
+            <li key={i} className="flex gap-2">
+              <span className={`font-bold uppercase w-14 ${item.level === 'error' ? 'text-red-600' : 'text-amber-600'}`}>
+                {item.level}
+              </span>
+              <span className="font-mono text-slate-500">{item.marketId}</span>
+              <span className="text-slate-400">{item.field}</span>
+              <span className="text-slate-700">{item.message}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ConfigIssues;
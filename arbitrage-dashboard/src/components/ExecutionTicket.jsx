@@ -0,0 +1,211 @@
+import { EXECUTION_MODES, UNVERIFIED_VENUES } from '../hooks/useExecution';
+
+// Result line per execution status
+const RESULT_STYLES = {
+  'dry-run': { label: 'Dry run - nothing sent', className: 'text-slate-600' },
+  filled: { label: 'Both legs filled', className: 'text-green-600' },
+  hedged: { label: 'Second leg completed by hedging', className: 'text-green-600' },
+  unwound: { label: 'Unpaired shares unwound', className: 'text-amber-600' },
+  exposed: { label: 'LEG RISK - unhedged shares left', className: 'text-red-600 font-bold' },
+  failed: { label: 'First leg did not fill - nothing held', className: 'text-slate-600' },
+  unknown: { label: 'ORDER STATE UNKNOWN - check the orders below on the venue', className: 'text-red-600 font-bold' }
+};
+
+const VENUE_LABELS = { opinion: 'Opinion', poly: 'Poly' };
+
+const CONFIRM_LABELS = {
+  'dry-run': 'Build Orders',
+  mock: 'Run on Mock',
+  live: 'Send Orders'
+};
+
+/**
+ * Order ticket for two-leg execution: plan, mode, leg order, leg-risk policy and the run log
+ * @param {Object} execution - From useExecution
+ * @param {boolean} [replaying] - Capture replay running (live mode unavailable)
+ */
+export function ExecutionTicket({ execution, replaying = false }) {
+  const { options, setOptions, credentials, setCredentials, ticket, confirm, dismiss } = execution;
+  if (!ticket) return null;
+
+  const { title, plan, error, running, steps, result } = ticket;
+  const live = options.mode === 'live';
+  const resultStyle = result ? RESULT_STYLES[result.status] : null;
+
+  return (
+    <div className={`mb-6 p-3 rounded-lg border text-sm ${live ? 'bg-red-50 border-red-200' : 'bg-slate-50 border-slate-200'}`}>
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center gap-2">
+          <span className="font-bold text-slate-700">EXECUTE</span>
+          <span className="text-slate-600">{title}</span>
+          {plan && (
+            <span className="text-xs text-slate-500 font-mono">
+              {plan.direction === 'opinion-yes' ? 'Opinion YES + Poly NO' : 'Poly YES + Opinion NO'} · {plan.shares} sh · ~${plan.expectedCost.toFixed(2)}
+            </span>
+          )}
+        </div>
+        <button
+          onClick={dismiss}
+          disabled={running}
+          className="text-slate-400 hover:text-slate-600 disabled:opacity-50"
+        >
+          ✕
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-2 text-xs text-red-600">{error}</div>
+      )}
+
+      {plan && (
+        <>
+          {/* Legs */}
+          <div className="grid grid-cols-6 gap-2 text-xs font-mono text-slate-500 mb-2">
+            <span>Venue</span>
+            <span>Token</span>
+            <span className="text-right">Size</span>
+            <span className="text-right">Limit</span>
+            <span className="text-right">Expected avg</span>
+            <span className="text-right">Unwind at</span>
+            {plan.legs.map(leg => [
+              <span key={`${leg.venue}-venue`} className={leg.venue === 'opinion' ? 'text-orange-600' : 'text-blue-600'}>{VENUE_LABELS[leg.venue]}</span>,
+              <span key={`${leg.venue}-token`} className="truncate" title={leg.tokenId}>{leg.tokenId.slice(0, 10)}…</span>,
+              <span key={`${leg.venue}-size`} className="text-right text-slate-700">{leg.size}</span>,
+              <span key={`${leg.venue}-price`} className="text-right text-slate-700">{(leg.price * 100).toFixed(1)}¢</span>,
+              <span key={`${leg.venue}-avg`} className="text-right">{(leg.expectedAvgPrice * 100).toFixed(2)}¢</span>,
+              <span key={`${leg.venue}-unwind`} className="text-right">{(leg.unwindPrice * 100).toFixed(1)}¢</span>
+            ])}
+          </div>
+
+          {/* Options */}
+          <div className="flex flex-wrap items-center gap-4 text-xs text-slate-600">
+            <label className="flex items-center gap-1">
+              Mode
+              <select
+                value={options.mode}
+                disabled={running}
+                onChange={(e) => setOptions({ mode: e.target.value })}
+                className="px-1 py-0.5 border border-slate-200 rounded bg-white"
+              >
+                {EXECUTION_MODES.map(mode => (
+                  <option key={mode} value={mode} disabled={mode === 'live' && (replaying || UNVERIFIED_VENUES.length > 0)}>
+                    {mode === 'live' && UNVERIFIED_VENUES.length > 0 ? 'live (unverified venues)' : mode}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-1">
+              First leg
+              <select
+                value={options.legOrder}
+                disabled={running}
+                onChange={(e) => setOptions({ legOrder: e.target.value })}
+                className="px-1 py-0.5 border border-slate-200 rounded bg-white"
+              >
+                <option value="opinion-first">Opinion</option>
+                <option value="poly-first">Poly</option>
+              </select>
+            </label>
+            <label className="flex items-center gap-1">
+              If the second leg falls short
+              <select
+                value={options.onLegRisk}
+                disabled={running}
+                onChange={(e) => setOptions({ onLegRisk: e.target.value })}
+                className="px-1 py-0.5 border border-slate-200 rounded bg-white"
+              >
+                <option value="hedge">hedge, then unwind</option>
+                <option value="unwind">unwind the first leg</option>
+              </select>
+            </label>
+
+            {/* Mock exchange behaviour (exercises the leg-risk paths) */}
+            {options.mode === 'mock' && ['opinion', 'poly'].map(venue => (
+              <span key={venue} className="flex items-center gap-1">
+                {VENUE_LABELS[venue]} fills
+                <select
+                  value={options.mock[venue].fillRatio}
+                  disabled={running}
+                  onChange={(e) => setOptions({ mock: { ...options.mock, [venue]: { ...options.mock[venue], fillRatio: Number(e.target.value) } } })}
+                  className="px-1 py-0.5 border border-slate-200 rounded bg-white"
+                >
+                  <option value={1}>100%</option>
+                  <option value={0.5}>50%</option>
+                  <option value={0}>0%</option>
+                </select>
+                <label className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={options.mock[venue].reject}
+                    disabled={running}
+                    onChange={(e) => setOptions({ mock: { ...options.mock, [venue]: { ...options.mock[venue], reject: e.target.checked } } })}
+                  />
+                  reject
+                </label>
+              </span>
+            ))}
+
+            <button
+              onClick={confirm}
+              disabled={running}
+              className={`ml-auto px-4 py-1 text-xs rounded text-white disabled:opacity-50 ${live ? 'bg-red-600 hover:bg-red-500' : 'bg-slate-800 hover:bg-slate-700'}`}
+            >
+              {running ? 'Running...' : CONFIRM_LABELS[options.mode]}
+            </button>
+          </div>
+
+          {/* Live API credentials (memory only) */}
+          {live && (
+            <div className="grid grid-cols-4 gap-2 mt-2">
+              {[
+                { venue: 'poly', field: 'apiKey', label: 'Poly API key' },
+                { venue: 'poly', field: 'secret', label: 'Poly API secret' },
+                { venue: 'poly', field: 'passphrase', label: 'Poly passphrase' },
+                { venue: 'opinion', field: 'apiKey', label: 'Opinion API key' }
+              ].map(({ venue, field, label }) => (
+                <input
+                  key={`${venue}-${field}`}
+                  type="password"
+                  value={credentials[venue][field]}
+                  disabled={running}
+                  onChange={(e) => setCredentials(venue, { [field]: e.target.value })}
+                  placeholder={label}
+                  className="px-2 py-1 text-xs border border-red-200 rounded focus:outline-none focus:border-red-300"
+                />
+              ))}
+              <p className="col-span-4 text-xs text-red-500">
+                Orders are signed by the browser wallet for the addresses under Set Wallet. Keys are not saved.
+              </p>
+            </div>
+          )}
+        </>
+      )}
+
+      {/* Run log */}
+      {steps.length > 0 && (
+        <div className="mt-2 p-2 bg-white rounded border border-slate-200 font-mono text-xs space-y-0.5">
+          {steps.map((step, i) => (
+            <div key={i}>
+              <span className={step.venue === 'opinion' ? 'text-orange-600' : 'text-blue-600'}>{VENUE_LABELS[step.venue]}</span>
+              <span className="text-slate-600"> {step.message}</span>
+            </div>
+          ))}
+        </div>
+      )}
+      {resultStyle && (
+        <div className={`mt-2 text-xs ${resultStyle.className}`}>
+          {resultStyle.label}
+          {result.status !== 'dry-run' && result.status !== 'failed' && ` - ${result.shares.toFixed(2)} pairs held`}
+          {result.exposure && ` - ${result.exposure.shares.toFixed(2)} ${VENUE_LABELS[result.exposure.venue]} shares unhedged`}
+          {result.unknown?.map((order, i) => (
+            <div key={i} className="font-mono">
+              {VENUE_LABELS[order.venue]} {order.side} {order.size} · {order.id ? `order ${order.id}` : 'no order id (request may have reached the venue)'}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ExecutionTicket;
@@ -0,0 +1,118 @@
+import { useState } from 'react';
+
+const VENUE_LABELS = { opinion: 'Opinion', poly: 'Poly' };
+
+/**
+ * Format a settlement P&L as signed dollars
+ */
+function formatPnl(value) {
+  return `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(2)}`;
+}
+
+/**
+ * Held shares of one outcome per venue and side, e.g. "Opinion 500 YES · Poly 420 NO"
+ */
+function formatHoldings(holdings) {
+  const parts = [];
+  for (const venue of ['opinion', 'poly']) {
+    for (const side of ['yes', 'no']) {
+      const shares = holdings[venue][side];
+      if (shares > 0) parts.push(`${VENUE_LABELS[venue]} ${shares.toFixed(0)} ${side.toUpperCase()}`);
+    }
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Worst settlement scenario of an event
+ */
+function describeScenario(event) {
+  if (event.worstScenario === null) return 'each outcome at its worst';
+  if (event.worstScenario === 'none') return 'if no held outcome wins';
+  return `if ${event.worstScenario} wins`;
+}
+
+/**
+ * Unhedged held shares: YES/NO imbalance per outcome, worst case at
+ * settlement per event, and the trade that rebalances each outcome
+ * @param {Object} exposures - From usePositions
+ */
+export function ExposurePanel({ exposures }) {
+  const [expanded, setExpanded] = useState(true);
+
+  if (!exposures || exposures.events.length === 0) return null;
+
+  const { events, totalLoss } = exposures;
+  const outcomeCount = events.reduce((sum, e) => sum + e.outcomes.length, 0);
+
+  return (
+    <div className="card rounded-lg mb-4 overflow-hidden border border-red-200">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full px-4 py-2 bg-red-600 flex items-center justify-between"
+      >
+        <span className="font-bold text-white text-sm">
+          Unhedged Exposure · {outcomeCount} outcome{outcomeCount === 1 ? '' : 's'}
+        </span>
+        <span className="text-red-100 text-xs">
+          {totalLoss > 0 ? `Worst case -$${totalLoss.toFixed(2)} at settlement` : 'No loss at settlement'} {expanded ? '▾' : '▸'}
+        </span>
+      </button>
+
+      {expanded && (
+        <div className="divide-y divide-slate-100 text-xs">
+          {events.map(event => (
+            <div key={event.marketId} className="px-4 py-2">
+              <div className="flex items-center justify-between mb-1">
+                <span className="font-bold text-slate-700">{event.marketName}</span>
+                <span className={event.worstCase < 0 ? 'text-red-600 font-bold' : 'text-green-600'}>
+                  Worst case {formatPnl(event.worstCase)} {describeScenario(event)}
+                  {event.exclusive && <span className="ml-1 text-slate-400 font-normal">(exclusive)</span>}
+                </span>
+              </div>
+
+              {event.outcomes.map(exposure => (
+                <OutcomeExposure key={exposure.outcome} exposure={exposure} />
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * One outcome: holdings, imbalance, settlement P&L both ways and the rebalancing trade
+ */
+function OutcomeExposure({ exposure }) {
+  const { rebalance } = exposure;
+
+  return (
+    <div className="grid grid-cols-12 gap-2 py-1 items-center font-mono">
+      <span className="col-span-2 font-bold text-slate-700 font-sans">{exposure.outcome}</span>
+      <span className="col-span-3 text-slate-500">{formatHoldings(exposure.holdings)}</span>
+      <span className={`col-span-1 font-bold ${exposure.long === 'yes' ? 'text-green-600' : 'text-red-600'}`}>
+        {exposure.unpaired.toFixed(0)} {exposure.long.toUpperCase()}
+      </span>
+      <span className="col-span-2 text-slate-500">
+        YES {formatPnl(exposure.settleIfYes)} · NO {formatPnl(exposure.settleIfNo)}
+      </span>
+      <span className="col-span-4 text-slate-600">
+        {rebalance ? (
+          <>
+            Buy {rebalance.shares.toFixed(0)} {rebalance.side.toUpperCase()} on{' '}
+            <span className={rebalance.venue === 'opinion' ? 'text-orange-600' : 'text-blue-600'}>{VENUE_LABELS[rebalance.venue]}</span>
+            {' '}@ ≤{(rebalance.limitPrice * 100).toFixed(1)}¢ (${(rebalance.cost + rebalance.fee).toFixed(2)})
+            {' '}→ worst {formatPnl(rebalance.worstCaseAfter)}
+            {!rebalance.complete && <span className="text-amber-600"> · book too thin for all</span>}
+          </>
+        ) : (
+          <span className="text-amber-600">No {exposure.long === 'yes' ? 'NO' : 'YES'} asks to rebalance against</span>
+        )}
+      </span>
+    </div>
+  );
+}
+
+export default ExposurePanel;
@@ -3,8 +3,8 @@ import { getMarketTypes } from '../config/markets';
 /**
  * Filter and sort controls
  */
-export function FilterBar({ filter, sortBy, profitableOnly, myPositionsOnly, onFilterChange, onSortChange, onProfitableOnlyChange, onMyPositionsOnlyChange }) {
-  const types = getMarketTypes();
+export function FilterBar({ markets, filter, sortBy, profitableOnly, myPositionsOnly, onFilterChange, onSortChange, onProfitableOnlyChange, onMyPositionsOnlyChange }) {
+  const types = getMarketTypes(markets);
 
   const sortOptions = [
     { value: 'netProfit', label: 'Profit %' },
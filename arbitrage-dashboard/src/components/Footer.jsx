@@ -27,6 +27,14 @@ export function Footer() {
                 Net profit {'>'} 2%. Valid opportunity, check depth before trading.
               </span>
             </div>
+            <div className="flex items-start gap-2">
+              <span className="border border-amber-400 text-amber-500 px-1.5 py-0.5 rounded font-bold">
+                STALE
+              </span>
+              <span>
+                A leg's quote is too old (or SKEW: legs priced too far apart). Signal downgraded one level.
+              </span>
+            </div>
             <div className="pt-2 border-t border-slate-200">
               <div className="font-medium text-slate-700 mb-1">Workflow:</div>
               <ol className="list-decimal list-inside space-y-1 text-slate-500">
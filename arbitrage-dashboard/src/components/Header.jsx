@@ -1,13 +1,25 @@
 import { useState } from 'react';
 import { formatTime } from '../utils/format';
+import { MarketSyncPanel } from './MarketSyncPanel';
+import { MarketRegistryPanel } from './MarketRegistryPanel';
+import { OutcomeMappingPanel } from './OutcomeMappingPanel';
+import { getMarketTypes } from '../config/markets';
 
 /**
  * Header component with title, connection status, wallet settings, and last update time
  */
-export function Header({ connectionStatus, lastUpdate, pollingInfo, wallet, onWalletChange, positionsInfo, settings, onSettingsChange }) {
+export function Header({ connectionStatus, streamStatus, lastUpdate, pollingInfo, wallet, onWalletChange, bankroll, onBankrollChange, marketSync, marketRegistry, outcomeMappings, alerts, capture, paper, positionsInfo, settings, onSettingsChange }) {
   const { current, total, markets } = pollingInfo || {};
   const [showWalletSettings, setShowWalletSettings] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
+  const [showBankroll, setShowBankroll] = useState(false);
+  const [showSync, setShowSync] = useState(false);
+  const [showMarkets, setShowMarkets] = useState(false);
+  const [showMappings, setShowMappings] = useState(false);
+  const [showAlerts, setShowAlerts] = useState(false);
+  const [showPaper, setShowPaper] = useState(false);
+  const unmappedCount = outcomeMappings?.unmappedCount || 0;
+  const hasBankroll = bankroll?.opinion > 0 || bankroll?.poly > 0;
 
   return (
     <header className="mb-6">
@@ -27,10 +39,12 @@ export function Header({ connectionStatus, lastUpdate, pollingInfo, wallet, onWa
             <ConnectionIndicator
               name="Opinion"
               status={connectionStatus.opinion}
+              streamStatus={streamStatus?.opinion}
             />
             <ConnectionIndicator
               name="Poly"
               status={connectionStatus.poly}
+              streamStatus={streamStatus?.poly}
             />
           </div>
 
@@ -44,6 +58,64 @@ export function Header({ connectionStatus, lastUpdate, pollingInfo, wallet, onWa
             </div>
           )}
 
+          {positionsInfo?.unmapped?.length > 0 && (
+            <button
+              onClick={() => setShowMappings(true)}
+              title={`No confirmed outcome mapping (not matched or priced):\n${positionsInfo.unmapped.map(p => p.marketTitle || p.eventSlug).join('\n')}`}
+              className="text-xs text-amber-600 hover:text-amber-700"
+            >
+              {positionsInfo.unmapped.length} unmapped Poly positions
+            </button>
+          )}
+
+          {/* Book recording button (downloads the capture on stop) */}
+          {capture && (
+            <button
+              onClick={capture.recording ? capture.stopRecording : capture.startRecording}
+              disabled={!!capture.replay}
+              title="Record every fetched book to a replayable capture file"
+              className={`px-3 py-1 text-xs rounded border transition-colors disabled:opacity-50 ${
+                capture.recording
+                  ? 'bg-red-50 border-red-200 text-red-600'
+                  : 'bg-slate-100 border-slate-200 text-slate-600 hover:bg-slate-200'
+              }`}
+            >
+              {capture.recording ? `■ Stop Rec (${capture.recorder.count})` : '● Rec'}
+            </button>
+          )}
+
+          {/* Replay a capture file */}
+          {capture && (
+            <label className="px-3 py-1 text-xs rounded border transition-colors bg-slate-100 border-slate-200 text-slate-600 hover:bg-slate-200 cursor-pointer">
+              ▶ Replay
+              <input
+                type="file"
+                accept=".gz,.jsonl"
+                className="hidden"
+                onChange={(e) => {
+                  if (e.target.files[0]) capture.loadReplay(e.target.files[0]);
+                  e.target.value = '';
+                }}
+              />
+            </label>
+          )}
+
+          {/* Paper trading button */}
+          {paper && (
+            <button
+              onClick={() => setShowPaper(!showPaper)}
+              className={`px-3 py-1 text-xs rounded border transition-colors ${
+                paper.enabled
+                  ? 'bg-indigo-50 border-dashed border-indigo-300 text-indigo-700'
+                  : 'bg-slate-100 border-slate-200 text-slate-600 hover:bg-slate-200'
+              }`}
+            >
+              {paper.enabled
+                ? `📝 Paper ${paper.matchedPositions.size} open ${paper.realisedPnl >= 0 ? '+' : '-'}$${Math.abs(paper.realisedPnl).toFixed(2)}`
+                : '📝 Paper'}
+            </button>
+          )}
+
           {/* Settings button */}
           <button
             onClick={() => setShowSettings(!showSettings)}
@@ -52,6 +124,58 @@ export function Header({ connectionStatus, lastUpdate, pollingInfo, wallet, onWa
             ⚙ Settings
           </button>
 
+          {/* Alerts button */}
+          <button
+            onClick={() => setShowAlerts(!showAlerts)}
+            className={`px-3 py-1 text-xs rounded border transition-colors ${
+              alerts?.rules.enabled
+                ? 'bg-green-50 border-green-200 text-green-700'
+                : 'bg-slate-100 border-slate-200 text-slate-600 hover:bg-slate-200'
+            }`}
+          >
+            {alerts?.rules.enabled ? '🔔 Alerts On' : '🔕 Alerts'}
+          </button>
+
+          {/* Market registry button */}
+          <button
+            onClick={() => setShowMarkets(!showMarkets)}
+            className="px-3 py-1 text-xs rounded border transition-colors bg-slate-100 border-slate-200 text-slate-600 hover:bg-slate-200"
+          >
+            Markets ({marketRegistry?.markets.length || 0})
+          </button>
+
+          {/* Outcome mapping button */}
+          <button
+            onClick={() => setShowMappings(!showMappings)}
+            className={`px-3 py-1 text-xs rounded border transition-colors ${
+              unmappedCount > 0
+                ? 'bg-amber-50 border-amber-200 text-amber-700'
+                : 'bg-slate-100 border-slate-200 text-slate-600 hover:bg-slate-200'
+            }`}
+          >
+            {unmappedCount > 0 ? `Map Outcomes (${unmappedCount})` : 'Map Outcomes'}
+          </button>
+
+          {/* Market sync button */}
+          <button
+            onClick={() => setShowSync(!showSync)}
+            className="px-3 py-1 text-xs rounded border transition-colors bg-slate-100 border-slate-200 text-slate-600 hover:bg-slate-200"
+          >
+            {marketSync?.syncing ? 'Syncing...' : '⟳ Sync Markets'}
+          </button>
+
+          {/* Bankroll button */}
+          <button
+            onClick={() => setShowBankroll(!showBankroll)}
+            className={`px-3 py-1 text-xs rounded border transition-colors ${
+              hasBankroll
+                ? 'bg-green-50 border-green-200 text-green-700'
+                : 'bg-slate-100 border-slate-200 text-slate-600 hover:bg-slate-200'
+            }`}
+          >
+            {hasBankroll ? `$${((bankroll.opinion || 0) + (bankroll.poly || 0)).toFixed(0)}` : 'Set Bankroll'}
+          </button>
+
           {/* Wallet settings button */}
           <button
             onClick={() => setShowWalletSettings(!showWalletSettings)}
@@ -93,6 +217,63 @@ export function Header({ connectionStatus, lastUpdate, pollingInfo, wallet, onWa
         />
       )}
 
+      {/* Alert rules panel */}
+      {showAlerts && alerts && (
+        <AlertSettings
+          alerts={alerts}
+          marketTypes={getMarketTypes(marketRegistry?.markets).filter(type => type !== 'ALL')}
+          onClose={() => setShowAlerts(false)}
+        />
+      )}
+
+      {/* Paper trading panel */}
+      {showPaper && paper && (
+        <PaperSettings
+          paper={paper}
+          onClose={() => setShowPaper(false)}
+        />
+      )}
+
+      {/* Market registry panel */}
+      {showMarkets && marketRegistry && (
+        <MarketRegistryPanel
+          registry={marketRegistry}
+          onClose={() => setShowMarkets(false)}
+          onResolved={(market) => {
+            outcomeMappings?.proposeFor(market);
+            setShowMappings(true);
+          }}
+        />
+      )}
+
+      {/* Outcome mapping panel */}
+      {showMappings && outcomeMappings && (
+        <OutcomeMappingPanel
+          markets={marketRegistry?.markets || []}
+          mappings={outcomeMappings}
+          onClose={() => setShowMappings(false)}
+        />
+      )}
+
+      {/* Market sync panel */}
+      {showSync && (
+        <MarketSyncPanel
+          sync={marketSync?.sync}
+          syncing={marketSync?.syncing}
+          onSync={marketSync?.runSync}
+          onClose={() => setShowSync(false)}
+        />
+      )}
+
+      {/* Bankroll panel */}
+      {showBankroll && (
+        <BankrollSettings
+          bankroll={bankroll}
+          onBankrollChange={onBankrollChange}
+          onClose={() => setShowBankroll(false)}
+        />
+      )}
+
       {/* Wallet settings panel */}
       {showWalletSettings && (
         <WalletSettings
@@ -177,6 +358,296 @@ function SettingsPanel({ settings, onSettingsChange, onClose }) {
   );
 }
 
+/**
+ * Bankroll panel: available USDC per platform and sizing caps
+ */
+function BankrollSettings({ bankroll, onBankrollChange, onClose }) {
+  const [opinion, setOpinion] = useState(bankroll?.opinion || '');
+  const [poly, setPoly] = useState(bankroll?.poly || '');
+  const [maxPerMarket, setMaxPerMarket] = useState(bankroll?.maxPerMarket || '');
+  const [maxPerEvent, setMaxPerEvent] = useState(bankroll?.maxPerEvent || '');
+
+  const handleSave = () => {
+    onBankrollChange({
+      opinion: parseFloat(opinion) || 0,
+      poly: parseFloat(poly) || 0,
+      maxPerMarket: parseFloat(maxPerMarket) || 0,
+      maxPerEvent: parseFloat(maxPerEvent) || 0
+    });
+    onClose();
+  };
+
+  const fields = [
+    { label: 'Opinion USDC', value: opinion, onChange: setOpinion, hint: 'Available balance', focus: 'focus:border-orange-300' },
+    { label: 'Polymarket USDC', value: poly, onChange: setPoly, hint: 'Available balance', focus: 'focus:border-blue-300' },
+    { label: 'Max per Market', value: maxPerMarket, onChange: setMaxPerMarket, hint: 'USD per outcome (empty = no cap)', focus: 'focus:border-green-300' },
+    { label: 'Max per Event', value: maxPerEvent, onChange: setMaxPerEvent, hint: 'USD across an event (empty = no cap)', focus: 'focus:border-green-300' }
+  ];
+
+  return (
+    <div className="mt-4 p-4 bg-slate-50 rounded-lg border border-slate-200">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-bold text-slate-700">Bankroll</h3>
+        <button
+          onClick={onClose}
+          className="text-slate-400 hover:text-slate-600"
+        >
+          ✕
+        </button>
+      </div>
+      <div className="grid grid-cols-4 gap-4">
+        {fields.map(field => (
+          <div key={field.label}>
+            <label className="block text-xs text-slate-500 mb-1">{field.label}</label>
+            <input
+              type="number"
+              min="0"
+              step="10"
+              value={field.value}
+              onChange={(e) => field.onChange(e.target.value)}
+              placeholder="0"
+              className={`w-full px-3 py-1.5 text-sm border border-slate-200 rounded focus:outline-none ${field.focus}`}
+            />
+            <p className="text-xs text-slate-400 mt-1">{field.hint}</p>
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-end mt-3">
+        <button
+          onClick={handleSave}
+          className="px-4 py-1 text-xs bg-slate-800 text-white rounded hover:bg-slate-700"
+        >
+          Save
+        </button>
+      </div>
+      <p className="text-xs text-slate-400 mt-2">
+        Opportunities are sized best-first against these balances; each card shows the executable shares and cash per leg.
+      </p>
+    </div>
+  );
+}
+
+/**
+ * Paper trading panel: mode, auto-take and the simulated record
+ */
+function PaperSettings({ paper, onClose }) {
+  const { enabled, auto, minSignal, setOptions, matchedPositions, trades, realisedPnl, reset } = paper;
+  const wins = trades.filter(trade => trade.pnl > 0).length;
+
+  const handleReset = () => {
+    if (window.confirm('Drop all paper positions and trades?')) reset();
+  };
+
+  return (
+    <div className="mt-4 p-4 bg-slate-50 rounded-lg border border-slate-200">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-bold text-slate-700">Paper Trading</h3>
+        <button
+          onClick={onClose}
+          className="text-slate-400 hover:text-slate-600"
+        >
+          ✕
+        </button>
+      </div>
+      <div className="flex items-center gap-6 text-xs text-slate-600">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={enabled}
+            onChange={(e) => setOptions({ enabled: e.target.checked })}
+          />
+          Paper mode
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={auto}
+            disabled={!enabled}
+            onChange={(e) => setOptions({ auto: e.target.checked })}
+          />
+          Auto-take signals from
+          <select
+            value={minSignal}
+            disabled={!enabled}
+            onChange={(e) => setOptions({ minSignal: e.target.value })}
+            className="px-1 py-0.5 border border-slate-200 rounded bg-white"
+          >
+            <option value="GO">GO</option>
+            <option value="HOT">HOT</option>
+          </select>
+        </label>
+        <span className="font-mono">
+          {matchedPositions.size} open · {trades.length} closed ({wins} won) ·
+          <span className={realisedPnl >= 0 ? 'text-green-600' : 'text-red-500'}>
+            {' '}{realisedPnl >= 0 ? '+' : '-'}${Math.abs(realisedPnl).toFixed(2)} realised
+          </span>
+        </span>
+        <button
+          onClick={handleReset}
+          className="ml-auto px-3 py-1 text-xs text-red-600 border border-red-200 rounded hover:bg-red-50"
+        >
+          Reset
+        </button>
+      </div>
+      <p className="text-xs text-slate-400 mt-2">
+        Paper Buy walks the current asks (per-fill fees included); simulated holdings show on each card with their exit P/L.
+        Auto mode takes new signals at the executable size and closes positions that meet the exit threshold.
+      </p>
+    </div>
+  );
+}
+
+/**
+ * Alert rules panel: desktop notifications and sound for HOT/GO signals
+ */
+function AlertSettings({ alerts, marketTypes, onClose }) {
+  const { rules, setRules, permission, requestPermission, testAlert } = alerts;
+  const [draft, setDraft] = useState({
+    ...rules,
+    minProfit: rules.minProfit || '',
+    minShares: rules.minShares || '',
+    minExposureLoss: rules.minExposureLoss || '',
+    cooldown: rules.cooldown / 60000
+  });
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const toggleType = (type) => update({
+    marketTypes: draft.marketTypes.includes(type)
+      ? draft.marketTypes.filter(t => t !== type)
+      : [...draft.marketTypes, type]
+  });
+
+  const handleSave = () => {
+    setRules({
+      ...draft,
+      minProfit: parseFloat(draft.minProfit) || 0,
+      minShares: parseFloat(draft.minShares) || 0,
+      minExposureLoss: parseFloat(draft.minExposureLoss) || 0,
+      cooldown: (parseFloat(draft.cooldown) || 0) * 60000
+    });
+    if (draft.enabled && permission === 'default') {
+      requestPermission();
+    }
+    onClose();
+  };
+
+  const selectClass = 'w-full px-3 py-1.5 text-sm border border-slate-200 rounded focus:outline-none focus:border-green-300';
+
+  return (
+    <div className="mt-4 p-4 bg-slate-50 rounded-lg border border-slate-200">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-bold text-slate-700">Alerts</h3>
+        <button
+          onClick={onClose}
+          className="text-slate-400 hover:text-slate-600"
+        >
+          ✕
+        </button>
+      </div>
+      <div className="flex items-center gap-6 mb-3 text-xs text-slate-600">
+        <label className="flex items-center gap-1.5">
+          <input type="checkbox" checked={draft.enabled} onChange={(e) => update({ enabled: e.target.checked })} />
+          Enabled
+        </label>
+        <label className="flex items-center gap-1.5">
+          <input type="checkbox" checked={draft.sound} onChange={(e) => update({ sound: e.target.checked })} />
+          Sound
+        </label>
+        <label className="flex items-center gap-1.5">
+          <input type="checkbox" checked={draft.exitAlerts} onChange={(e) => update({ exitAlerts: e.target.checked })} />
+          EXIT NOW alerts
+        </label>
+        <label className="flex items-center gap-1.5">
+          <input type="checkbox" checked={draft.exposureAlerts} onChange={(e) => update({ exposureAlerts: e.target.checked })} />
+          Exposure alerts
+        </label>
+        <span className={permission === 'granted' ? 'text-green-600' : 'text-amber-600'}>
+          Notifications: {permission}
+        </span>
+        {permission === 'default' && (
+          <button onClick={requestPermission} className="underline text-slate-500 hover:text-slate-700">
+            Allow
+          </button>
+        )}
+      </div>
+      <div className="grid grid-cols-6 gap-4">
+        <div>
+          <label className="block text-xs text-slate-500 mb-1">Signal</label>
+          <select value={draft.minSignal} onChange={(e) => update({ minSignal: e.target.value })} className={selectClass}>
+            <option value="GO">GO or HOT</option>
+            <option value="HOT">HOT only</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-slate-500 mb-1">Min Profit ($)</label>
+          <input type="number" min="0" step="1" value={draft.minProfit} placeholder="0"
+            onChange={(e) => update({ minProfit: e.target.value })} className={selectClass} />
+        </div>
+        <div>
+          <label className="block text-xs text-slate-500 mb-1">Min Shares</label>
+          <input type="number" min="0" step="10" value={draft.minShares} placeholder="0"
+            onChange={(e) => update({ minShares: e.target.value })} className={selectClass} />
+        </div>
+        <div>
+          <label className="block text-xs text-slate-500 mb-1">Position</label>
+          <select value={draft.position} onChange={(e) => update({ position: e.target.value })} className={selectClass}>
+            <option value="any">Any</option>
+            <option value="held">Held only</option>
+            <option value="not-held">Not held</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-slate-500 mb-1">Min Exposure Loss ($)</label>
+          <input type="number" min="0" step="1" value={draft.minExposureLoss} placeholder="0"
+            onChange={(e) => update({ minExposureLoss: e.target.value })} className={selectClass} />
+        </div>
+        <div>
+          <label className="block text-xs text-slate-500 mb-1">Cooldown (min)</label>
+          <input type="number" min="0" step="1" value={draft.cooldown}
+            onChange={(e) => update({ cooldown: e.target.value })} className={selectClass} />
+        </div>
+      </div>
+      {marketTypes.length > 0 && (
+        <div className="flex items-center gap-2 mt-3 text-xs">
+          <span className="text-slate-500">Market types:</span>
+          {marketTypes.map(type => (
+            <button
+              key={type}
+              onClick={() => toggleType(type)}
+              className={`px-2 py-0.5 rounded border ${
+                draft.marketTypes.includes(type)
+                  ? 'bg-green-50 border-green-300 text-green-700'
+                  : 'bg-white border-slate-200 text-slate-500'
+              }`}
+            >
+              {type}
+            </button>
+          ))}
+          <span className="text-slate-400">{draft.marketTypes.length === 0 ? '(all)' : ''}</span>
+        </div>
+      )}
+      <div className="flex justify-end gap-2 mt-3">
+        <button
+          onClick={testAlert}
+          className="px-3 py-1 text-xs text-slate-500 hover:text-slate-700"
+        >
+          Test
+        </button>
+        <button
+          onClick={handleSave}
+          className="px-4 py-1 text-xs bg-slate-800 text-white rounded hover:bg-slate-700"
+        >
+          Save
+        </button>
+      </div>
+      <p className="text-xs text-slate-400 mt-2">
+        Profit and shares are checked at the executable size when a bankroll is set. Each opportunity alerts once per cooldown (again if it escalates from GO to HOT).
+      </p>
+    </div>
+  );
+}
+
 /**
  * Wallet settings panel
  */
@@ -254,8 +725,9 @@ function WalletSettings({ wallet, onWalletChange, onClose }) {
 
 /**
  * Connection status indicator
+ * Shows a LIVE tag while the venue's books are streamed (REST polling otherwise)
  */
-function ConnectionIndicator({ name, status }) {
+function ConnectionIndicator({ name, status, streamStatus }) {
   const getStatusColor = () => {
     switch (status) {
       case 'connected':
@@ -286,6 +758,16 @@ function ConnectionIndicator({ name, status }) {
     <div className="flex items-center gap-2">
       <div className={`w-2 h-2 rounded-full ${getStatusColor()}`} />
       <span className="text-xs text-slate-400">{name}</span>
+      {streamStatus === 'live' && (
+        <span className="text-[10px] font-bold text-green-600" title="Streaming orderbooks">
+          LIVE
+        </span>
+      )}
+      {streamStatus === 'down' && (
+        <span className="text-[10px] text-amber-500" title="Stream down, polling via REST">
+          REST
+        </span>
+      )}
     </div>
   );
 }
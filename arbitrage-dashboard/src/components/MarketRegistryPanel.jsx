@@ -0,0 +1,165 @@
+import { useState } from 'react';
+
+// Empty add/edit form
+const EMPTY_FORM = { topicId: '', slug: '', name: '', type: '', settlementDate: '' };
+
+/**
+ * Market registry panel: add, edit and remove monitored markets
+ * New markets only need an Opinion topicId and a Polymarket slug;
+ * outcomes and token IDs are resolved from both venues.
+ * @param {function} [onResolved] - Called with a market whose outcomes were (re-)resolved,
+ *   so its Polymarket mappings can be proposed for confirmation
+ */
+export function MarketRegistryPanel({ registry, onClose, onResolved }) {
+  const { markets, addMarket, updateMarket, removeMarket, resetMarkets } = registry;
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const startEdit = (market) => {
+    setEditingId(market.id);
+    setError(null);
+    setForm({
+      topicId: market.opinion?.topicId ?? '',
+      slug: market.poly?.slug || '',
+      name: market.name || '',
+      type: market.type || '',
+      settlementDate: market.settlementDate || ''
+    });
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+    setError(null);
+  };
+
+  const handleSubmit = async () => {
+    if (!form.topicId || !form.slug.trim()) {
+      setError('Opinion topicId and Polymarket slug are required');
+      return;
+    }
+
+    setBusy(true);
+    setError(null);
+    try {
+      const resolved = editingId
+        ? await updateMarket(editingId, {
+          ...form,
+          type: form.type.trim() || 'Other',
+          settlementDate: form.settlementDate || undefined
+        })
+        : await addMarket(form);
+      cancelEdit();
+      if (resolved) onResolved?.(resolved);
+    } catch (err) {
+      setError(err.message || 'Failed to resolve market');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleReset = () => {
+    if (window.confirm('Replace the market registry with src/config/markets.js?')) {
+      resetMarkets();
+      cancelEdit();
+    }
+  };
+
+  const fields = [
+    { key: 'topicId', label: 'Opinion topicId', placeholder: '200', type: 'number' },
+    { key: 'slug', label: 'Polymarket slug', placeholder: 'event-slug', type: 'text' },
+    { key: 'name', label: 'Name', placeholder: 'From Polymarket', type: 'text' },
+    { key: 'type', label: 'Type', placeholder: 'Other', type: 'text' },
+    { key: 'settlementDate', label: 'Settlement', placeholder: '', type: 'date' }
+  ];
+
+  return (
+    <div className="mt-4 p-4 bg-slate-50 rounded-lg border border-slate-200">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-bold text-slate-700">Markets ({markets.length})</h3>
+        <button
+          onClick={onClose}
+          className="text-slate-400 hover:text-slate-600"
+        >
+          ✕
+        </button>
+      </div>
+
+      {/* Registered markets */}
+      <div className="max-h-64 overflow-y-auto divide-y divide-slate-100 bg-white rounded border border-slate-200">
+        {markets.map(market => (
+          <div key={market.id} className={`flex items-center gap-3 px-3 py-1.5 text-xs ${editingId === market.id ? 'bg-blue-50' : ''}`}>
+            <span className="flex-1 truncate text-slate-700">{market.name}</span>
+            <span className="text-slate-400">{market.type}</span>
+            <span className="text-slate-400 font-mono">#{market.opinion?.topicId ?? '—'}</span>
+            <span className="text-slate-400 font-mono truncate w-48">{market.poly?.slug || '—'}</span>
+            <span className="text-slate-500 w-20 text-right">{market.outcomes?.length || 0} outcomes</span>
+            <button
+              onClick={() => startEdit(market)}
+              className="text-blue-500 hover:text-blue-700"
+            >
+              Edit
+            </button>
+            <button
+              onClick={() => removeMarket(market.id)}
+              className="text-red-400 hover:text-red-600"
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {/* Add / edit form */}
+      <div className="grid grid-cols-5 gap-3 mt-3">
+        {fields.map(field => (
+          <div key={field.key}>
+            <label className="block text-xs text-slate-500 mb-1">{field.label}</label>
+            <input
+              type={field.type}
+              value={form[field.key]}
+              onChange={(e) => setForm(prev => ({ ...prev, [field.key]: e.target.value }))}
+              placeholder={field.placeholder}
+              className="w-full px-3 py-1.5 text-sm border border-slate-200 rounded focus:outline-none focus:border-blue-300"
+            />
+          </div>
+        ))}
+      </div>
+
+      {error && <p className="text-xs text-red-500 mt-2">{error}</p>}
+
+      <div className="flex justify-between mt-3">
+        <button
+          onClick={handleReset}
+          className="px-4 py-1 text-xs border border-slate-200 text-slate-600 rounded hover:bg-slate-100"
+        >
+          Reset to Defaults
+        </button>
+        <div className="flex gap-2">
+          {editingId && (
+            <button
+              onClick={cancelEdit}
+              className="px-4 py-1 text-xs border border-slate-200 text-slate-600 rounded hover:bg-slate-100"
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            onClick={handleSubmit}
+            disabled={busy}
+            className="px-4 py-1 text-xs bg-slate-800 text-white rounded hover:bg-slate-700 disabled:opacity-50"
+          >
+            {busy ? 'Resolving...' : editingId ? 'Save' : 'Add Market'}
+          </button>
+        </div>
+      </div>
+      <p className="text-xs text-slate-400 mt-2">
+        Outcomes and token IDs are resolved from both venues by name. Changes are saved in this browser and take effect immediately.
+      </p>
+    </div>
+  );
+}
+
+export default MarketRegistryPanel;
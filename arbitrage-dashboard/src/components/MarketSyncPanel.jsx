@@ -0,0 +1,84 @@
+import { formatTime } from '../utils/format';
+
+/**
+ * Market sync panel: run a sync and review new and unmatched sub-markets
+ */
+export function MarketSyncPanel({ sync, syncing, onSync, onClose }) {
+  const results = sync?.results || [];
+  const newCount = results.reduce((sum, r) => sum + r.newOutcomes.length, 0);
+  const unmatchedCount = results.reduce((sum, r) => sum + r.unmatched.opinion.length + r.unmatched.poly.length, 0);
+  const errorCount = results.filter(r => r.error).length;
+
+  // Only markets with something to review
+  const flagged = results.filter(r =>
+    r.error || r.newOutcomes.length > 0 || r.unmatched.opinion.length > 0 || r.unmatched.poly.length > 0
+  );
+
+  return (
+    <div className="mt-4 p-4 bg-slate-50 rounded-lg border border-slate-200">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-bold text-slate-700">Market Sync</h3>
+        <button
+          onClick={onClose}
+          className="text-slate-400 hover:text-slate-600"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="flex items-center gap-4 text-xs text-slate-500">
+        <button
+          onClick={onSync}
+          disabled={syncing}
+          className="px-4 py-1 text-xs bg-slate-800 text-white rounded hover:bg-slate-700 disabled:opacity-50"
+        >
+          {syncing ? 'Syncing...' : 'Sync Now'}
+        </button>
+        <span>Last sync: {sync?.timestamp ? formatTime(new Date(sync.timestamp)) : '—'}</span>
+        {sync && (
+          <>
+            <span className="text-green-600">{newCount} new</span>
+            <span className="text-amber-600">{unmatchedCount} unmatched</span>
+            {errorCount > 0 && <span className="text-red-500">{errorCount} failed</span>}
+          </>
+        )}
+      </div>
+
+      {flagged.length > 0 && (
+        <div className="mt-3 space-y-2">
+          {flagged.map(result => (
+            <div key={result.marketId} className="p-2 bg-white rounded border border-slate-200 text-xs">
+              <div className="font-medium text-slate-700 mb-1">{result.marketName}</div>
+              {result.error && <div className="text-red-500">{result.error}</div>}
+              <SyncNames label="New" names={result.newOutcomes} className="bg-green-100 text-green-700" />
+              <SyncNames label="Opinion only" names={result.unmatched.opinion} className="bg-orange-100 text-orange-700" />
+              <SyncNames label="Poly only" names={result.unmatched.poly} className="bg-blue-100 text-blue-700" />
+            </div>
+          ))}
+        </div>
+      )}
+
+      <p className="text-xs text-slate-400 mt-2">
+        Sub-markets are matched by name across Opinion and Polymarket. New ones are added to the market registry and monitored right away; unmatched ones need a manual mapping.
+      </p>
+    </div>
+  );
+}
+
+/**
+ * Labelled list of sub-market names
+ */
+function SyncNames({ label, names, className }) {
+  if (!names || names.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-1 mt-1">
+      <span className="text-slate-400 w-20">{label}:</span>
+      {names.map(name => (
+        <span key={name} className={`px-1.5 py-0.5 rounded ${className}`}>{name}</span>
+      ))}
+    </div>
+  );
+}
+
+export default MarketSyncPanel;
@@ -1,4 +1,5 @@
-import { formatPct } from '../utils/format';
+import { formatPct, formatAge } from '../utils/format';
+import { Sparkline } from './Sparkline';
 
 /**
  * Format price as cents
@@ -30,10 +31,18 @@ function formatUsd(usd) {
   return usd.toFixed(2);
 }
 
+// Labels for the constraint that capped an execution size
+const LIMIT_LABELS = {
+  opinion: 'Opinion balance',
+  poly: 'Poly balance',
+  market: 'market cap',
+  event: 'event cap'
+};
+
 /**
  * Main market table showing orderbook style
  */
-export function MarketTable({ opportunities, totalCount = 0, profitableOnly = false, matchedPositions, arbitragePositions, currentPage = 1, totalPages = 1, onPageChange }) {
+export function MarketTable({ opportunities, totalCount = 0, profitableOnly = false, matchedPositions, arbitragePositions, paper = null, onExecute = null, history, signalThreshold = null, currentPage = 1, totalPages = 1, onPageChange }) {
   if (opportunities.length === 0) {
     const message = profitableOnly && totalCount > 0
       ? `No profitable opportunities found. (${totalCount} markets loaded)`
@@ -60,6 +69,10 @@ export function MarketTable({ opportunities, totalCount = 0, profitableOnly = fa
             opp={opp}
             userPosition={userPosition}
             arbPosition={arbPosition}
+            paper={paper}
+            onExecute={onExecute}
+            history={history?.get(positionKey)}
+            signalThreshold={signalThreshold}
           />
         );
       })}
@@ -101,8 +114,10 @@ export function MarketTable({ opportunities, totalCount = 0, profitableOnly = fa
 
 /**
  * Orderbook style card for each outcome
+ * @param {Object} [paper] - usePaperTrading, while paper mode is on (simulated holdings and entry)
+ * @param {function} [onExecute] - (opp) => void, opens the execution ticket
  */
-function OrderbookCard({ opp, userPosition, arbPosition }) {
+function OrderbookCard({ opp, userPosition, arbPosition, paper, onExecute, history, signalThreshold }) {
   // Get orderbook data
   const opinionYes = opp.opinion || {};
   const opinionNo = opp.opinionNo || {};
@@ -119,6 +134,11 @@ function OrderbookCard({ opp, userPosition, arbPosition }) {
   const bestTotalCost = sd.totalCost || 0;
   const bestAvailShares = sd.shares || 0;
 
+  // Runner-up sizes from the full-depth solver (best one is shown as the strategy)
+  const altSizes = (sd.sizePoints || [])
+    .filter(point => point.profit > 0 && point.shares !== bestAvailShares)
+    .slice(0, 3);
+
   // Levels used in the strategy (for highlighting)
   const opinionLevels = sd.opinionLevels || 1;
   const polyLevels = sd.polyLevels || 1;
@@ -127,13 +147,11 @@ function OrderbookCard({ opp, userPosition, arbPosition }) {
   const daysToSettlement = opp.daysToSettlement;
   const annualizedReturn = opp.apy;
 
-  // Determine signal based on profit percentage
-  let signal = null;
-  if (bestProfitPct > 0.05) {
-    signal = 'HOT';
-  } else if (bestProfitPct > 0.02) {
-    signal = 'GO';
-  }
+  // Signal from useArbitrage (already downgraded for stale/skewed quotes)
+  const signal = opp.signal && opp.signal !== 'NONE' ? opp.signal : null;
+  const quoteAge = opp.quoteAge || {};
+  const quoteWarning = quoteAge.isStale ? 'STALE' : quoteAge.isSkewed ? 'SKEW' : null;
+  const resolutionRisk = opp.resolutionRisk;
 
   // User position info
   const hasUserPosition = userPosition && (
@@ -141,6 +159,11 @@ function OrderbookCard({ opp, userPosition, arbPosition }) {
     userPosition.poly?.yes || userPosition.poly?.no
   );
 
+  // Simulated (paper) holdings of this outcome
+  const positionKey = `${opp.eventId}-${opp.outcome}`;
+  const paperPosition = paper?.matchedPositions.get(positionKey);
+  const paperArbPosition = paper?.arbitragePositions.get(positionKey);
+
   // Arbitrage position exit status
   const hasArbPosition = !!arbPosition?.exitProfit;
   const canExit = arbPosition?.exitProfit?.canExit;
@@ -167,6 +190,7 @@ function OrderbookCard({ opp, userPosition, arbPosition }) {
               {opp.settlementDate} ({daysToSettlement}d)
             </span>
           )}
+          <SpreadHistory history={history} threshold={signalThreshold} />
         </div>
         <div className="flex items-center gap-3">
           {canExit && (
@@ -174,6 +198,15 @@ function OrderbookCard({ opp, userPosition, arbPosition }) {
               EXIT NOW
             </span>
           )}
+          {quoteWarning && (
+            <span
+              className="border border-amber-400 text-amber-400 px-2 py-0.5 rounded text-xs font-bold"
+              title={`Quote ages - Opinion: ${formatAge(quoteAge.opinion)}, Poly: ${formatAge(quoteAge.poly)}, skew: ${formatAge(quoteAge.skew)}`}
+            >
+              {quoteWarning}
+            </span>
+          )}
+          <ResolutionBadge risk={resolutionRisk} />
           {signal && !canExit && (
             <span className={signal === 'HOT'
               ? 'bg-gradient-to-r from-orange-500 to-red-500 text-white px-2 py-0.5 rounded text-xs font-bold animate-pulse'
@@ -212,19 +245,11 @@ function OrderbookCard({ opp, userPosition, arbPosition }) {
             ) : (
               <span className="text-sm font-bold text-orange-700">OPINION</span>
             )}
+            <QuoteAge age={quoteAge.opinion} isStale={quoteAge.isStale} />
           </div>
           {/* User Holdings */}
-          {(userPosition?.opinion?.yes || userPosition?.opinion?.no) && (
-            <div className="mb-2 px-2 py-1 bg-purple-100 rounded text-xs text-center">
-              <span className="text-purple-700 font-medium">My Holdings: </span>
-              {userPosition.opinion.yes && (
-                <span className="text-green-600 mr-2">YES {formatShares(userPosition.opinion.yes.shares)}</span>
-              )}
-              {userPosition.opinion.no && (
-                <span className="text-red-600">NO {formatShares(userPosition.opinion.no.shares)}</span>
-              )}
-            </div>
-          )}
+          <Holdings holding={userPosition?.opinion} />
+          <Holdings holding={paperPosition?.opinion} simulated />
           <div className="grid grid-cols-2 gap-3">
             {/* YES Column */}
             <OrderbookColumn
@@ -257,19 +282,11 @@ function OrderbookCard({ opp, userPosition, arbPosition }) {
             ) : (
               <span className="text-sm font-bold text-blue-700">POLYMARKET</span>
             )}
+            <QuoteAge age={quoteAge.poly} isStale={quoteAge.isStale} />
           </div>
           {/* User Holdings */}
-          {(userPosition?.poly?.yes || userPosition?.poly?.no) && (
-            <div className="mb-2 px-2 py-1 bg-purple-100 rounded text-xs text-center">
-              <span className="text-purple-700 font-medium">My Holdings: </span>
-              {userPosition.poly.yes && (
-                <span className="text-green-600 mr-2">YES {formatShares(userPosition.poly.yes.shares)}</span>
-              )}
-              {userPosition.poly.no && (
-                <span className="text-red-600">NO {formatShares(userPosition.poly.no.shares)}</span>
-              )}
-            </div>
-          )}
+          <Holdings holding={userPosition?.poly} />
+          <Holdings holding={paperPosition?.poly} simulated />
           <div className="grid grid-cols-2 gap-3">
             {/* YES Column */}
             <OrderbookColumn
@@ -314,8 +331,56 @@ function OrderbookCard({ opp, userPosition, arbPosition }) {
               <span className="font-bold text-green-600">
                 Profit: ${bestProfit.toFixed(2)} ({formatPct(bestProfitPct)})
               </span>
+              {paper && (
+                <button
+                  onClick={() => paper.enter(opp)}
+                  className="px-2 py-0.5 rounded border border-dashed border-indigo-400 text-indigo-600 hover:bg-indigo-50"
+                  title="Simulate buying both legs at the current asks"
+                >
+                  Paper Buy
+                </button>
+              )}
+              {onExecute && (
+                <button
+                  onClick={() => onExecute(opp)}
+                  className="px-2 py-0.5 rounded border border-slate-400 text-slate-700 hover:bg-slate-100"
+                  title="Place both legs as limit orders (dry-run, mock or live)"
+                >
+                  Execute
+                </button>
+              )}
             </div>
           </div>
+          {/* Bankroll-constrained execution */}
+          {opp.execution && (
+            <div className="flex items-center gap-3 mt-1 font-mono text-slate-500">
+              <span className="text-green-600 font-bold">Executable:</span>
+              <span className="text-slate-700">{formatShares(opp.execution.shares)} sh</span>
+              <span>
+                <span className="text-orange-600">Opinion</span> ${opp.execution.opinionSpend.toFixed(2)}
+              </span>
+              <span>
+                <span className="text-blue-600">Poly</span> ${opp.execution.polySpend.toFixed(2)}
+              </span>
+              <span className="font-bold text-green-600">
+                ${opp.execution.profit.toFixed(2)} ({formatPct(opp.execution.profitPct)})
+              </span>
+              {opp.execution.limitedBy && opp.execution.limitedBy !== 'depth' && (
+                <span className="text-amber-600">limited by {LIMIT_LABELS[opp.execution.limitedBy]}</span>
+              )}
+            </div>
+          )}
+          {/* Other profitable sizes, ranked by the sizing objective */}
+          {altSizes.length > 0 && (
+            <div className="flex items-center gap-2 mt-1 font-mono text-slate-500">
+              <span className="text-green-600 font-bold">Sizes:</span>
+              {altSizes.map((point, i) => (
+                <span key={i} className="px-1.5 bg-white rounded border border-green-200">
+                  {formatShares(point.shares)} sh → ${point.profit.toFixed(2)} ({formatPct(point.profitPct)})
+                </span>
+              ))}
+            </div>
+          )}
         </div>
       ) : (
         <div className="px-4 py-2 bg-slate-100 border-t border-slate-200 text-xs">
@@ -334,44 +399,177 @@ function OrderbookCard({ opp, userPosition, arbPosition }) {
       )}
 
       {/* Position Exit Summary - show when user has arbitrage position */}
-      {hasArbPosition && (
-        <div className={`px-4 py-2 border-t text-xs ${canExit ? 'bg-purple-100 border-purple-300' : 'bg-slate-100 border-slate-200'}`}>
-          <div className="flex items-center justify-between">
-            <div className="flex items-center gap-2">
-              <span className={`font-bold ${canExit ? 'text-purple-700' : 'text-slate-600'}`}>Arbitrage Position:</span>
-              <span className="text-slate-600">
-                {arbPosition.exitProfit.strategy === 'opinion-yes'
-                  ? 'Opinion YES + Poly NO'
-                  : 'Poly YES + Opinion NO'
-                }
-                <span className="ml-1 text-slate-500">({formatShares(arbPosition.exitProfit.shares)} shares)</span>
-              </span>
-            </div>
-            <div className="flex items-center gap-3 font-mono">
-              <span className="text-slate-500">
-                Entry: <span className="text-slate-700">${arbPosition.exitProfit.entryCost.toFixed(2)}</span>
-                <span className="text-slate-400 ml-1">({(arbPosition.exitProfit.entryPriceSum * 100).toFixed(1)}%)</span>
-              </span>
-              <span className="text-slate-500">
-                Exit: <span className="text-slate-700">${arbPosition.exitProfit.exitValue.toFixed(2)}</span>
-                <span className={`ml-1 ${arbPosition.exitProfit.exitPriceSum >= 1 ? 'text-green-500' : 'text-amber-500'}`}>
-                  ({(arbPosition.exitProfit.exitPriceSum * 100).toFixed(1)}%)
-                </span>
-              </span>
-              <span className="text-amber-600">
-                Fee: ${arbPosition.exitProfit.exitFee.toFixed(2)}
-              </span>
-              <span className={`font-bold ${canExit ? 'text-purple-600' : arbPosition.exitProfit.netProfit >= 0 ? 'text-green-600' : 'text-red-500'}`}>
-                P/L: {arbPosition.exitProfit.netProfit >= 0 ? '+' : ''}${arbPosition.exitProfit.netProfit.toFixed(2)} ({formatPct(arbPosition.exitProfit.profitPct)})
-              </span>
-            </div>
-          </div>
-        </div>
+      {hasArbPosition && <PositionExit position={arbPosition} />}
+
+      {/* Paper position exit summary */}
+      {paperArbPosition && (
+        <PositionExit position={paperArbPosition} simulated onClose={() => paper.close(positionKey)} />
+      )}
+    </div>
+  );
+}
+
+/**
+ * Holdings on one venue ("My Holdings", or the paper portfolio's marked as simulated)
+ * @param {Object} holding - { yes, no } from a matched position
+ */
+function Holdings({ holding, simulated = false }) {
+  if (!holding?.yes && !holding?.no) return null;
+
+  return (
+    <div className={`mb-2 px-2 py-1 rounded text-xs text-center ${simulated ? 'bg-indigo-50 border border-dashed border-indigo-300' : 'bg-purple-100'}`}>
+      <span className={`font-medium ${simulated ? 'text-indigo-700' : 'text-purple-700'}`}>
+        {simulated ? 'Paper Holdings (sim): ' : 'My Holdings: '}
+      </span>
+      {holding.yes && (
+        <span className="text-green-600 mr-2">YES {formatShares(holding.yes.shares)}</span>
       )}
+      {holding.no && (
+        <span className="text-red-600">NO {formatShares(holding.no.shares)}</span>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Exit summary of a held arbitrage pair (real, or simulated with a close button)
+ * @param {Object} position - Matched position with exitProfit (usePositions / usePaperTrading)
+ */
+function PositionExit({ position, simulated = false, onClose }) {
+  const { exitProfit } = position;
+  const canExit = exitProfit.canExit;
+  const partial = exitProfit.remainingShares >= 1;
+  const exitLevels = Math.max(exitProfit.levels.yes, exitProfit.levels.no);
+
+  return (
+    <div className={`px-4 py-2 border-t text-xs ${
+      simulated
+        ? `border-dashed ${canExit ? 'bg-indigo-100 border-indigo-300' : 'bg-indigo-50 border-indigo-200'}`
+        : canExit ? 'bg-purple-100 border-purple-300' : 'bg-slate-100 border-slate-200'
+    }`}>
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          {simulated && (
+            <span className="px-1.5 py-0.5 rounded bg-indigo-500 text-white text-[10px] font-bold">SIMULATED</span>
+          )}
+          <span className={`font-bold ${canExit ? 'text-purple-700' : 'text-slate-600'}`}>
+            {simulated ? 'Paper Position:' : 'Arbitrage Position:'}
+          </span>
+          <span className="text-slate-600">
+            {exitProfit.strategy === 'opinion-yes'
+              ? 'Opinion YES + Poly NO'
+              : 'Poly YES + Opinion NO'
+            }
+            <span className="ml-1 text-slate-500">({formatShares(exitProfit.shares)} shares)</span>
+          </span>
+          {partial && (
+            <span className="text-slate-500" title="Most profitable size to sell into the bid ladders now">
+              exit {formatShares(exitProfit.exitShares)}
+              <span className="text-slate-400"> (L1{exitLevels > 1 ? `-${exitLevels}` : ''})</span>
+              , {formatShares(exitProfit.remainingShares)} left
+            </span>
+          )}
+          {simulated && canExit && (
+            <span className="text-purple-600 font-bold">EXIT</span>
+          )}
+        </div>
+        <div className="flex items-center gap-3 font-mono">
+          <span className="text-slate-500">
+            Entry: <span className="text-slate-700">${exitProfit.entryCost.toFixed(2)}</span>
+            <span className="text-slate-400 ml-1">({(exitProfit.entryPriceSum * 100).toFixed(1)}%)</span>
+          </span>
+          <span className="text-slate-500">
+            Exit: <span className="text-slate-700">${exitProfit.exitValue.toFixed(2)}</span>
+            <span
+              className={`ml-1 ${exitProfit.exitPriceSum >= 1 ? 'text-green-500' : 'text-amber-500'}`}
+              title={`Average exit price sum (best bids ${(exitProfit.topBidSum * 100).toFixed(1)}%)`}
+            >
+              ({(exitProfit.exitPriceSum * 100).toFixed(1)}%)
+            </span>
+          </span>
+          <span className="text-amber-600">
+            Fee: ${exitProfit.exitFee.toFixed(2)}
+          </span>
+          <span className={`font-bold ${canExit ? 'text-purple-600' : exitProfit.netProfit >= 0 ? 'text-green-600' : 'text-red-500'}`}>
+            P/L: {exitProfit.netProfit >= 0 ? '+' : ''}${exitProfit.netProfit.toFixed(2)} ({formatPct(exitProfit.profitPct)})
+          </span>
+          {onClose && (
+            <button
+              onClick={onClose}
+              className="px-2 py-0.5 rounded border border-indigo-300 text-indigo-600 hover:bg-indigo-100"
+              title="Simulate selling both legs into the current bids (best exit size)"
+            >
+              Close
+            </button>
+          )}
+        </div>
+      </div>
     </div>
   );
 }
 
+/**
+ * Net profit sparkline over the history window, and how long the
+ * opportunity has been open (above the GO threshold)
+ */
+function SpreadHistory({ history, threshold }) {
+  const points = (history?.samples || [])
+    .filter(s => s.netProfit !== null)
+    .map(s => ({ t: s.t, value: s.netProfit }));
+
+  return (
+    <span className="flex items-center gap-2" title="Net profit history (local)">
+      <Sparkline points={points} threshold={threshold} />
+      {history?.openFor !== null && history?.openFor !== undefined && (
+        <span className="text-green-400 text-xs font-mono">
+          open {formatAge(history.openFor)}
+        </span>
+      )}
+    </span>
+  );
+}
+
+// Badge per resolution divergence level ('ok' shows nothing)
+const RESOLUTION_BADGES = {
+  risk: { label: 'DEADLINE', className: 'bg-red-500 text-white' },
+  warn: { label: 'RULES', className: 'border border-red-400 text-red-400' },
+  unknown: { label: 'RULES ?', className: 'border border-slate-500 text-slate-400' }
+};
+
+/**
+ * Resolution divergence between the paired markets (deadline, criteria, source)
+ * The two legs only hedge each other if both venues resolve the same way.
+ */
+function ResolutionBadge({ risk }) {
+  const badge = RESOLUTION_BADGES[risk?.level];
+  if (!badge) return null;
+
+  return (
+    <span
+      className={`px-2 py-0.5 rounded text-xs font-bold ${badge.className}`}
+      title={`Resolution divergence:\n${risk.reasons.join('\n')}`}
+    >
+      {badge.label}
+    </span>
+  );
+}
+
+/**
+ * Age of the quote used by the strategy on one venue
+ */
+function QuoteAge({ age, isStale }) {
+  if (age === null || age === undefined) return null;
+
+  return (
+    <span
+      className={`text-[10px] font-mono ${isStale ? 'text-amber-600 font-bold' : 'text-slate-400'}`}
+      title="Age of the quote used by the strategy"
+    >
+      {formatAge(age)}
+    </span>
+  );
+}
+
 /**
  * Orderbook column showing asks and bids with depth
  * @param {number} highlightLevels - Number of ask levels to highlight (1-3, 0 = none)
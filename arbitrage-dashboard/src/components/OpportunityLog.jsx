@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import { formatPct, formatAge, formatTime } from '../utils/format';
+import { episodeDuration } from '../utils/episodes';
+
+// Episodes listed in the log view
+const MAX_ROWS = 50;
+
+// Direction labels (bestStrategyType)
+const DIRECTIONS = {
+  'opinion-yes': 'Opinion YES + Poly NO',
+  'poly-yes': 'Poly YES + Opinion NO'
+};
+
+/**
+ * Opportunity lifecycle log: recent episodes with duration and peak
+ * @param {Object} log - From useOpportunityLog
+ * @param {number} now - Clock time (for open episodes)
+ */
+export function OpportunityLog({ log, now }) {
+  const [expanded, setExpanded] = useState(false);
+  const { open, closed, exportCsv, clear } = log;
+  if (open.length === 0 && closed.length === 0) return null;
+
+  // Median time an edge stayed open
+  const durations = closed.map(e => episodeDuration(e, now)).sort((a, b) => a - b);
+  const median = durations.length > 0 ? durations[Math.floor(durations.length / 2)] : null;
+
+  const rows = [...open, ...closed].slice(0, MAX_ROWS);
+
+  return (
+    <div className="card rounded-lg mb-4 overflow-hidden">
+      <div className="px-4 py-2 bg-slate-800 flex items-center justify-between">
+        <button onClick={() => setExpanded(!expanded)} className="flex items-center gap-2">
+          <span className="text-slate-400 text-xs">{expanded ? '▾' : '▸'}</span>
+          <span className="font-bold text-white text-sm">Opportunity Log</span>
+        </button>
+        <div className="flex items-center gap-3 text-xs">
+          <span className="text-green-400">{open.length} open</span>
+          <span className="text-slate-400">{closed.length} closed</span>
+          <span className="text-slate-400">median {median !== null ? formatAge(median) : '—'}</span>
+          <button onClick={exportCsv} className="text-slate-300 hover:text-white underline">
+            Export CSV
+          </button>
+          <button
+            onClick={() => window.confirm('Clear all closed episodes?') && clear()}
+            className="text-slate-400 hover:text-red-400"
+          >
+            Clear
+          </button>
+        </div>
+      </div>
+
+      {expanded && (
+        <table className="w-full text-xs">
+          <thead className="bg-slate-50 text-slate-500">
+            <tr>
+              <th className="px-4 py-1 text-left font-medium">Outcome</th>
+              <th className="px-2 py-1 text-left font-medium">Direction</th>
+              <th className="px-2 py-1 text-right font-medium">Opened</th>
+              <th className="px-2 py-1 text-right font-medium">Duration</th>
+              <th className="px-2 py-1 text-right font-medium">Peak</th>
+              <th className="px-4 py-1 text-right font-medium">Peak Size</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100 font-mono">
+            {rows.map(episode => (
+              <tr key={episode.id} className={episode.closedAt ? '' : 'bg-green-50'}>
+                <td className="px-4 py-1 font-sans">
+                  <span className="font-bold text-slate-700">{episode.outcome}</span>
+                  <span className="text-slate-400 ml-2">{episode.eventName}</span>
+                </td>
+                <td className="px-2 py-1 font-sans text-slate-600">{DIRECTIONS[episode.direction] || episode.direction}</td>
+                <td className="px-2 py-1 text-right text-slate-500">{formatTime(episode.openedAt)}</td>
+                <td className="px-2 py-1 text-right">
+                  {episode.closedAt
+                    ? <span className="text-slate-700">{formatAge(episodeDuration(episode, now))}{episode.interrupted && <span className="text-amber-500" title="Dashboard was closed while open"> *</span>}</span>
+                    : <span className="text-green-600 font-bold">open {formatAge(episodeDuration(episode, now))}</span>}
+                </td>
+                <td className="px-2 py-1 text-right text-green-600">{formatPct(episode.peakProfitPct)}</td>
+                <td className="px-4 py-1 text-right text-slate-600">
+                  ${episode.peakProfit.toFixed(2)} / {episode.peakShares.toFixed(0)} sh
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default OpportunityLog;
@@ -0,0 +1,116 @@
+import { getConfirmedMappings } from '../utils/outcomeMapping';
+
+// Badge colour per match method
+const METHOD_STYLES = {
+  exact: 'bg-green-100 text-green-700',
+  normalised: 'bg-green-100 text-green-700',
+  numeric: 'bg-blue-100 text-blue-700',
+  fuzzy: 'bg-amber-100 text-amber-700'
+};
+
+/**
+ * Outcome mapping panel: review proposed Opinion -> Polymarket outcome
+ * mappings and confirm them. Unconfirmed outcomes are not polled on
+ * Polymarket, so they produce no signals and match no positions.
+ */
+export function OutcomeMappingPanel({ markets, mappings, onClose }) {
+  const { proposals, proposing, unmappedCount, propose, confirm, confirmAll, reject, unmap } = mappings;
+  const pendingCount = Object.values(proposals).reduce((sum, entry) => sum + entry.proposals.length, 0);
+
+  return (
+    <div className="mt-4 p-4 bg-slate-50 rounded-lg border border-slate-200">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-bold text-slate-700">Outcome Mappings</h3>
+        <button
+          onClick={onClose}
+          className="text-slate-400 hover:text-slate-600"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="flex items-center gap-4 text-xs text-slate-500">
+        <button
+          onClick={propose}
+          disabled={proposing}
+          className="px-4 py-1 text-xs bg-slate-800 text-white rounded hover:bg-slate-700 disabled:opacity-50"
+        >
+          {proposing ? 'Matching...' : 'Propose Mappings'}
+        </button>
+        <button
+          onClick={() => confirmAll(0.95)}
+          disabled={pendingCount === 0}
+          className="px-4 py-1 text-xs border border-slate-200 text-slate-600 rounded hover:bg-slate-100 disabled:opacity-50"
+        >
+          Confirm All Exact
+        </button>
+        <span className="text-amber-600">{unmappedCount} unmapped</span>
+        <span>{pendingCount} pending review</span>
+      </div>
+
+      <div className="mt-3 max-h-96 overflow-y-auto space-y-2">
+        {markets.map(market => {
+          const confirmed = Object.entries(getConfirmedMappings(market));
+          const entry = proposals[market.id];
+          if (confirmed.length === 0 && !entry) return null;
+
+          return (
+            <div key={market.id} className="p-2 bg-white rounded border border-slate-200 text-xs">
+              <div className="font-medium text-slate-700 mb-1">{market.name}</div>
+              {entry?.error && <div className="text-red-500">{entry.error}</div>}
+
+              {/* Pending proposals */}
+              {entry?.proposals.map(proposal => (
+                <div key={proposal.outcome} className="flex items-center gap-2 py-0.5">
+                  <span className="w-40 truncate text-slate-700">{proposal.outcome}</span>
+                  <span className="text-slate-400">→</span>
+                  <span className="flex-1 truncate text-slate-600">{proposal.name}</span>
+                  <span className={`px-1.5 py-0.5 rounded ${METHOD_STYLES[proposal.method]}`}>{proposal.method}</span>
+                  <span className="w-10 text-right font-mono text-slate-500">{(proposal.confidence * 100).toFixed(0)}%</span>
+                  <button
+                    onClick={() => confirm(market.id, proposal)}
+                    className="text-green-600 hover:text-green-800"
+                  >
+                    Confirm
+                  </button>
+                  <button
+                    onClick={() => reject(market.id, proposal.outcome)}
+                    className="text-red-400 hover:text-red-600"
+                  >
+                    Reject
+                  </button>
+                </div>
+              ))}
+
+              {entry?.unmatched.length > 0 && (
+                <div className="text-slate-400 mt-1">No match: {entry.unmatched.join(', ')}</div>
+              )}
+
+              {/* Confirmed mappings */}
+              {confirmed.map(([outcome, mapping]) => (
+                <div key={outcome} className="flex items-center gap-2 py-0.5 text-slate-400">
+                  <span className="w-40 truncate">{outcome}</span>
+                  <span>→</span>
+                  <span className="flex-1 truncate">{mapping.name || mapping.yes}</span>
+                  <span className="text-green-600">✓ confirmed</span>
+                  <button
+                    onClick={() => unmap(market.id, outcome)}
+                    className="text-red-400 hover:text-red-600"
+                  >
+                    Unmap
+                  </button>
+                </div>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+
+      <p className="text-xs text-slate-400 mt-2">
+        Each outcome is matched to a Polymarket sub-market by name (exact, normalised, numeric threshold or fuzzy). Only confirmed mappings are polled and used for signals and position matching.
+      </p>
+    </div>
+  );
+}
+
+export default OutcomeMappingPanel;
@@ -0,0 +1,62 @@
+import { formatDateTime, formatAge } from '../utils/format';
+import { REPLAY_SPEEDS } from '../hooks/useCapture';
+
+/**
+ * Replay controls: capture time, progress, play/pause, speed and exit
+ * @param {Object} capture - From useCapture
+ */
+export function ReplayBar({ capture }) {
+  const { replay, replayError, play, pause, setSpeed, exitReplay } = capture;
+
+  if (replayError) {
+    return (
+      <div className="mb-6 p-3 rounded-lg border text-sm bg-red-50 border-red-200 text-red-600">
+        Could not load capture: {replayError}
+      </div>
+    );
+  }
+  if (!replay) return null;
+
+  const { name, header, total, position, time, playing, speed } = replay;
+  const progress = total > 0 ? position / total : 0;
+
+  return (
+    <div className="mb-6 p-3 rounded-lg border text-sm bg-indigo-50 border-indigo-200 text-indigo-700">
+      <div className="flex items-center gap-4">
+        <span className="font-bold">REPLAY</span>
+        <span className="font-mono text-xs truncate max-w-xs" title={name}>{name}</span>
+        <span className="font-mono">{formatDateTime(time)}</span>
+        <span className="text-xs text-indigo-500">+{formatAge(time - header.startedAt)}</span>
+
+        <div className="flex-1 h-1.5 rounded bg-indigo-100 overflow-hidden">
+          <div className="h-full bg-indigo-500" style={{ width: `${(progress * 100).toFixed(1)}%` }} />
+        </div>
+        <span className="text-xs font-mono">{position}/{total}</span>
+
+        <button
+          onClick={playing ? pause : play}
+          className="px-2 py-0.5 text-xs rounded border border-indigo-300 hover:bg-indigo-100"
+        >
+          {playing ? '❚❚ Pause' : position >= total ? '↺ Restart' : '▶ Play'}
+        </button>
+        <select
+          value={speed}
+          onChange={(e) => setSpeed(Number(e.target.value))}
+          className="text-xs rounded border border-indigo-300 bg-white px-1 py-0.5"
+        >
+          {REPLAY_SPEEDS.map(s => (
+            <option key={s} value={s}>{s}×</option>
+          ))}
+        </select>
+        <button
+          onClick={exitReplay}
+          className="px-2 py-0.5 text-xs rounded border border-indigo-300 hover:bg-indigo-100"
+        >
+          Back to Live
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ReplayBar;
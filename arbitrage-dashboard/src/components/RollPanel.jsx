@@ -0,0 +1,68 @@
+const VENUE_LABELS = { opinion: 'Opinion', poly: 'Poly' };
+const VENUE_CLASSES = { opinion: 'text-orange-600', poly: 'text-blue-600' };
+
+/**
+ * Format price as cents
+ */
+function formatCents(p) {
+  return `${(p * 100).toFixed(1)}¢`;
+}
+
+/**
+ * Held legs worth swapping to the other venue: sell into the bids there,
+ * buy the same side here for less, and keep the difference
+ * @param {Array} rolls - From usePositions (utils/roll.js)
+ */
+export function RollPanel({ rolls }) {
+  if (!rolls || rolls.length === 0) return null;
+
+  const totalGain = rolls.reduce((sum, roll) => sum + roll.gain, 0);
+
+  return (
+    <div className="card rounded-lg mb-4 overflow-hidden">
+      <div className="px-4 py-2 bg-slate-800 flex items-center justify-between">
+        <span className="font-bold text-white text-sm">Position Rolls</span>
+        <span className="text-slate-400 text-xs">
+          Swap a held leg to the other venue · payout unchanged · +${totalGain.toFixed(2)} locked in
+        </span>
+      </div>
+      <div className="divide-y divide-slate-100 text-xs">
+        {rolls.map(roll => (
+          <div key={`${roll.key}-${roll.from}-${roll.side}`} className="px-4 py-2 flex items-center justify-between">
+            <div className="flex items-center gap-2">
+              <span className="font-bold text-slate-700">{roll.outcome}</span>
+              <span className="text-slate-400">{roll.marketName}</span>
+              {roll.rotation && (
+                <span className="px-1.5 py-0.5 rounded bg-purple-100 text-purple-700 font-bold" title="Both legs swap: the pair rotates into the opposite pair">
+                  ROTATE
+                </span>
+              )}
+              {roll.sameVenue && (
+                <span className="px-1.5 py-0.5 rounded bg-green-100 text-green-700" title={`YES and NO both held on ${VENUE_LABELS[roll.to]} if only this leg is swapped`}>
+                  one venue
+                </span>
+              )}
+            </div>
+            <div className="flex items-center gap-3 font-mono">
+              <span className="text-slate-600">
+                Sell {roll.shares.toFixed(0)}/{roll.heldShares.toFixed(0)}{' '}
+                <span className={VENUE_CLASSES[roll.from]}>{VENUE_LABELS[roll.from]} {roll.side.toUpperCase()}</span>
+                {' '}@ {formatCents(roll.sellAvgPrice)} (≥{formatCents(roll.sellLimit)})
+              </span>
+              <span className="text-slate-600">
+                Buy <span className={VENUE_CLASSES[roll.to]}>{VENUE_LABELS[roll.to]} {roll.side.toUpperCase()}</span>
+                {' '}@ {formatCents(roll.buyAvgPrice)} (≤{formatCents(roll.buyLimit)})
+              </span>
+              <span className="text-amber-600">Fee: ${roll.fee.toFixed(2)}</span>
+              <span className="font-bold text-green-600">
+                +${roll.gain.toFixed(2)} <span className="font-normal text-green-500">({formatCents(roll.gainPerShare)}/sh)</span>
+              </span>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default RollPanel;
@@ -0,0 +1,42 @@
+/**
+ * Inline SVG sparkline
+ * Points above the zero line are drawn green, the rest red; the dashed line
+ * marks an optional threshold (e.g. the GO signal level).
+ *
+ * @param {Array<{t: number, value: number}>} points - Oldest first
+ */
+export function Sparkline({ points, width = 120, height = 24, threshold = null }) {
+  if (!points || points.length < 2) {
+    return <span className="text-[10px] text-slate-400">no history</span>;
+  }
+
+  const t0 = points[0].t;
+  const t1 = points[points.length - 1].t;
+  const values = points.map(p => p.value);
+  const min = Math.min(0, ...values, threshold ?? 0);
+  const max = Math.max(0, ...values, threshold ?? 0);
+  const range = max - min || 1;
+
+  const x = (t) => (t1 > t0 ? ((t - t0) / (t1 - t0)) * width : 0);
+  const y = (v) => height - ((v - min) / range) * height;
+
+  const path = points.map(p => `${x(p.t).toFixed(1)},${y(p.value).toFixed(1)}`).join(' ');
+  const last = values[values.length - 1];
+
+  return (
+    <svg width={width} height={height} className="overflow-visible">
+      <line x1="0" x2={width} y1={y(0)} y2={y(0)} className="stroke-slate-500" strokeWidth="0.5" />
+      {threshold !== null && (
+        <line x1="0" x2={width} y1={y(threshold)} y2={y(threshold)} className="stroke-green-500" strokeWidth="0.5" strokeDasharray="2 2" />
+      )}
+      <polyline
+        points={path}
+        fill="none"
+        className={last > 0 ? 'stroke-green-400' : 'stroke-red-400'}
+        strokeWidth="1.5"
+      />
+    </svg>
+  );
+}
+
+export default Sparkline;
@@ -0,0 +1,52 @@
+/**
+ * Fee schedule registry
+ *
+ * One list of versioned fee models per venue, plus optional per-market
+ * overrides. The model in force for a trade is the latest version whose
+ * `effectiveFrom` is not after the trade time, so add a new version (with
+ * its start date) instead of editing an old one when a venue changes fees.
+ *
+ * Model fields:
+ * - curve: 'quadratic' -> rate * p * (1 - p) per $ of notional
+ *          'linear'    -> rate per $ of notional
+ * - taker / maker: rate for orders that take / add liquidity
+ * - minFee: minimum fee per fill (each price level is a separate fill)
+ * - flatFee: fixed fee added to every fill
+ *
+ * scripts/calculator-fees.js inlines it into the standalone calculator
+ * (../../../index.html).
+ */
+
+export const feeSchedules = {
+  // Venue defaults (keys match the price maps: 'opinion' / 'poly')
+  venues: {
+    opinion: [
+      {
+        version: 'opinion-v1',
+        effectiveFrom: '1970-01-01',  // Applies until superseded
+        curve: 'quadratic',
+        taker: 0.08,
+        maker: 0,
+        minFee: 0.5,
+        flatFee: 0
+      }
+    ],
+    poly: [
+      {
+        version: 'poly-v1',
+        effectiveFrom: '1970-01-01',
+        curve: 'linear',
+        taker: 0,
+        maker: 0,
+        minFee: 0,
+        flatFee: 0
+      }
+    ]
+  },
+
+  // Per-market overrides: { [marketId]: { opinion: [...], poly: [...] } }
+  // Versions listed here replace the venue defaults for that market
+  markets: {}
+};
+
+export default feeSchedules;
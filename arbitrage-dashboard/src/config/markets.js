@@ -4,10 +4,28 @@
  * Add your market mappings here. Each market entry maps the same event
  * across Opinion and Polymarket platforms.
  *
+ * Basket arbitrage flags:
+ * - exclusive: at most one outcome can resolve YES (enables the NO basket)
+ * - exhaustive: `outcomes` covers every possible result (also enables the
+ *               YES basket) - only set this if the list is truly complete.
+ *               None of the events below set it: their outcome lists are the
+ *               tracked contenders, not the whole field (any other winner
+ *               pays nothing on a YES basket), so they only get the NO basket
+ * - ladder: nested threshold outcomes, least to most restrictive (each one
+ *           implies the previous), e.g. ['>$4m', '>$5m'] - enables the
+ *           monotonicity scanner (YES lower + NO higher < $1)
+ *
+ * These entries seed the runtime market registry (useMarketRegistry). Once
+ * markets are added or edited in the UI, the registry saved in the browser
+ * takes precedence - use "Reset" in the Markets panel to pick up changes here.
+ *
  * How to find IDs:
  * - Opinion: Use API to get market list, find token_id for each outcome
  * - Polymarket: Just use the slug from URL (e.g., "will-trump-win-2024")
- *               Token IDs will be fetched automatically
+ *               Token IDs are proposed by the outcome matcher (Markets panel ->
+ *               Map Outcomes) and only used once confirmed; confirmed ones
+ *               are saved as poly.tokenIds ({ [outcome]: { yes, no, name } }),
+ *               which can also be pinned here
  */
 
 export const config = {
@@ -18,6 +36,7 @@ export const config = {
       name: 'OKBet Arena AI Trading Competition Winner',
       type: 'AI',
       settlementDate: '2026-01-31',  // Market settlement date (YYYY-MM-DD)
+      exclusive: true,
       outcomes: ['Claude', 'Grok', 'GPT', 'Gemini', 'DeepSeek'],
       opinion: {
         type: 'multi',
@@ -55,6 +74,7 @@ export const config = {
       name: '2026 Men\'s Australian Open Winner',
       type: 'Sports',
       settlementDate: '2026-01-31',  // Market settlement date (YYYY-MM-DD)
+      exclusive: true,
       outcomes: ['Jannik Sinner', 'Carlos Alcaraz', 'Novak Djokovic', 'Alexander Zverev', 'Daniil Medvedev', 'Taylor Fritz'],
       opinion: {
         type: 'multi',
@@ -96,6 +116,7 @@ export const config = {
       type: 'Crypto',
       settlementDate: '2026-02-28',
       outcomes: ['>$4m', '>$5m', '>$6m', '>$7m', '>$8m', '>$10m', '>$15m'],
+      ladder: ['>$4m', '>$5m', '>$6m', '>$7m', '>$8m', '>$10m', '>$15m'],
       opinion: {
         type: 'multi',
         topicId: 217,
@@ -159,6 +180,7 @@ export const config = {
       name: 'NFC Champion 2026',
       type: 'Sports',
       settlementDate: '2026-01-26',
+      exclusive: true,
       outcomes: ['Los Angeles R', 'Seattle', 'Philadelphia', 'San Francisco', 'Green Bay', 'Chicago', 'Carolina', 'Tampa Bay'],
       opinion: {
         type: 'multi',
@@ -207,6 +229,7 @@ export const config = {
       name: 'AFC Champion 2026',
       type: 'Sports',
       settlementDate: '2026-01-26',
+      exclusive: true,
       outcomes: ['Buffalo', 'Denver', 'New England', 'Houston', 'Jacksonville', 'Los Angeles C', 'Pittsburgh', 'Baltimore'],
       opinion: {
         type: 'multi',
@@ -255,6 +278,7 @@ export const config = {
       name: 'Super Bowl Champion 2026',
       type: 'Sports',
       settlementDate: '2026-02-08',
+      exclusive: true,
       outcomes: ['Buffalo', 'Philadelphia', 'Los Angeles R', 'Green Bay', 'Baltimore', 'Seattle', 'New England', 'Denver', 'Houston', 'San Francisco', 'Jacksonville', 'Chicago', 'Kansas City', 'Detroit', 'Indianapolis'],
       opinion: {
         type: 'multi',
@@ -332,6 +356,7 @@ export const config = {
       type: 'Crypto',
       settlementDate: '2026-07-01',
       outcomes: ['>$1B', '>$2B', '>$4B', '>$6B'],
+      ladder: ['>$1B', '>$2B', '>$4B', '>$6B'],
       opinion: {
         type: 'multi',
         topicId: 67,
@@ -364,6 +389,7 @@ export const config = {
       type: 'Crypto',
       settlementDate: '2027-01-01',
       outcomes: ['$400M', '$600M', '$800M', '$1B'],
+      ladder: ['$400M', '$600M', '$800M', '$1B'],
       opinion: {
         type: 'multi',
         topicId: 244,
@@ -399,17 +425,80 @@ export const config = {
     maxRequestsPerBatch: 10,   // Max 10 requests per batch (safe limit)
     requestsPerMarket: 4,      // 4 requests per market (Opinion YES/NO + Poly YES/NO)
 
+    // Streaming settings (REST polling takes over for a venue while its stream is down)
+    streamEnabled: true,
+    polyStreamUrl: 'wss://ws-subscriptions-clob.polymarket.com/ws/market',
+    opinionStreamUrl: '',      // No public Opinion feed - set VITE_OPINION_WS_URL to a relay
+
     // Signal thresholds (in decimal, e.g., 0.02 = 2%)
     minSpreadAlert: 0.02,      // GO signal threshold (>2%)
-    hotSpreadThreshold: 0.05   // HOT signal threshold (>5%)
+    hotSpreadThreshold: 0.05,  // HOT signal threshold (>5%)
+
+    // Sizing objective: 'profitPct' (best return) or 'profit' (most dollars)
+    sizingObjective: 'profitPct',
+
+    // Quote freshness (ms) - signals breaking either limit are downgraded one level
+    maxQuoteAge: 30000,        // Oldest allowed quote on either leg
+    maxLegSkew: 10000,         // Max gap between the two legs' quote times
+
+    // Resolution divergence between paired markets (flagged on the card, see utils/resolution.js)
+    resolutionDeadlineTolerance: 24,  // Max gap between the venues' end dates (hours)
+    minCriteriaSimilarity: 0.3,       // Min word overlap of the resolution criteria (0-1)
+
+    // Position rolls (held leg swapped to the other venue, see utils/roll.js)
+    minRollGain: 1,            // Smallest locked-in $ gain worth recommending a swap for
+
+    // Price history (IndexedDB, see utils/history.js)
+    historySampleInterval: 10000,         // Min gap between samples of one outcome (ms)
+    historyWindow: 2 * 60 * 60 * 1000,    // Shown in card sparklines (ms)
+    historyRetention: 24 * 60 * 60 * 1000, // Samples older than this are pruned (ms)
+    historyMaxRecords: 200000             // Oldest samples beyond this are pruned
+  },
+
+  // Two-leg order execution (see utils/execution.js)
+  execution: {
+    legOrder: 'opinion-first', // Leg submitted first ('opinion-first' | 'poly-first'); its fill sizes the second
+    slippage: 0.005,           // Limit price allowance above the strategy's worst ask level (per share)
+    fillTimeout: 5000,         // How long a leg may rest before the remainder is cancelled (ms)
+    pollInterval: 500,         // Order status polling while a leg rests (ms)
+    onLegRisk: 'hedge',        // Second leg short: 'hedge' (chase it, then unwind) or 'unwind' (sell the first leg back)
+    maxHedgeSlippage: 0.02,    // Furthest a hedge or unwind may go past the original limit (per share)
+    orderExpiry: 300,          // Signed orders expire after this many seconds
+
+    // CTF exchange orders (EIP-712) per venue; `url` is the order API base.
+    // `verified` marks a venue whose contract, order endpoint and payload have been
+    // checked against its real API - live mode stays disabled until both are.
+    // Orders are signed as plain EOA orders (signatureType 0, maker = signer), so
+    // Polymarket proxy / Safe accounts aren't supported yet.
+    venues: {
+      poly: {
+        url: '/api/poly',
+        verified: false,
+        chainId: 137,
+        domainName: 'Polymarket CTF Exchange',
+        exchange: '0x4bFb41d5B3570DeFd03C39a9A4D8dE6bD8B8982E',
+        negRiskExchange: '0xC5d563A36AE78145C45a50134d48A1215220f80a',
+        tickSize: 0.01
+      },
+      opinion: {
+        url: '/api/opinion',
+        verified: false,       // Contract, endpoint and payload are unconfirmed
+        chainId: 56,
+        domainName: 'OPINION CTF Exchange',
+        exchange: '',          // Opinion's exchange contract - live orders can't be signed until set
+        negRiskExchange: '',
+        tickSize: 0.001
+      }
+    }
   }
 };
 
 /**
  * Get Opinion markets config
+ * @param {Array} [markets] - Market list (defaults to the static config)
  */
-export function getOpinionMarkets() {
-  return config.markets
+export function getOpinionMarkets(markets = config.markets) {
+  return markets
     .filter(m => m.opinion?.topicId || m.opinion?.tokenIds)
     .map(m => ({
       eventId: m.id,
@@ -421,28 +510,37 @@ export function getOpinionMarkets() {
 
 /**
  * Get Polymarket markets config
+ * Only outcomes with a confirmed token mapping (poly.tokenIds) are included
+ * @param {Array} [markets] - Market list (defaults to the static config)
  */
-export function getPolyMarkets() {
-  return config.markets
-    .filter(m => m.poly?.slug)
+export function getPolyMarkets(markets = config.markets) {
+  return markets
     .map(m => ({
       eventId: m.id,
-      slug: m.poly.slug
-    }));
+      outcomeIds: Object.fromEntries(
+        (m.outcomes || [])
+          .filter(outcome => m.poly?.tokenIds?.[outcome])
+          .map(outcome => [outcome, m.poly.tokenIds[outcome]])
+      )
+    }))
+    .filter(m => Object.keys(m.outcomeIds).length > 0);
 }
 
 /**
  * Get market by ID
+ * @param {string} id - Market ID
+ * @param {Array} [markets] - Market list (defaults to the static config)
  */
-export function getMarketById(id) {
-  return config.markets.find(m => m.id === id);
+export function getMarketById(id, markets = config.markets) {
+  return markets.find(m => m.id === id);
 }
 
 /**
  * Get all market types for filtering
+ * @param {Array} [markets] - Market list (defaults to the static config)
  */
-export function getMarketTypes() {
-  const types = new Set(config.markets.map(m => m.type));
+export function getMarketTypes(markets = config.markets) {
+  const types = new Set(markets.map(m => m.type));
   return ['ALL', ...Array.from(types)];
 }
 
@@ -0,0 +1,197 @@
+/**
+ * Market configuration schema
+ *
+ * Validates market entries (config/markets.js and the runtime registry).
+ * A mistake here usually doesn't throw - the outcome just drops out of
+ * useArbitrage - so every problem is reported as an issue instead:
+ * - error: the outcome or market can't be monitored as configured
+ * - warning: probably a mistake, but monitoring still works
+ */
+
+// Known market categories (FilterBar groups by these)
+export const MARKET_TYPES = ['AI', 'Crypto', 'Politics', 'Sports', 'Other'];
+
+// Opinion market structures
+export const OPINION_TYPES = ['multi', 'binary'];
+
+// Token IDs are decimal strings (ERC-1155 position IDs)
+const TOKEN_ID_PATTERN = /^\d+$/;
+
+// Settlement dates are plain calendar dates
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Create an issue record
+ */
+function issue(level, marketId, field, message) {
+  return { level, marketId, field, message };
+}
+
+/**
+ * Check a settlement date (format and not in the past)
+ */
+function checkDate(issues, marketId, field, value, today) {
+  if (value === undefined || value === null || value === '') return;
+
+  if (!DATE_PATTERN.test(value) || Number.isNaN(new Date(value).getTime())) {
+    issues.push(issue('error', marketId, field, `Invalid date "${value}" (expected YYYY-MM-DD)`));
+  } else if (value < today) {
+    issues.push(issue('warning', marketId, field, `Settlement date ${value} is in the past`));
+  }
+}
+
+/**
+ * Validate a single market entry
+ * @param {Object} market - Market config
+ * @param {Object} [options]
+ * @param {string} [options.today] - Today as YYYY-MM-DD (default: now)
+ * @param {Array<string>} [options.polyNames] - Polymarket sub-market names (groupItemTitle) for the slug, if fetched
+ *   (confirmed mappings pointing at a sub-market that is gone are flagged)
+ * @returns {Array} Issues: { level, marketId, field, message }
+ */
+export function validateMarket(market, { today = new Date().toISOString().slice(0, 10), polyNames } = {}) {
+  const issues = [];
+  const id = market?.id;
+
+  if (!id || typeof id !== 'string') {
+    issues.push(issue('error', id || '(unknown)', 'id', 'Missing market id'));
+  }
+  if (!market?.name) {
+    issues.push(issue('error', id, 'name', 'Missing market name'));
+  }
+  if (!MARKET_TYPES.includes(market?.type)) {
+    issues.push(issue('warning', id, 'type', `Unknown type "${market?.type}" (expected one of ${MARKET_TYPES.join(', ')})`));
+  }
+
+  checkDate(issues, id, 'settlementDate', market?.settlementDate, today);
+  for (const [outcome, settings] of Object.entries(market?.outcomeSettings || {})) {
+    checkDate(issues, id, `outcomeSettings.${outcome}.settlementDate`, settings?.settlementDate, today);
+  }
+
+  const outcomes = market?.outcomes;
+  if (!Array.isArray(outcomes) || outcomes.length === 0) {
+    issues.push(issue('error', id, 'outcomes', 'No outcomes listed'));
+    return issues;
+  }
+
+  const duplicateOutcomes = outcomes.filter((o, i) => outcomes.indexOf(o) !== i);
+  for (const outcome of new Set(duplicateOutcomes)) {
+    issues.push(issue('error', id, 'outcomes', `Outcome "${outcome}" is listed more than once`));
+  }
+
+  // Opinion side
+  const opinion = market.opinion;
+  if (!opinion) {
+    issues.push(issue('error', id, 'opinion', 'Missing Opinion config'));
+  } else {
+    if (opinion.type && !OPINION_TYPES.includes(opinion.type)) {
+      issues.push(issue('warning', id, 'opinion.type', `Unknown Opinion type "${opinion.type}"`));
+    }
+
+    const tokenIds = opinion.tokenIds || {};
+    for (const outcome of outcomes) {
+      const tokens = tokenIds[outcome];
+      if (!tokens) {
+        issues.push(issue('error', id, `opinion.tokenIds`, `Outcome "${outcome}" has no Opinion token mapping`));
+        continue;
+      }
+      for (const side of ['yes', 'no']) {
+        if (!tokens[side]) {
+          issues.push(issue('error', id, `opinion.tokenIds.${outcome}.${side}`, `Outcome "${outcome}" is missing its ${side.toUpperCase()} token`));
+        } else if (!TOKEN_ID_PATTERN.test(tokens[side])) {
+          issues.push(issue('error', id, `opinion.tokenIds.${outcome}.${side}`, `Outcome "${outcome}" has a malformed ${side.toUpperCase()} token ID`));
+        }
+      }
+    }
+
+    // Mappings nothing uses are usually a typo in `outcomes`
+    for (const key of Object.keys(tokenIds)) {
+      if (!outcomes.includes(key)) {
+        issues.push(issue('warning', id, `opinion.tokenIds.${key}`, `Token mapping "${key}" matches no outcome`));
+      }
+    }
+  }
+
+  // Polymarket side
+  if (!market.poly?.slug) {
+    issues.push(issue('error', id, 'poly.slug', 'Missing Polymarket slug'));
+  }
+
+  // Confirmed outcome mappings (only these are polled)
+  const mappings = market.poly?.tokenIds || {};
+  const unmapped = outcomes.filter(o => !mappings[o]);
+  if (unmapped.length > 0) {
+    issues.push(issue('error', id, 'poly.tokenIds', `${unmapped.length} of ${outcomes.length} outcomes have no confirmed Polymarket mapping (Markets -> Map Outcomes)`));
+  }
+  for (const [outcome, mapping] of Object.entries(mappings)) {
+    if (!outcomes.includes(outcome)) {
+      issues.push(issue('warning', id, `poly.tokenIds.${outcome}`, `Polymarket mapping "${outcome}" matches no outcome`));
+      continue;
+    }
+    for (const side of ['yes', 'no']) {
+      if (mapping?.[side] && !TOKEN_ID_PATTERN.test(mapping[side])) {
+        issues.push(issue('error', id, `poly.tokenIds.${outcome}.${side}`, `Outcome "${outcome}" has a malformed Polymarket ${side.toUpperCase()} token ID`));
+      }
+    }
+    if (polyNames && mapping?.name && !polyNames.includes(mapping.name)) {
+      issues.push(issue('warning', id, `poly.tokenIds.${outcome}`, `Mapped Polymarket sub-market "${mapping.name}" is no longer listed`));
+    }
+  }
+
+  // Arbitrage flags
+  if (market.exhaustive && !market.exclusive) {
+    issues.push(issue('warning', id, 'exhaustive', '`exhaustive` has no effect without `exclusive`'));
+  }
+  for (const outcome of market.ladder || []) {
+    if (!outcomes.includes(outcome)) {
+      issues.push(issue('error', id, 'ladder', `Ladder step "${outcome}" is not an outcome`));
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Validate a list of market entries, including cross-market checks
+ * @param {Array} markets - Market configs
+ * @param {Object} [options]
+ * @param {string} [options.today] - Today as YYYY-MM-DD (default: now)
+ * @param {Object} [options.polyNames] - { [marketId]: Array<string> } Polymarket sub-market names
+ * @returns {Array} Issues: { level, marketId, field, message }, errors first
+ */
+export function validateMarkets(markets, { today, polyNames = {} } = {}) {
+  const issues = [];
+  const ids = new Set();
+  const tokenOwners = new Map();
+
+  for (const market of markets || []) {
+    issues.push(...validateMarket(market, { today, polyNames: polyNames[market?.id] }));
+
+    if (market?.id && ids.has(market.id)) {
+      issues.push(issue('error', market.id, 'id', `Duplicate market id "${market.id}"`));
+    }
+    ids.add(market?.id);
+
+    // Each token must belong to exactly one outcome side
+    for (const venue of ['opinion', 'poly']) {
+      for (const [outcome, tokens] of Object.entries(market?.[venue]?.tokenIds || {})) {
+        for (const side of ['yes', 'no']) {
+          const tokenId = tokens?.[side];
+          if (!tokenId) continue;
+
+          const owner = `${market.id} / ${outcome} ${side.toUpperCase()}`;
+          const ownerKey = `${venue}:${tokenId}`;
+          if (tokenOwners.has(ownerKey)) {
+            issues.push(issue('error', market.id, `${venue}.tokenIds.${outcome}.${side}`, `Token ID also used by ${tokenOwners.get(ownerKey)}`));
+          } else {
+            tokenOwners.set(ownerKey, owner);
+          }
+        }
+      }
+    }
+  }
+
+  return issues.sort((a, b) => (a.level === 'error' ? 0 : 1) - (b.level === 'error' ? 0 : 1));
+}
+
+export default { MARKET_TYPES, OPINION_TYPES, validateMarket, validateMarkets };
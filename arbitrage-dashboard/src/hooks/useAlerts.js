@@ -0,0 +1,172 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { DEFAULT_ALERT_RULES, selectAlerts, selectExposureAlerts } from '../utils/alerts';
+import { formatPct } from '../utils/format';
+
+const STORAGE_KEY = 'arbitrage-alert-rules';
+
+/**
+ * Load alert rules from localStorage
+ */
+function loadRules() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored) return { ...DEFAULT_ALERT_RULES, ...JSON.parse(stored) };
+  } catch (e) {
+    console.error('Failed to load alert rules from localStorage:', e);
+  }
+  return DEFAULT_ALERT_RULES;
+}
+
+/**
+ * Current notification permission ('unsupported' without the Notifications API)
+ */
+function getPermission() {
+  return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+}
+
+// Shared audio context (created on first sound)
+let audioContext = null;
+
+/**
+ * Play a short beep (two rising tones for HOT, EXIT and exposure)
+ */
+function playSound(urgent) {
+  try {
+    audioContext = audioContext || new AudioContext();
+    const tones = urgent ? [880, 1320] : [660];
+
+    tones.forEach((frequency, i) => {
+      const start = audioContext.currentTime + i * 0.18;
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.15, start);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + 0.15);
+      oscillator.connect(gain).connect(audioContext.destination);
+      oscillator.start(start);
+      oscillator.stop(start + 0.15);
+    });
+  } catch (e) {
+    console.error('Failed to play alert sound:', e);
+  }
+}
+
+/**
+ * Show a desktop notification (tag replaces an older one for the same opportunity)
+ */
+function notify(title, body, tag) {
+  if (getPermission() !== 'granted') return;
+  try {
+    new Notification(title, { body, tag });
+  } catch (e) {
+    console.error('Failed to show notification:', e);
+  }
+}
+
+/**
+ * Hook for desktop notifications and sound alerts on HOT/GO signals, EXIT NOW and unhedged exposure
+ * Rules are saved in localStorage; cooldowns are per opportunity (utils/alerts.js).
+ *
+ * @param {Array} opportunities - From useArbitrage
+ * @param {Map} matchedPositions - From usePositions (held outcomes)
+ * @param {Map} arbitragePositions - From usePositions (EXIT NOW candidates)
+ * @param {number} computedAt - Clock time of the recompute (useArbitrage)
+ * @param {Object} [exposures] - From usePositions (unhedged outcomes)
+ * @param {boolean} [paused] - Fire nothing (while a capture is replayed)
+ * @returns {Object} { rules, setRules, permission, requestPermission, testAlert }
+ */
+export function useAlerts(opportunities, matchedPositions, arbitragePositions, computedAt, exposures, paused = false) {
+  const [rules, setRulesState] = useState(loadRules);
+  const [permission, setPermission] = useState(getPermission);
+
+  // alertKey -> { at, signal } of the last alert
+  const historyRef = useRef(new Map());
+
+  // Save to localStorage
+  const setRules = useCallback((updates) => {
+    setRulesState(prev => {
+      const next = { ...prev, ...updates };
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+      } catch (e) {
+        console.error('Failed to save alert rules to localStorage:', e);
+      }
+      return next;
+    });
+  }, []);
+
+  const requestPermission = useCallback(async () => {
+    if (getPermission() === 'unsupported') return;
+    setPermission(await Notification.requestPermission());
+  }, []);
+
+  // Fire alerts for new matches
+  useEffect(() => {
+    if (!rules.enabled || paused) return;
+
+    const isHeld = (opp) => !!matchedPositions?.has(`${opp.eventId}-${opp.outcome}`);
+    const alerts = selectAlerts(opportunities, rules, historyRef.current, computedAt, isHeld);
+
+    for (const opp of alerts) {
+      const profit = opp.execution?.profit ?? opp.strategyDetails?.profit ?? 0;
+      notify(
+        `${opp.signal} ${opp.outcome} ${formatPct(opp.netProfit)}`,
+        `${opp.eventName}\n${opp.direction}\nProfit $${profit.toFixed(2)}`,
+        `signal-${opp.eventId}-${opp.outcome}`
+      );
+    }
+
+    // EXIT NOW on held pairs (same cooldown)
+    const exits = [];
+    if (rules.exitAlerts) {
+      for (const [key, position] of arbitragePositions || []) {
+        if (!position.exitProfit?.canExit) continue;
+        const last = historyRef.current.get(`exit-${key}`);
+        if (last && computedAt - last.at < rules.cooldown) continue;
+
+        historyRef.current.set(`exit-${key}`, { at: computedAt, signal: 'EXIT' });
+        exits.push(position);
+        notify(
+          `EXIT NOW ${position.outcome}`,
+          `${position.marketName}\nSell ${position.exitProfit.exitShares.toFixed(0)} of ${position.exitProfit.shares.toFixed(0)} pairs\n` +
+            `P/L $${position.exitProfit.netProfit.toFixed(2)} (${formatPct(position.exitProfit.profitPct)})`,
+          `exit-${key}`
+        );
+      }
+    }
+
+    // Unhedged held shares (cooldown per outcome, again if they grow)
+    const exposed = rules.exposureAlerts
+      ? selectExposureAlerts(exposures?.outcomes, rules, historyRef.current, computedAt)
+      : [];
+    for (const exposure of exposed) {
+      const { rebalance } = exposure;
+      notify(
+        `EXPOSED ${exposure.outcome} ${exposure.unpaired.toFixed(0)} ${exposure.long.toUpperCase()}`,
+        `${exposure.marketName}\nWorst case $${exposure.worstCase.toFixed(2)} at settlement` +
+          (rebalance ? `\nBuy ${rebalance.shares.toFixed(0)} ${rebalance.side.toUpperCase()} on ${rebalance.venue === 'opinion' ? 'Opinion' : 'Poly'} @ ${(rebalance.limitPrice * 100).toFixed(1)}¢` : ''),
+        `exposure-${exposure.marketId}-${exposure.outcome}`
+      );
+    }
+
+    if (rules.sound && (alerts.length > 0 || exits.length > 0 || exposed.length > 0)) {
+      playSound(exits.length > 0 || exposed.length > 0 || alerts.some(opp => opp.signal === 'HOT'));
+    }
+  }, [opportunities, matchedPositions, arbitragePositions, exposures, computedAt, rules, paused]);
+
+  // Preview the notification and sound
+  const testAlert = useCallback(() => {
+    notify('HOT Test +5.00%', 'Alerts are working', 'test');
+    if (rules.sound) playSound(true);
+  }, [rules.sound]);
+
+  return {
+    rules,
+    setRules,
+    permission,
+    requestPermission,
+    testAlert
+  };
+}
+
+export default useAlerts;
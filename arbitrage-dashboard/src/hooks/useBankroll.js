@@ -0,0 +1,64 @@
+import { useState, useCallback } from 'react';
+
+const STORAGE_KEY = 'arbitrage-bankroll';
+
+// Balances in USDC; caps in USD per outcome / per event (0 = no cap)
+const DEFAULT_BANKROLL = {
+  opinion: 0,
+  poly: 0,
+  maxPerMarket: 0,
+  maxPerEvent: 0
+};
+
+/**
+ * Load bankroll from localStorage
+ */
+function loadBankroll() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored) {
+      const parsed = JSON.parse(stored);
+      return {
+        opinion: parseFloat(parsed.opinion) || 0,
+        poly: parseFloat(parsed.poly) || 0,
+        maxPerMarket: parseFloat(parsed.maxPerMarket) || 0,
+        maxPerEvent: parseFloat(parsed.maxPerEvent) || 0
+      };
+    }
+  } catch (e) {
+    console.error('Failed to load bankroll from localStorage:', e);
+  }
+  return DEFAULT_BANKROLL;
+}
+
+/**
+ * Hook for managing the trading bankroll (localStorage)
+ * Available USDC per platform plus per-market and per-event caps
+ */
+export function useBankroll() {
+  const [bankroll, setBankrollState] = useState(loadBankroll);
+
+  // Save to localStorage
+  const setBankroll = useCallback((updates) => {
+    setBankrollState(prev => {
+      const next = { ...prev, ...updates };
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+      } catch (e) {
+        console.error('Failed to save bankroll to localStorage:', e);
+      }
+      return next;
+    });
+  }, []);
+
+  // Check if any balance is configured
+  const isConfigured = bankroll.opinion > 0 || bankroll.poly > 0;
+
+  return {
+    bankroll,
+    setBankroll,
+    isConfigured
+  };
+}
+
+export default useBankroll;
@@ -0,0 +1,48 @@
+import { useMemo } from 'react';
+import { config } from '../config/markets';
+import { getVenueFees } from '../utils/fees';
+import { getLegsSignal } from '../utils/arbitrage';
+import { scanBaskets } from '../utils/basket';
+
+/**
+ * Hook for scanning mutually exclusive events for basket arbitrage
+ * (YES on every outcome < $1, or NO on every outcome < $(N-1), fees included)
+ *
+ * @param {Object} prices - { opinion: Map, poly: Map }
+ * @param {number} now - Clock time of the recompute (useArbitrage computedAt), for quote ages
+ * @param {Array} [markets] - Market registry (defaults to the static config)
+ * @returns {Object} { baskets } sorted by netProfit
+ */
+export function useBasketArbitrage(prices, now, markets = config.markets) {
+  const { settings } = config;
+
+  const baskets = useMemo(() => {
+    const results = [];
+
+    for (const market of markets) {
+      if (!market.exclusive) continue;
+
+      const scanned = scanBaskets(market, prices.opinion, prices.poly, getVenueFees(market.id), settings.sizingObjective);
+      for (const basket of scanned) {
+        // Same thresholds and quote-age downgrade as pair opportunities
+        const { signal, quoteAge } = getLegsSignal(basket.profitPct, basket.legs, prices, market.id, now, settings);
+
+        results.push({
+          eventId: market.id,
+          eventName: market.name,
+          eventType: market.type,
+          netProfit: basket.profitPct,
+          signal,
+          quoteAge,
+          ...basket
+        });
+      }
+    }
+
+    return results.sort((a, b) => b.netProfit - a.netProfit);
+  }, [prices, settings, markets, now]);
+
+  return { baskets };
+}
+
+export default useBasketArbitrage;
@@ -0,0 +1,106 @@
+import { useState, useCallback } from 'react';
+import { createRecorder, readCapture, createPlayer, downloadCapture } from '../utils/capture';
+
+// Replay speeds offered (capture time per wall-clock time)
+export const REPLAY_SPEEDS = [1, 5, 20, 100];
+
+/**
+ * Hook for recording fetched books and replaying capture files
+ * The recorder and the replay player are handed to usePolling, which records
+ * every book it fetches and, while replaying, takes its books from the
+ * player instead of the network.
+ *
+ * @param {Array} markets - Market registry (stored in each capture's header)
+ * @returns {Object} { recorder, recording, startRecording, stopRecording, replay, loadReplay, play, pause, setSpeed, exitReplay, replayError }
+ */
+export function useCapture(markets) {
+  // Stable for the page's lifetime (usePolling records into it)
+  const [recorder] = useState(createRecorder);
+  const [recording, setRecording] = useState(false);
+
+  // { name, header, player, total, position, time, playing, speed } while replaying
+  const [replay, setReplay] = useState(null);
+  const [replayError, setReplayError] = useState(null);
+
+  const startRecording = useCallback(() => {
+    recorder.start(markets);
+    setRecording(true);
+  }, [recorder, markets]);
+
+  // Stop and download the capture
+  const stopRecording = useCallback(async () => {
+    setRecording(false);
+    try {
+      const result = await recorder.stop();
+      if (result) downloadCapture(result);
+    } catch (err) {
+      console.error('Failed to finish capture:', err);
+    }
+  }, [recorder]);
+
+  const loadReplay = useCallback(async (file) => {
+    setReplayError(null);
+    try {
+      const { header, events } = await readCapture(file);
+      if (events.length === 0) throw new Error('Capture has no books');
+
+      const player = createPlayer(events, {
+        onProgress: (progress) => setReplay(prev => (prev?.player === player ? { ...prev, ...progress } : prev))
+      });
+
+      replay?.player.pause();
+      setReplay({
+        name: file.name,
+        header,
+        player,
+        total: events.length,
+        position: 0,
+        time: events[0].t,
+        playing: true,
+        speed: 1
+      });
+      player.play(1);
+    } catch (err) {
+      console.error('Failed to load capture:', err);
+      setReplayError(err.message);
+    }
+  }, [replay]);
+
+  const play = useCallback(() => {
+    if (!replay) return;
+    replay.player.play(replay.speed);
+    setReplay(prev => ({ ...prev, playing: true }));
+  }, [replay]);
+
+  const pause = useCallback(() => {
+    replay?.player.pause();
+  }, [replay]);
+
+  const setSpeed = useCallback((speed) => {
+    if (!replay) return;
+    if (replay.playing) replay.player.play(speed);
+    setReplay(prev => ({ ...prev, speed }));
+  }, [replay]);
+
+  // Back to live data
+  const exitReplay = useCallback(() => {
+    replay?.player.pause();
+    setReplay(null);
+  }, [replay]);
+
+  return {
+    recorder,
+    recording,
+    startRecording,
+    stopRecording,
+    replay,
+    replayError,
+    loadReplay,
+    play,
+    pause,
+    setSpeed,
+    exitReplay
+  };
+}
+
+export default useCapture;
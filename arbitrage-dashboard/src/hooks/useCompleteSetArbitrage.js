@@ -0,0 +1,46 @@
+import { useMemo } from 'react';
+import { config } from '../config/markets';
+import { getVenueFees } from '../utils/fees';
+import { getLegsSignal } from '../utils/arbitrage';
+import { scanCompleteSets } from '../utils/completeSet';
+
+/**
+ * Hook for scanning same-venue YES+NO complete sets
+ * (YES + NO of one outcome on one venue for less than $1, fees included)
+ *
+ * @param {Object} prices - { opinion: Map, poly: Map }
+ * @param {number} now - Clock time of the recompute (useArbitrage computedAt), for quote ages
+ * @param {Array} [markets] - Market registry (defaults to the static config)
+ * @returns {Object} { completeSets } sorted by netProfit
+ */
+export function useCompleteSetArbitrage(prices, now, markets = config.markets) {
+  const { settings } = config;
+
+  const completeSets = useMemo(() => {
+    const results = [];
+
+    for (const market of markets) {
+      const sets = scanCompleteSets(market, prices.opinion, prices.poly, getVenueFees(market.id), settings.sizingObjective);
+      for (const set of sets) {
+        // Same thresholds and quote-age downgrade as pair opportunities
+        const { signal, quoteAge } = getLegsSignal(set.profitPct, set.legs, prices, market.id, now, settings);
+
+        results.push({
+          eventId: market.id,
+          eventName: market.name,
+          eventType: market.type,
+          netProfit: set.profitPct,
+          signal,
+          quoteAge,
+          ...set
+        });
+      }
+    }
+
+    return results.sort((a, b) => b.netProfit - a.netProfit);
+  }, [prices, settings, markets, now]);
+
+  return { completeSets };
+}
+
+export default useCompleteSetArbitrage;
@@ -0,0 +1,164 @@
+import { useState, useCallback } from 'react';
+import { config } from '../config/markets';
+import { buildPairPlan, buildOrderTypedData } from '../utils/orders';
+import { executePair, dryRunPair } from '../utils/execution';
+import { createMockExchange } from '../utils/mockExchange';
+import { createOrderClient, createWalletSigner } from '../api/orders';
+
+const { execution } = config;
+
+// Order API bases (VITE_*_ORDER_URL point live orders at a relay)
+const ORDER_URLS = {
+  opinion: import.meta.env.VITE_OPINION_ORDER_URL ?? execution.venues.opinion.url,
+  poly: import.meta.env.VITE_POLY_ORDER_URL ?? execution.venues.poly.url
+};
+
+const TICK_SIZES = {
+  opinion: execution.venues.opinion.tickSize,
+  poly: execution.venues.poly.tickSize
+};
+
+// 'dry-run' builds the orders only, 'mock' fills them on utils/mockExchange.js, 'live' sends them
+export const EXECUTION_MODES = ['dry-run', 'mock', 'live'];
+
+// Venues not yet verified against their real order APIs (live mode is disabled while any are)
+export const UNVERIFIED_VENUES = Object.keys(execution.venues).filter(venue => !execution.venues[venue].verified);
+
+/**
+ * Hook for two-leg order execution from an opportunity
+ * An opportunity is first prepared into a ticket (the pair plan), which runs
+ * on confirm in the chosen mode. API credentials are only kept in memory.
+ *
+ * @param {Array} markets - Market configs (token IDs)
+ * @param {Object} prices - { opinion: Map, poly: Map } from usePolling (mock fills)
+ * @param {Object} wallet - { opinion, poly } maker addresses (useWallet)
+ * @param {boolean} [replaying] - Capture replay running (live orders are blocked)
+ * @returns {Object} { options, setOptions, credentials, setCredentials, ticket, prepare, confirm, dismiss }
+ */
+export function useExecution(markets, prices, wallet, replaying = false) {
+  const [options, setOptionsState] = useState({
+    mode: 'dry-run',
+    legOrder: execution.legOrder,
+    onLegRisk: execution.onLegRisk,
+    // Mock exchange behaviour per venue (share filled on arrival, refuse all orders)
+    mock: {
+      opinion: { fillRatio: 1, reject: false },
+      poly: { fillRatio: 1, reject: false }
+    }
+  });
+  const [credentials, setCredentialsState] = useState({
+    opinion: { apiKey: '' },
+    poly: { apiKey: '', secret: '', passphrase: '' }
+  });
+
+  // { title, plan, error, running, steps, result }
+  const [ticket, setTicket] = useState(null);
+
+  const setOptions = useCallback((updates) => {
+    setOptionsState(prev => ({ ...prev, ...updates }));
+  }, []);
+
+  const setCredentials = useCallback((venue, updates) => {
+    setCredentialsState(prev => ({ ...prev, [venue]: { ...prev[venue], ...updates } }));
+  }, []);
+
+  // Plan an opportunity at its executable (or best) size
+  const prepare = useCallback((opp) => {
+    if (ticket?.running) return;
+    const title = `${opp.outcome} · ${opp.eventName}`;
+    try {
+      const market = markets.find(m => m.id === opp.eventId);
+      if (!market) throw new Error(`Market ${opp.eventId} is not in the registry`);
+      const shares = opp.execution?.shares || opp.strategyDetails?.shares || 0;
+      const plan = buildPairPlan(opp, market, { shares, execution });
+      setTicket({ title, plan, error: null, running: false, steps: [], result: null });
+    } catch (err) {
+      setTicket({ title, plan: null, error: err.message, running: false, steps: [], result: null });
+    }
+  }, [markets, ticket]);
+
+  const confirm = useCallback(async () => {
+    if (!ticket?.plan || ticket.running) return;
+    const { plan } = ticket;
+    const { mode, legOrder, onLegRisk } = options;
+
+    if (mode === 'dry-run') {
+      const result = dryRunPair(plan, {
+        legOrder,
+        describe: (order) => {
+          try {
+            buildOrderTypedData(order, { maker: wallet[order.venue] || '(no wallet)', venue: execution.venues[order.venue] });
+            return 'EIP-712 order ready to sign';
+          } catch (err) {
+            return err.message;
+          }
+        }
+      });
+      setTicket(prev => ({ ...prev, steps: result.steps, result }));
+      return;
+    }
+    if (mode === 'live' && UNVERIFIED_VENUES.length > 0) {
+      setTicket(prev => ({ ...prev, error: `Live orders are disabled until ${UNVERIFIED_VENUES.join(' and ')} ${UNVERIFIED_VENUES.length === 1 ? 'is' : 'are'} verified (config.execution.venues)` }));
+      return;
+    }
+    if (mode === 'live' && replaying) {
+      setTicket(prev => ({ ...prev, error: 'Live orders are blocked while a capture is replayed' }));
+      return;
+    }
+
+    if (mode === 'live' && (!credentials.opinion.apiKey || !credentials.poly.apiKey || !credentials.poly.secret)) {
+      setTicket(prev => ({ ...prev, error: 'Live orders need your own Opinion API key and Polymarket API credentials' }));
+      return;
+    }
+
+    let clients;
+    let sign = null;
+    if (mode === 'mock') {
+      const exchange = createMockExchange({
+        getBook: (venue, tokenId) => {
+          const leg = plan.legs.find(l => l.venue === venue && l.tokenId === tokenId);
+          return leg ? prices[venue]?.get(leg.bookKey) : null;
+        },
+        behaviour: options.mock
+      });
+      clients = { opinion: exchange.client('opinion'), poly: exchange.client('poly') };
+    } else {
+      clients = {
+        opinion: createOrderClient('opinion', { url: ORDER_URLS.opinion, credentials: credentials.opinion }),
+        poly: createOrderClient('poly', { url: ORDER_URLS.poly, credentials: { ...credentials.poly, address: wallet.poly } })
+      };
+      sign = createWalletSigner({ wallet, execution });
+    }
+
+    setTicket(prev => ({ ...prev, running: true, error: null, steps: [], result: null }));
+    const result = await executePair(plan, {
+      clients,
+      sign,
+      legOrder,
+      onLegRisk,
+      fillTimeout: execution.fillTimeout,
+      pollInterval: execution.pollInterval,
+      maxHedgeSlippage: execution.maxHedgeSlippage,
+      tickSizes: TICK_SIZES,
+      onStep: (step) => setTicket(prev => (prev?.plan === plan ? { ...prev, steps: [...prev.steps, step] } : prev))
+    });
+    setTicket(prev => (prev?.plan === plan ? { ...prev, running: false, result } : prev));
+  }, [ticket, options, credentials, wallet, prices, replaying]);
+
+  const dismiss = useCallback(() => {
+    setTicket(prev => (prev?.running ? prev : null));
+  }, []);
+
+  return {
+    options,
+    setOptions,
+    credentials,
+    setCredentials,
+    ticket,
+    prepare,
+    confirm,
+    dismiss
+  };
+}
+
+export default useExecution;
@@ -0,0 +1,48 @@
+import { useMemo } from 'react';
+import { config } from '../config/markets';
+import { getVenueFees } from '../utils/fees';
+import { getLegsSignal } from '../utils/arbitrage';
+import { scanLadder } from '../utils/ladder';
+
+/**
+ * Hook for scanning ladder (threshold) markets for monotonicity violations
+ * (YES on a lower threshold + NO on a higher one for less than $1, fees included)
+ *
+ * @param {Object} prices - { opinion: Map, poly: Map }
+ * @param {number} now - Clock time of the recompute (useArbitrage computedAt), for quote ages
+ * @param {Array} [markets] - Market registry (defaults to the static config)
+ * @returns {Object} { ladders } sorted by netProfit
+ */
+export function useLadderArbitrage(prices, now, markets = config.markets) {
+  const { settings } = config;
+
+  const ladders = useMemo(() => {
+    const results = [];
+
+    for (const market of markets) {
+      if (!market.ladder) continue;
+
+      const pairs = scanLadder(market, prices.opinion, prices.poly, getVenueFees(market.id), settings.sizingObjective);
+      for (const pair of pairs) {
+        // Same thresholds and quote-age downgrade as pair opportunities
+        const { signal, quoteAge } = getLegsSignal(pair.profitPct, pair.legs, prices, market.id, now, settings);
+
+        results.push({
+          eventId: market.id,
+          eventName: market.name,
+          eventType: market.type,
+          netProfit: pair.profitPct,
+          signal,
+          quoteAge,
+          ...pair
+        });
+      }
+    }
+
+    return results.sort((a, b) => b.netProfit - a.netProfit);
+  }, [prices, settings, markets, now]);
+
+  return { ladders };
+}
+
+export default useLadderArbitrage;
@@ -0,0 +1,163 @@
+import { useState, useCallback } from 'react';
+import { config } from '../config/markets';
+import { syncMarket, applyStoredSync } from '../utils/marketSync';
+
+const STORAGE_KEY = 'arbitrage-market-registry';
+
+/**
+ * Seed registry: the static config plus the last market sync
+ */
+function seedMarkets() {
+  const markets = structuredClone(config.markets);
+  applyStoredSync(markets);
+  return markets;
+}
+
+/**
+ * Load the registry from localStorage (falls back to the seed)
+ */
+function loadMarkets() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored) {
+      const parsed = JSON.parse(stored);
+      if (Array.isArray(parsed)) return parsed;
+    }
+  } catch (e) {
+    console.error('Failed to load market registry from localStorage:', e);
+  }
+  return seedMarkets();
+}
+
+/**
+ * Save the registry to localStorage
+ */
+function saveMarkets(markets) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(markets));
+  } catch (e) {
+    console.error('Failed to save market registry to localStorage:', e);
+  }
+}
+
+/**
+ * Resolve outcomes and Opinion token IDs for a market from both venues
+ * Polymarket mappings are dropped: they belong to the previous event (if
+ * any) and have to be proposed and confirmed again.
+ * @returns {Promise<Object>} Market with `outcomes`, `opinion.tokenIds` and `resolution` filled in
+ */
+async function resolveMarket(market, apiKey) {
+  const result = await syncMarket({ ...market, outcomes: [] }, apiKey);
+  if (result.error) throw new Error(result.error);
+  if (result.outcomes.length === 0) {
+    throw new Error('No sub-markets matched between Opinion and Polymarket');
+  }
+
+  return {
+    ...market,
+    name: market.name || result.title || market.id,
+    outcomes: result.outcomes,
+    opinion: { ...market.opinion, tokenIds: result.tokenIds },
+    poly: { slug: market.poly?.slug },
+    resolution: result.resolution
+  };
+}
+
+/**
+ * Hook for the runtime market registry (localStorage)
+ * Seeded from config/markets.js; markets can be added with just an Opinion
+ * topicId and a Polymarket slug, edited and removed without a redeploy.
+ *
+ * @param {string} apiKey - Opinion API key (for resolving outcomes)
+ * @returns {Object} { markets, setMarkets, addMarket, updateMarket, removeMarket, resetMarkets }
+ */
+export function useMarketRegistry(apiKey) {
+  const [markets, setMarketsState] = useState(loadMarkets);
+
+  // Save to localStorage
+  const setMarkets = useCallback((updater) => {
+    setMarketsState(prev => {
+      const next = typeof updater === 'function' ? updater(prev) : updater;
+      saveMarkets(next);
+      return next;
+    });
+  }, []);
+
+  /**
+   * Add a market from an Opinion topicId and a Polymarket slug
+   * @param {Object} entry - { topicId, slug, name?, type?, settlementDate? }
+   */
+  const addMarket = useCallback(async ({ topicId, slug, name, type, settlementDate }) => {
+    const id = slug.trim();
+    if (markets.some(m => m.id === id)) {
+      throw new Error(`Market ${id} is already registered`);
+    }
+
+    const market = await resolveMarket({
+      id,
+      name: name?.trim() || '',
+      type: type?.trim() || 'Other',
+      settlementDate: settlementDate || undefined,
+      outcomes: [],
+      opinion: { type: 'multi', topicId: parseInt(topicId, 10) },
+      poly: { slug: id }
+    }, apiKey);
+
+    setMarkets(prev => [...prev, market]);
+    return market;
+  }, [markets, apiKey, setMarkets]);
+
+  /**
+   * Edit a market; changing its topicId or slug re-resolves its outcomes and
+   * drops its outcome mappings (they need confirming again)
+   * @param {string} id - Market ID
+   * @param {Object} changes - { name?, type?, settlementDate?, topicId?, slug? }
+   * @returns {Promise<Object|null>} The re-resolved market, or null if only fields changed
+   */
+  const updateMarket = useCallback(async (id, { topicId, slug, ...fields }) => {
+    const current = markets.find(m => m.id === id);
+    if (!current) throw new Error(`Unknown market ${id}`);
+
+    const nextTopicId = topicId ? parseInt(topicId, 10) : current.opinion?.topicId;
+    const nextSlug = slug?.trim() || current.poly?.slug;
+    let resolved = null;
+    if (nextTopicId !== current.opinion?.topicId || nextSlug !== current.poly?.slug) {
+      resolved = await resolveMarket({
+        ...current,
+        ...fields,
+        opinion: { ...current.opinion, topicId: nextTopicId },
+        poly: { slug: nextSlug }
+      }, apiKey);
+    }
+
+    // Applied to the registry as it is now: a sync or mapping confirmation
+    // may have landed while the venues were queried
+    setMarkets(prev => prev.map(m => {
+      if (m.id !== id) return m;
+      if (!resolved) return { ...m, ...fields };
+      const { name, outcomes, opinion, poly, resolution } = resolved;
+      return { ...m, ...fields, name, outcomes, opinion, poly, resolution };
+    }));
+    return resolved;
+  }, [markets, apiKey, setMarkets]);
+
+  const removeMarket = useCallback((id) => {
+    setMarkets(prev => prev.filter(m => m.id !== id));
+  }, [setMarkets]);
+
+  // Back to config/markets.js (plus the last sync)
+  const resetMarkets = useCallback(() => {
+    setMarkets(seedMarkets());
+  }, [setMarkets]);
+
+  return {
+    markets,
+    setMarkets,
+    addMarket,
+    updateMarket,
+    removeMarket,
+    resetMarkets
+  };
+}
+
+export default useMarketRegistry;
@@ -0,0 +1,45 @@
+import { useState, useCallback } from 'react';
+import { syncMarkets, mergeSyncResults, loadSync, saveSync } from '../utils/marketSync';
+
+/**
+ * Hook for syncing sub-markets and token IDs from both venues
+ * Results are merged into the market registry (pollers pick up new
+ * outcomes right away) and the sync itself is persisted for review.
+ *
+ * @param {string} apiKey - Opinion API key
+ * @param {Array} markets - Market registry
+ * @param {function} setMarkets - Registry setter (takes an updater)
+ * @returns {Object} { sync, syncing, runSync }
+ */
+export function useMarketSync(apiKey, markets, setMarkets) {
+  // Last sync ({ results, timestamp }), restored from localStorage
+  const [sync, setSync] = useState(loadSync);
+  const [syncing, setSyncing] = useState(false);
+
+  const runSync = useCallback(async () => {
+    setSyncing(true);
+    try {
+      const next = await syncMarkets(markets, apiKey);
+      // Merge into the registry as it is now: it may have changed during the fetch
+      setMarkets(prev => {
+        const merged = structuredClone(prev);
+        mergeSyncResults(merged, next.results);
+        return merged;
+      });
+      saveSync(next);
+      setSync(next);
+    } catch (err) {
+      console.error('Market sync error:', err);
+    } finally {
+      setSyncing(false);
+    }
+  }, [apiKey, markets, setMarkets]);
+
+  return {
+    sync,
+    syncing,
+    runSync
+  };
+}
+
+export default useMarketSync;
@@ -0,0 +1,51 @@
+import { useState, useEffect, useMemo } from 'react';
+import { fetchMarketBySlug } from '../api/polymarket';
+import { validateMarkets } from '../config/schema';
+
+/**
+ * Hook for validating the market registry against the config schema
+ * Structural checks run immediately; confirmed outcome mappings are also
+ * checked against Polymarket's sub-market names once the events have been fetched.
+ *
+ * @param {Array} markets - Market registry
+ * @returns {Object} { issues, errorCount, warningCount }
+ */
+export function useMarketValidation(markets) {
+  // marketId -> Polymarket sub-market names (groupItemTitle)
+  const [polyNames, setPolyNames] = useState({});
+
+  useEffect(() => {
+    let cancelled = false;
+
+    // Adapter caches events, so this is shared with polling
+    const withSlug = markets.filter(m => m.poly?.slug);
+    Promise.allSettled(withSlug.map(async (market) => {
+      const eventInfo = await fetchMarketBySlug(market.poly.slug);
+      return [market.id, eventInfo?.markets?.map(m => m.name)];
+    })).then((results) => {
+      if (cancelled) return;
+
+      const names = {};
+      for (const result of results) {
+        if (result.status !== 'fulfilled') continue;
+        const [marketId, marketNames] = result.value;
+        if (marketNames) names[marketId] = marketNames;
+      }
+      setPolyNames(names);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [markets]);
+
+  const issues = useMemo(() => validateMarkets(markets, { polyNames }), [markets, polyNames]);
+
+  return {
+    issues,
+    errorCount: issues.filter(i => i.level === 'error').length,
+    warningCount: issues.filter(i => i.level === 'warning').length
+  };
+}
+
+export default useMarketValidation;
@@ -0,0 +1,114 @@
+import { useState, useCallback } from 'react';
+import { config } from '../config/markets';
+import { advanceEpisodes, closeInterrupted, episodesToCsv } from '../utils/episodes';
+
+const STORAGE_KEY = 'arbitrage-opportunity-log';
+
+// Closed episodes kept (newest first)
+const MAX_EPISODES = 1000;
+
+// While episodes are open, their last sighting is saved at least this often (ms)
+const OPEN_SAVE_INTERVAL = 30000;
+
+/**
+ * Load the log from localStorage
+ * Episodes still open when the page was closed are closed at their last sighting
+ */
+function loadLog() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored) {
+      const parsed = JSON.parse(stored);
+      return {
+        open: new Map(),
+        closed: [...closeInterrupted(parsed.open || []), ...(parsed.closed || [])].slice(0, MAX_EPISODES),
+        savedAt: 0
+      };
+    }
+  } catch (e) {
+    console.error('Failed to load opportunity log from localStorage:', e);
+  }
+  return { open: new Map(), closed: [], savedAt: 0 };
+}
+
+/**
+ * Save the log to localStorage
+ */
+function saveLog(log) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      open: [...log.open.values()],
+      closed: log.closed
+    }));
+  } catch (e) {
+    console.error('Failed to save opportunity log to localStorage:', e);
+  }
+}
+
+/**
+ * Hook for the opportunity lifecycle log
+ * Tracks episodes per outcome and direction across useArbitrage recomputes
+ * (opened when netProfit crosses minSpreadAlert, closed when it drops back).
+ *
+ * @param {Array} opportunities - From useArbitrage
+ * @param {number} computedAt - Clock time of the recompute (useArbitrage)
+ * @param {boolean} [paused] - Stop tracking (while a capture is replayed)
+ * @returns {Object} { open, closed, exportCsv, clear }
+ */
+export function useOpportunityLog(opportunities, computedAt, paused = false) {
+  const [log, setLog] = useState(loadLog);
+  const [tracked, setTracked] = useState(null);
+  const { minSpreadAlert } = config.settings;
+
+  // Advance episodes once per recompute (state adjusted while rendering,
+  // see https://react.dev/learn/you-might-not-need-an-effect); frozen while paused
+  if (tracked !== opportunities && !paused) {
+    setTracked(opportunities);
+    setLog(prev => {
+      const { open, closed } = advanceEpisodes(prev.open, opportunities, computedAt, minSpreadAlert);
+      const next = {
+        open,
+        closed: closed.length > 0 ? [...closed.reverse(), ...prev.closed].slice(0, MAX_EPISODES) : prev.closed,
+        savedAt: prev.savedAt
+      };
+
+      // Save when an episode opens or closes, and periodically while any is open
+      // (so a reload closes it close to its real end)
+      const opened = [...open.keys()].some(key => !prev.open.has(key));
+      if (closed.length > 0 || opened || (open.size > 0 && computedAt - prev.savedAt > OPEN_SAVE_INTERVAL)) {
+        saveLog(next);
+        next.savedAt = computedAt;
+      }
+      return next;
+    });
+  }
+
+  // Download every episode (open ones included) as CSV
+  const exportCsv = useCallback(() => {
+    const episodes = [...log.open.values(), ...log.closed];
+    const blob = new Blob([episodesToCsv(episodes)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `opportunity-log-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }, [log]);
+
+  const clear = useCallback(() => {
+    setLog(prev => {
+      const next = { ...prev, closed: [] };
+      saveLog(next);
+      return next;
+    });
+  }, []);
+
+  return {
+    open: [...log.open.values()],
+    closed: log.closed,
+    exportCsv,
+    clear
+  };
+}
+
+export default useOpportunityLog;
@@ -0,0 +1,146 @@
+import { useState, useCallback, useMemo } from 'react';
+import { fetchMarketBySlug } from '../api/polymarket';
+import { proposeMappings, getConfirmedMappings, confirmMapping, removeMapping } from '../utils/outcomeMapping';
+
+/**
+ * Proposals for one market's unmapped outcomes
+ * @returns {Promise<Object|null>} { proposals, unmatched, error }, or null if nothing to map
+ */
+async function proposeMarket(market) {
+  const unmapped = (market.outcomes || []).filter(o => !getConfirmedMappings(market)[o]);
+  if (unmapped.length === 0 || !market.poly?.slug) return null;
+
+  try {
+    const eventInfo = await fetchMarketBySlug(market.poly.slug, { force: true });
+    if (!eventInfo?.markets?.length) {
+      return { proposals: [], unmatched: unmapped, error: `Polymarket event ${market.poly.slug} returned no markets` };
+    }
+
+    // Sub-markets already mapped to another outcome are not offered again
+    const taken = new Set(Object.values(getConfirmedMappings(market)).map(m => m.yes));
+    const available = eventInfo.markets.filter(m => !taken.has(m.yesTokenId));
+    return { ...proposeMappings(unmapped, available), error: null };
+  } catch (err) {
+    console.error(`Outcome mapping failed for ${market.id}:`, err);
+    return { proposals: [], unmatched: unmapped, error: err.message || 'Failed to fetch Polymarket event' };
+  }
+}
+
+/**
+ * Hook for reviewing cross-venue outcome mappings
+ * Proposals come from the matcher and are kept in memory only; confirming one
+ * writes it to the market registry (poly.tokenIds), which is what polling,
+ * signals and position matching read.
+ *
+ * @param {Array} markets - Market registry
+ * @param {function} setMarkets - Registry setter (useMarketRegistry)
+ * @returns {Object} { proposals, proposing, unmappedCount, propose, proposeFor, confirm, confirmAll, reject, unmap }
+ */
+export function useOutcomeMappings(markets, setMarkets) {
+  // marketId -> { proposals, unmatched, error }
+  const [proposals, setProposals] = useState({});
+  const [proposing, setProposing] = useState(false);
+
+  // Outcomes that are not polled on Polymarket yet
+  const unmappedCount = useMemo(() => markets.reduce(
+    (sum, m) => sum + (m.outcomes?.length || 0) - Object.keys(getConfirmedMappings(m)).length, 0
+  ), [markets]);
+
+  // Run the matcher for every outcome without a confirmed mapping
+  const propose = useCallback(async () => {
+    setProposing(true);
+    const next = {};
+
+    for (const market of markets) {
+      const entry = await proposeMarket(market);
+      if (entry) next[market.id] = entry;
+    }
+
+    setProposals(next);
+    setProposing(false);
+  }, [markets]);
+
+  /**
+   * Run the matcher for one market (e.g. right after it was added or re-resolved,
+   * before the registry update has reached `markets`)
+   * @param {Object} market - Market config as stored
+   */
+  const proposeFor = useCallback(async (market) => {
+    setProposing(true);
+    const entry = await proposeMarket(market);
+    setProposals(prev => {
+      const next = { ...prev };
+      if (entry) next[market.id] = entry; else delete next[market.id];
+      return next;
+    });
+    setProposing(false);
+  }, []);
+
+  // Drop one proposal from review
+  const dropProposal = useCallback((marketId, outcome) => {
+    setProposals(prev => {
+      const entry = prev[marketId];
+      if (!entry) return prev;
+      return {
+        ...prev,
+        [marketId]: { ...entry, proposals: entry.proposals.filter(p => p.outcome !== outcome) }
+      };
+    });
+  }, []);
+
+  /**
+   * Confirm a proposal (stores it as the outcome's Polymarket mapping)
+   */
+  const confirm = useCallback((marketId, proposal) => {
+    setMarkets(prev => prev.map(m => m.id === marketId ? confirmMapping(m, proposal) : m));
+    dropProposal(marketId, proposal.outcome);
+  }, [setMarkets, dropProposal]);
+
+  /**
+   * Confirm every pending proposal at or above a confidence level
+   * @param {number} minConfidence - e.g. 0.95 for exact and normalised matches
+   */
+  const confirmAll = useCallback((minConfidence) => {
+    const accepted = Object.entries(proposals).flatMap(([marketId, entry]) =>
+      entry.proposals.filter(p => p.confidence >= minConfidence).map(p => [marketId, p])
+    );
+    if (accepted.length === 0) return;
+
+    setMarkets(prev => prev.map(market => accepted
+      .filter(([marketId]) => marketId === market.id)
+      .reduce((m, [, proposal]) => confirmMapping(m, proposal), market)
+    ));
+    setProposals(prev => Object.fromEntries(Object.entries(prev).map(([marketId, entry]) => [
+      marketId,
+      { ...entry, proposals: entry.proposals.filter(p => p.confidence < minConfidence) }
+    ])));
+  }, [proposals, setMarkets]);
+
+  /**
+   * Reject a proposal (the outcome stays unmapped)
+   */
+  const reject = useCallback((marketId, outcome) => {
+    dropProposal(marketId, outcome);
+  }, [dropProposal]);
+
+  /**
+   * Remove a confirmed mapping (stops polling the outcome on Polymarket)
+   */
+  const unmap = useCallback((marketId, outcome) => {
+    setMarkets(prev => prev.map(m => m.id === marketId ? removeMapping(m, outcome) : m));
+  }, [setMarkets]);
+
+  return {
+    proposals,
+    proposing,
+    unmappedCount,
+    propose,
+    proposeFor,
+    confirm,
+    confirmAll,
+    reject,
+    unmap
+  };
+}
+
+export default useOutcomeMappings;
@@ -0,0 +1,176 @@
+import { useState, useCallback, useMemo } from 'react';
+import { simulateEntry, addEntry, closePosition } from '../utils/paper';
+import { calcExitProfit } from '../utils/exit';
+
+const STORAGE_KEY = 'arbitrage-paper-portfolio';
+
+// Closed paper trades kept (newest first)
+const MAX_TRADES = 500;
+
+// Signal ranks (auto-take compares against minSignal)
+const SIGNAL_RANK = { NONE: 0, GO: 1, HOT: 2 };
+
+const DEFAULT_PORTFOLIO = {
+  enabled: false,
+  auto: false,         // Take GO/HOT signals and exit on the exit criterion by itself
+  minSignal: 'GO',     // Lowest signal auto mode takes
+  positions: {},       // key ('eventId-outcome') -> simulated position
+  trades: []           // Closed paper trades
+};
+
+/**
+ * Load the paper portfolio from localStorage
+ */
+function loadPortfolio() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored) return { ...DEFAULT_PORTFOLIO, ...JSON.parse(stored) };
+  } catch (e) {
+    console.error('Failed to load paper portfolio from localStorage:', e);
+  }
+  return DEFAULT_PORTFOLIO;
+}
+
+/**
+ * Save the paper portfolio to localStorage
+ */
+function savePortfolio(portfolio) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(portfolio));
+  } catch (e) {
+    console.error('Failed to save paper portfolio to localStorage:', e);
+  }
+}
+
+/**
+ * Shares a paper entry takes: the bankroll-constrained size if set, else the best size
+ */
+function entryShares(opp) {
+  return opp.execution?.shares || opp.strategyDetails?.shares || 0;
+}
+
+/**
+ * Enter an opportunity (no-op if nothing fills)
+ */
+function enterOpportunity(portfolio, opp, at) {
+  const entry = simulateEntry(opp, entryShares(opp));
+  if (!entry) return portfolio;
+  return { ...portfolio, positions: addEntry(portfolio.positions, opp, entry, at) };
+}
+
+/**
+ * Close a position at the bids (no-op without prices)
+ */
+function closeOpportunity(portfolio, key, prices, exitThreshold, at) {
+  const result = closePosition(portfolio.positions, key, prices, exitThreshold, at);
+  if (!result) return portfolio;
+  return {
+    ...portfolio,
+    positions: result.positions,
+    trades: [result.trade, ...portfolio.trades].slice(0, MAX_TRADES)
+  };
+}
+
+/**
+ * Hook for paper trading against live books
+ * Entries are simulated fills on an opportunity's current asks; holdings look
+ * like usePositions data ({ simulated: true }) and are priced for exit the
+ * same way. In auto mode every recompute takes new GO/HOT signals and closes
+ * positions that meet the exit criterion.
+ *
+ * @param {Array} opportunities - From useArbitrage
+ * @param {Object} prices - { opinion: Map, poly: Map } from usePolling
+ * @param {number} computedAt - Clock time of the recompute (useArbitrage)
+ * @param {number} exitThreshold - Minimum exit price sum (settings)
+ * @param {boolean} [paused] - Stop auto mode (while a capture is replayed)
+ * @returns {Object} { enabled, auto, minSignal, setOptions, matchedPositions, arbitragePositions, trades, realisedPnl, enter, close, reset }
+ */
+export function usePaperTrading(opportunities, prices, computedAt, exitThreshold = 0.98, paused = false) {
+  const [portfolio, setPortfolio] = useState(loadPortfolio);
+  const [tracked, setTracked] = useState(null);
+
+  const update = useCallback((fn) => {
+    setPortfolio(prev => {
+      const next = fn(prev);
+      if (next !== prev) savePortfolio(next);
+      return next;
+    });
+  }, []);
+
+  // Auto mode: act once per recompute (state adjusted while rendering)
+  if (tracked !== opportunities && !paused) {
+    setTracked(opportunities);
+    if (portfolio.enabled && portfolio.auto) {
+      update(prev => {
+        let next = prev;
+        for (const key of Object.keys(prev.positions)) {
+          if (calcExitProfit(prev.positions[key], prices, exitThreshold)?.canExit) {
+            next = closeOpportunity(next, key, prices, exitThreshold, computedAt);
+          }
+        }
+        const minRank = SIGNAL_RANK[prev.minSignal] || 1;
+        for (const opp of opportunities) {
+          if (SIGNAL_RANK[opp.signal] < minRank) continue;
+          if (next.positions[`${opp.eventId}-${opp.outcome}`]) continue;
+          next = enterOpportunity(next, opp, computedAt);
+        }
+        return next;
+      });
+    }
+  }
+
+  const setOptions = useCallback((updates) => {
+    update(prev => ({ ...prev, ...updates }));
+  }, [update]);
+
+  // Manual entry at the opportunity's current books
+  const enter = useCallback((opp) => {
+    update(prev => enterOpportunity(prev, opp, Date.now()));
+  }, [update]);
+
+  // Manual close at the current bids
+  const close = useCallback((key) => {
+    update(prev => closeOpportunity(prev, key, prices, exitThreshold, Date.now()));
+  }, [update, prices, exitThreshold]);
+
+  // Drop all paper positions and trades (options are kept)
+  const reset = useCallback(() => {
+    update(prev => ({ ...prev, positions: {}, trades: [] }));
+  }, [update]);
+
+  // Same shapes as usePositions: all holdings, and pairs with exit profit
+  const matchedPositions = useMemo(
+    () => new Map(Object.entries(portfolio.positions)),
+    [portfolio.positions]
+  );
+
+  const arbitragePositions = useMemo(() => {
+    const result = new Map();
+    for (const [key, entry] of matchedPositions) {
+      const exitProfit = calcExitProfit(entry, prices, exitThreshold);
+      if (exitProfit) result.set(key, { ...entry, exitProfit });
+    }
+    return result;
+  }, [matchedPositions, prices, exitThreshold]);
+
+  const realisedPnl = useMemo(
+    () => portfolio.trades.reduce((sum, trade) => sum + trade.pnl, 0),
+    [portfolio.trades]
+  );
+
+  return {
+    enabled: portfolio.enabled,
+    auto: portfolio.auto,
+    minSignal: portfolio.minSignal,
+    setOptions,
+    matchedPositions,
+    arbitragePositions,
+    trades: portfolio.trades,
+    realisedPnl,
+    enter,
+    close,
+    reset
+  };
+}
+
+export default usePaperTrading;
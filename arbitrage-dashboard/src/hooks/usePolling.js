@@ -1,16 +1,24 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { fetchPrices as fetchOpinionPrices, testConnection as testOpinion, fetchMarketVolume } from '../api/opinion';
 import { fetchPrices as fetchPolyPrices, testConnection as testPoly } from '../api/polymarket';
+import { connectBookStream } from '../api/bookStream';
 import { getOpinionMarkets, getPolyMarkets, config } from '../config/markets';
 
+// Stream URLs per venue (env overrides config, an empty URL keeps that venue on REST polling)
+const STREAM_URLS = {
+  opinion: import.meta.env.VITE_OPINION_WS_URL ?? config.settings.opinionStreamUrl,
+  poly: import.meta.env.VITE_POLY_WS_URL ?? config.settings.polyStreamUrl
+};
+
 /**
  * Build list of all outcomes to poll
  * Each outcome will be polled separately in rotation
+ * @param {Array} markets - Market registry
  */
-function buildOutcomeList() {
+function buildOutcomeList(markets) {
   const outcomes = [];
 
-  for (const market of config.markets) {
+  for (const market of markets) {
     const marketOutcomes = market.outcomes || [];
     for (const outcome of marketOutcomes) {
       outcomes.push({
@@ -18,7 +26,8 @@ function buildOutcomeList() {
         eventName: market.name,
         outcome,
         opinionTokens: market.opinion?.tokenIds?.[outcome],
-        polySlug: market.poly?.slug
+        // Confirmed mappings only (see utils/outcomeMapping.js)
+        polyTokens: market.poly?.tokenIds?.[outcome]
       });
     }
   }
@@ -26,17 +35,55 @@ function buildOutcomeList() {
   return outcomes;
 }
 
+/**
+ * Build tokenId -> price key lookup for each venue's stream
+ * Polymarket tokens come from confirmed outcome mappings (poly.tokenIds)
+ * @param {Array} markets - Market registry
+ * @returns {{opinion: Map, poly: Map}} tokenId -> { key, side }
+ */
+function buildStreamTokenIndex(markets) {
+  const index = { opinion: new Map(), poly: new Map() };
+
+  for (const market of markets) {
+    for (const outcome of market.outcomes || []) {
+      for (const venue of ['opinion', 'poly']) {
+        const tokens = market[venue]?.tokenIds?.[outcome];
+        if (tokens?.yes) index[venue].set(tokens.yes, { key: `${market.id}-${outcome}`, side: 'yes' });
+        if (tokens?.no) index[venue].set(tokens.no, { key: `${market.id}-${outcome}-NO`, side: 'no' });
+      }
+    }
+  }
+
+  return index;
+}
+
 /**
  * Hook for polling price data from both platforms
- * Batches multiple markets per poll cycle to respect rate limits
+ * Books are streamed where a stream URL is configured; REST polling batches
+ * multiple markets per poll cycle and covers every token without a live stream snapshot
  *
- * @returns {Object} { prices, loading, error, lastUpdate, connectionStatus, pollingInfo }
+ * @param {Array} [markets] - Market registry (defaults to the static config); changes
+ *   take effect without a reload - new outcomes are fetched right away
+ * @param {Object} [options]
+ * @param {Object} [options.recorder] - Capture recorder (utils/capture.js), gets every fetched book
+ * @param {Object} [options.replay] - Capture player (utils/capture.js); while set, books come
+ *   from the capture instead of the network (prices are cleared on entering and leaving)
+ * @returns {Object} { prices, loading, error, lastUpdate, connectionStatus, streamStatus, pollingInfo }
  */
-export function usePolling() {
+export function usePolling(markets = config.markets, { recorder, replay } = {}) {
   const [prices, setPrices] = useState({
     opinion: new Map(),
     poly: new Map()
   });
+  const replaying = !!replay;
+
+  // Start from empty books when a replay starts or ends (state adjusted while
+  // rendering, see https://react.dev/learn/you-might-not-need-an-effect)
+  const [priceSource, setPriceSource] = useState(replay);
+  if (priceSource !== replay) {
+    setPriceSource(replay);
+    setPrices({ opinion: new Map(), poly: new Map() });
+  }
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [lastUpdate, setLastUpdate] = useState(null);
@@ -44,19 +91,32 @@ export function usePolling() {
     opinion: 'connecting',
     poly: 'connecting'
   });
+  const [streamStatus, setStreamStatus] = useState({
+    opinion: 'off',
+    poly: 'off'
+  });
   const [pollingInfo, setPollingInfo] = useState({ current: 0, total: 0, markets: [] });
 
   const intervalRef = useRef(null);
   const isMountedRef = useRef(true);
   const outcomeIndexRef = useRef(0);
   const outcomesRef = useRef([]);
+  const streamsRef = useRef({});
+  const marketsRef = useRef(markets);
+
+  // Streamed tokens per venue; the joined ID lists key the subscription so
+  // registry edits that don't change them leave the streams alone
+  const streamIndex = useMemo(() => buildStreamTokenIndex(markets), [markets]);
+  const streamIndexRef = useRef(streamIndex);
+  const opinionStreamTokens = useMemo(() => [...streamIndex.opinion.keys()].join(','), [streamIndex]);
+  const polyStreamTokens = useMemo(() => [...streamIndex.poly.keys()].join(','), [streamIndex]);
 
   // Get API key from environment
   const apiKey = import.meta.env.VITE_OPINION_API_KEY;
 
   // Calculate batch size based on rate limit
   // Each market needs ~4 requests (Opinion YES/NO + Poly YES/NO)
-  const { maxRequestsPerBatch, requestsPerMarket, pollingInterval } = config.settings;
+  const { maxRequestsPerBatch, requestsPerMarket, pollingInterval, streamEnabled } = config.settings;
   const marketsPerBatch = Math.floor(maxRequestsPerBatch / requestsPerMarket); // 10/4 = 2 markets per batch
 
   // Fetch a batch of outcomes
@@ -75,18 +135,23 @@ export function usePolling() {
       const opinionConfigs = [];
       const polyConfigs = [];
 
-      for (const { eventId, outcome, opinionTokens, polySlug } of outcomes) {
-        if (opinionTokens) {
+      // Skip outcomes whose books are all live from the stream (per token:
+      // a stream can be up without a snapshot for every token yet)
+      const streamed = (venue, tokens) => {
+        const stream = streamsRef.current[venue];
+        return !!stream && [tokens.yes, tokens.no].filter(Boolean).every(tokenId => stream.isLive(tokenId));
+      };
+      for (const { eventId, outcome, opinionTokens, polyTokens } of outcomes) {
+        if (opinionTokens && !streamed('opinion', opinionTokens)) {
           opinionConfigs.push({
             eventId,
             outcomeIds: { [outcome]: opinionTokens }
           });
         }
-        if (polySlug) {
+        if (polyTokens && !streamed('poly', polyTokens)) {
           polyConfigs.push({
             eventId,
-            slug: polySlug,
-            outcomeFilter: outcome
+            outcomeIds: { [outcome]: polyTokens }
           });
         }
       }
@@ -97,8 +162,12 @@ export function usePolling() {
         polyConfigs.length > 0 ? fetchPolyPrices(polyConfigs) : Promise.resolve(new Map())
       ]);
 
+      // Dropped if a replay started while the request was in flight
       if (!isMountedRef.current) return;
 
+      if (opinionResult.status === 'fulfilled') recorder?.record('opinion', opinionResult.value, 'rest');
+      if (polyResult.status === 'fulfilled') recorder?.record('poly', polyResult.value, 'rest');
+
       // Merge new prices with existing
       setPrices(prev => {
         const newOpinion = new Map(prev.opinion);
@@ -135,18 +204,18 @@ export function usePolling() {
       if (!isMountedRef.current) return;
       console.error('Batch polling error:', err);
     }
-  }, [apiKey]);
+  }, [apiKey, recorder]);
 
   // Fetch all outcomes initially
   const fetchAllOutcomes = useCallback(async () => {
     if (!isMountedRef.current) return;
 
-    const opinionMarkets = getOpinionMarkets();
-    const polyMarkets = getPolyMarkets();
+    const opinionMarkets = getOpinionMarkets(marketsRef.current);
+    const polyMarkets = getPolyMarkets(marketsRef.current);
 
     if (opinionMarkets.length === 0 && polyMarkets.length === 0) {
       setLoading(false);
-      setError('No markets configured. Please add market mappings to src/config/markets.js');
+      setError('No markets configured. Please add markets in the Markets panel or src/config/markets.js');
       return;
     }
 
@@ -166,6 +235,9 @@ export function usePolling() {
         ? polyResult.value
         : new Map();
 
+      recorder?.record('opinion', newOpinionPrices, 'rest');
+      recorder?.record('poly', newPolyPrices, 'rest');
+
       setPrices({
         opinion: newOpinionPrices,
         poly: newPolyPrices
@@ -191,7 +263,7 @@ export function usePolling() {
       setError(err.message || 'Failed to fetch data');
       setLoading(false);
     }
-  }, [apiKey]);
+  }, [apiKey, recorder]);
 
   // Poll next batch in rotation
   const pollNextBatch = useCallback(() => {
@@ -234,11 +306,88 @@ export function usePolling() {
     checkConnections();
   }, [apiKey]);
 
+  useEffect(() => {
+    streamIndexRef.current = streamIndex;
+  }, [streamIndex]);
+
+  // Stream books for every configured token (falls back to REST while down)
+  useEffect(() => {
+    if (!streamEnabled || replaying) return;
+
+    for (const venue of ['opinion', 'poly']) {
+      if (!STREAM_URLS[venue]) continue;
+
+      streamsRef.current[venue] = connectBookStream({
+        url: STREAM_URLS[venue],
+        tokenIds: [...streamIndexRef.current[venue].keys()],
+        onStatus: (status) => {
+          if (!isMountedRef.current) return;
+
+          setStreamStatus(prev => ({ ...prev, [venue]: status }));
+          if (status === 'live') {
+            setConnectionStatus(prev => ({ ...prev, [venue]: 'connected' }));
+          }
+        },
+        onBooks: (changed) => {
+          if (!isMountedRef.current) return;
+
+          // Changed books by price key
+          const tokens = streamIndexRef.current[venue];
+          const books = [];
+          for (const [tokenId, data] of changed) {
+            const { key, side } = tokens.get(tokenId) || {};
+            if (key) books.push([key, { ...data, side }]);
+          }
+          recorder?.record(venue, books, 'stream');
+
+          // Merge changed books into the venue's price map
+          setPrices(prev => {
+            const next = new Map(prev[venue]);
+            for (const [key, book] of books) {
+              next.set(key, book);
+            }
+            return { ...prev, [venue]: next };
+          });
+          setLastUpdate(new Date());
+        }
+      });
+    }
+
+    return () => {
+      Object.values(streamsRef.current).forEach(stream => stream.close());
+      streamsRef.current = {};
+    };
+  }, [streamEnabled, replaying, recorder]);
+
+  // Registry changes: (un)subscribe changed tokens on the open streams
+  useEffect(() => {
+    streamsRef.current.opinion?.setTokens(opinionStreamTokens ? opinionStreamTokens.split(',') : []);
+    streamsRef.current.poly?.setTokens(polyStreamTokens ? polyStreamTokens.split(',') : []);
+  }, [opinionStreamTokens, polyStreamTokens]);
+
+  // Replay: apply the capture's books as the player emits them
+  useEffect(() => {
+    if (!replay) return;
+
+    return replay.subscribe((events) => {
+      setPrices(prev => {
+        const next = { opinion: new Map(prev.opinion), poly: new Map(prev.poly) };
+        for (const { t, venue, key, book } of events) {
+          // Keep each quote's age relative to when it was recorded
+          const age = book.timestamp ? Math.max(0, t - book.timestamp) : 0;
+          next[venue]?.set(key, { ...book, timestamp: Date.now() - age });
+        }
+        return next;
+      });
+      setLastUpdate(new Date(events.at(-1).t));
+    });
+  }, [replay]);
+
   // Fetch all market volumes (for low volume indicator)
   const fetchAllVolumes = useCallback(async () => {
     // Get unique topicIds from config
     const topicIds = new Set();
-    for (const market of config.markets) {
+    for (const market of marketsRef.current) {
       if (market.opinion?.topicId) {
         topicIds.add(market.opinion.topicId);
       }
@@ -249,6 +398,22 @@ export function usePolling() {
     await Promise.allSettled(promises);
   }, [apiKey]);
 
+  // Fetch outcomes in batches of the poll cycle's size, quickly in sequence
+  // (500ms between batches, faster than normal polling); onBatch runs after each
+  const fetchInBatches = useCallback(async (outcomes, onBatch) => {
+    for (let i = 0; i < outcomes.length; i += marketsPerBatch) {
+      if (!isMountedRef.current) return;
+
+      const batch = outcomes.slice(i, i + marketsPerBatch);
+      await fetchBatch(batch);
+      onBatch?.(i, batch);
+
+      if (i + marketsPerBatch < outcomes.length) {
+        await new Promise(r => setTimeout(r, 500));
+      }
+    }
+  }, [fetchBatch, marketsPerBatch]);
+
   // Fast initial load - load batches quickly in sequence
   const fastInitialLoad = useCallback(async () => {
     const outcomes = outcomesRef.current;
@@ -260,40 +425,30 @@ export function usePolling() {
     // Fetch volumes in parallel with first batch
     fetchAllVolumes();
 
-    // Load all batches quickly (500ms between each)
-    for (let i = 0; i < outcomes.length; i += marketsPerBatch) {
-      if (!isMountedRef.current) return;
-
-      const batch = outcomes.slice(i, i + marketsPerBatch);
+    await fetchInBatches(outcomes, (i, batch) => {
       outcomeIndexRef.current = i;
-
       setPollingInfo({
         current: i,
         total: outcomes.length,
         markets: batch.map(o => o.outcome)
       });
 
-      await fetchBatch(batch);
-
       // Clear loading after first batch
       if (i === 0) {
         setLoading(false);
       }
-
-      // Small delay between batches during initial load (faster than normal polling)
-      if (i + marketsPerBatch < outcomes.length) {
-        await new Promise(r => setTimeout(r, 500));
-      }
-    }
+    });
 
     // Reset index for normal polling
     outcomeIndexRef.current = 0;
-  }, [fetchBatch, marketsPerBatch, fetchAllVolumes]);
+  }, [fetchInBatches, fetchAllVolumes]);
 
-  // Initial fetch and start polling
+  // Initial fetch and start polling (paused while replaying)
   useEffect(() => {
+    if (replaying) return;
+
     isMountedRef.current = true;
-    outcomesRef.current = buildOutcomeList();
+    outcomesRef.current = buildOutcomeList(marketsRef.current);
 
     // Update total count
     setPollingInfo(prev => ({
@@ -315,7 +470,36 @@ export function usePolling() {
         clearInterval(intervalRef.current);
       }
     };
-  }, [fastInitialLoad, pollNextBatch, pollingInterval]);
+  }, [fastInitialLoad, pollNextBatch, pollingInterval, replaying]);
+
+  // Registry changes: rebuild the rotation and fetch new outcomes right away
+  useEffect(() => {
+    if (marketsRef.current === markets) return;
+    marketsRef.current = markets;
+
+    // Outcome + Polymarket token, so newly confirmed mappings are fetched too
+    const outcomeKey = (o) => `${o.eventId}-${o.outcome}-${o.polyTokens?.yes || ''}`;
+    const previous = new Set(outcomesRef.current.map(outcomeKey));
+    outcomesRef.current = buildOutcomeList(markets);
+    if (outcomeIndexRef.current >= outcomesRef.current.length) {
+      outcomeIndexRef.current = 0;
+    }
+
+    // Drop Polymarket books of outcomes that no longer have a confirmed mapping
+    const mapped = new Set(outcomesRef.current
+      .filter(o => o.polyTokens)
+      .flatMap(o => [`${o.eventId}-${o.outcome}`, `${o.eventId}-${o.outcome}-NO`]));
+    setPrices(prev => {
+      if ([...prev.poly.keys()].every(key => mapped.has(key))) return prev;
+      return { ...prev, poly: new Map([...prev.poly].filter(([key]) => mapped.has(key))) };
+    });
+
+    const added = outcomesRef.current.filter(o => !previous.has(outcomeKey(o)));
+    if (added.length > 0) {
+      fetchInBatches(added);
+      fetchAllVolumes();
+    }
+  }, [markets, fetchInBatches, fetchAllVolumes]);
 
   // Manual refetch function (fetches all)
   const refetch = useCallback(() => {
@@ -329,6 +513,7 @@ export function usePolling() {
     error,
     lastUpdate,
     connectionStatus,
+    streamStatus,
     pollingInfo,
     refetch
   };
@@ -0,0 +1,144 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { config } from '../config/markets';
+import { openHistory, appendSamples, loadSamples, pruneHistory, getOpenSince } from '../utils/history';
+
+// How often retention limits are re-applied (ms)
+const PRUNE_INTERVAL = 10 * 60 * 1000;
+
+// How often time-open is re-evaluated (ms)
+const OPEN_TIME_TICK = 1000;
+
+/**
+ * Top-of-book of one price entry
+ */
+function topOfBook(data) {
+  return data ? { bid: data.bid || 0, ask: data.ask || 0 } : null;
+}
+
+/**
+ * Build one sample per outcome from the current books and opportunities
+ */
+function buildSamples(markets, prices, opportunities, t) {
+  const netProfits = new Map(opportunities.map(o => [`${o.eventId}-${o.outcome}`, o.netProfit]));
+  const samples = [];
+
+  for (const market of markets) {
+    for (const outcome of market.outcomes || []) {
+      const key = `${market.id}-${outcome}`;
+      const opinion = { yes: topOfBook(prices.opinion?.get(key)), no: topOfBook(prices.opinion?.get(`${key}-NO`)) };
+      const poly = { yes: topOfBook(prices.poly?.get(key)), no: topOfBook(prices.poly?.get(`${key}-NO`)) };
+      if (!opinion.yes && !poly.yes) continue;
+
+      samples.push({ key, t, opinion, poly, netProfit: netProfits.get(key) ?? null });
+    }
+  }
+
+  return samples;
+}
+
+/**
+ * Hook for the local price and spread history (IndexedDB)
+ * Every outcome's top-of-book and netProfit is sampled when it changes, at
+ * most once per historySampleInterval; the last historyWindow is kept in
+ * memory for sparklines.
+ *
+ * @param {Object} prices - { opinion: Map, poly: Map } from usePolling
+ * @param {Array} opportunities - From useArbitrage
+ * @param {Array} [markets] - Market registry (defaults to the static config)
+ * @param {boolean} [paused] - Stop recording (while a capture is replayed)
+ * @returns {Map} key ('eventId-outcome') -> { samples, openSince, openFor } (times in ms)
+ */
+export function usePriceHistory(prices, opportunities, markets = config.markets, paused = false) {
+  const { historySampleInterval, historyWindow, historyRetention, historyMaxRecords, minSpreadAlert } = config.settings;
+
+  // key -> samples within the window, oldest first
+  const [series, setSeries] = useState(() => new Map());
+
+  // key -> { t, signature } of the last recorded sample
+  const lastSampleRef = useRef(new Map());
+
+  // Clock for time-open
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), OPEN_TIME_TICK);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Load the window from IndexedDB, then keep applying retention limits
+  useEffect(() => {
+    let cancelled = false;
+    const limits = { maxAge: historyRetention, maxRecords: historyMaxRecords };
+
+    openHistory()
+      .then(() => pruneHistory(limits))
+      .then(() => loadSamples(Date.now() - historyWindow))
+      .then((samples) => {
+        if (cancelled) return;
+        setSeries(prev => {
+          const next = new Map();
+          for (const sample of samples) {
+            if (!next.has(sample.key)) next.set(sample.key, []);
+            next.get(sample.key).push(sample);
+          }
+          // Samples recorded while loading (skip ones the load already returned)
+          for (const [key, recent] of prev) {
+            const loaded = next.get(key) || [];
+            const lastT = loaded.at(-1)?.t ?? 0;
+            next.set(key, [...loaded, ...recent.filter(s => s.t > lastT)]);
+          }
+          return next;
+        });
+      })
+      .catch(err => console.error('Failed to load price history:', err));
+
+    const timer = setInterval(() => {
+      pruneHistory(limits).catch(err => console.error('Failed to prune price history:', err));
+    }, PRUNE_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [historyWindow, historyRetention, historyMaxRecords]);
+
+  // Record changed outcomes
+  useEffect(() => {
+    if (paused) return;
+
+    const now = Date.now();
+    const changed = buildSamples(markets, prices, opportunities, now).filter((sample) => {
+      const signature = JSON.stringify([sample.opinion, sample.poly, sample.netProfit]);
+      const last = lastSampleRef.current.get(sample.key);
+      if (last && (last.signature === signature || now - last.t < historySampleInterval)) return false;
+
+      lastSampleRef.current.set(sample.key, { t: now, signature });
+      return true;
+    });
+    if (changed.length === 0) return;
+
+    appendSamples(changed)
+      .catch(err => console.error('Failed to record price history:', err))
+      .finally(() => {
+        setSeries(prev => {
+          const next = new Map(prev);
+          const cutoff = now - historyWindow;
+          for (const sample of changed) {
+            const samples = (next.get(sample.key) || []).filter(s => s.t >= cutoff);
+            next.set(sample.key, [...samples, sample]);
+          }
+          return next;
+        });
+      });
+  }, [markets, prices, opportunities, paused, historySampleInterval, historyWindow]);
+
+  return useMemo(() => {
+    const history = new Map();
+    for (const [key, samples] of series) {
+      const openSince = getOpenSince(samples, minSpreadAlert);
+      history.set(key, { samples, openSince, openFor: openSince ? Math.max(0, now - openSince) : null });
+    }
+    return history;
+  }, [series, minSpreadAlert, now]);
+}
+
+export default usePriceHistory;
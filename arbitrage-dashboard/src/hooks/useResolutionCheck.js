@@ -0,0 +1,53 @@
+import { useEffect, useRef } from 'react';
+import { fetchMarketByTopicId } from '../api/opinion';
+import { fetchMarketBySlug } from '../api/polymarket';
+import { normalizeResolution } from '../utils/resolution';
+
+/**
+ * Hook that fills in missing resolution info on the market registry
+ * Markets without `resolution` (e.g. from the static config) get both
+ * venues' criteria, end date and source fetched once; market sync refreshes
+ * them afterwards. Divergence is flagged by useArbitrage (resolutionRisk).
+ *
+ * @param {string} apiKey - Opinion API key
+ * @param {Array} markets - Market registry
+ * @param {function} setMarkets - Registry setter (useMarketRegistry)
+ */
+export function useResolutionCheck(apiKey, markets, setMarkets) {
+  // Markets already requested (a failed fetch is not retried until reload)
+  const requestedRef = useRef(new Set());
+
+  useEffect(() => {
+    const pending = markets.filter(m =>
+      !m.resolution && m.opinion?.topicId && m.poly?.slug && !requestedRef.current.has(m.id)
+    );
+    if (pending.length === 0) return;
+
+    pending.forEach(m => requestedRef.current.add(m.id));
+
+    Promise.allSettled(pending.map(async (market) => {
+      const [opinionInfo, polyInfo] = await Promise.all([
+        fetchMarketByTopicId(market.opinion.topicId, apiKey),
+        fetchMarketBySlug(market.poly.slug)
+      ]);
+      if (!opinionInfo || !polyInfo) return null;
+
+      return [market.id, {
+        opinion: normalizeResolution(opinionInfo.resolution),
+        poly: normalizeResolution(polyInfo.resolution),
+        fetchedAt: new Date().toISOString()
+      }];
+    })).then((results) => {
+      const resolved = new Map(results
+        .filter(r => r.status === 'fulfilled' && r.value)
+        .map(r => r.value));
+      if (resolved.size === 0) return;
+
+      setMarkets(prev => prev.map(m =>
+        resolved.has(m.id) && !m.resolution ? { ...m, resolution: resolved.get(m.id) } : m
+      ));
+    });
+  }, [apiKey, markets, setMarkets]);
+}
+
+export default useResolutionCheck;
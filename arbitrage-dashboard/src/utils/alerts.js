@@ -0,0 +1,113 @@
+/**
+ * Alert rules for desktop notifications and sounds
+ *
+ * An opportunity alerts when it matches every rule; each one then stays
+ * quiet for `cooldown` ms (per outcome and direction), so a flickering book
+ * doesn't re-alert every time it crosses the threshold. Escalating from GO
+ * to HOT alerts once more within the cooldown.
+ *
+ * Unhedged exposure (utils/exposure.js) alerts per outcome once its
+ * worst-case loss reaches `minExposureLoss`, and again within the cooldown
+ * if the number of unpaired shares grows.
+ */
+
+// Signal ranks (minSignal compares against these)
+const SIGNAL_RANK = { NONE: 0, GO: 1, HOT: 2 };
+
+export const DEFAULT_ALERT_RULES = {
+  enabled: false,
+  sound: true,
+  minSignal: 'GO',         // 'GO' or 'HOT'
+  minProfit: 0,            // Min $ profit at the best size (executable size when a bankroll is set)
+  minShares: 0,            // Min shares at that size
+  marketTypes: [],         // Market types to alert on (empty = all)
+  position: 'any',         // 'any', 'held' (only outcomes we hold) or 'not-held'
+  exitAlerts: true,        // Also alert on EXIT NOW for held arbitrage pairs
+  exposureAlerts: true,    // Also alert on unhedged held shares
+  minExposureLoss: 10,     // Min worst-case $ loss at settlement for an exposure alert
+  cooldown: 5 * 60 * 1000  // Quiet period per opportunity (ms)
+};
+
+/**
+ * Alert key: one per outcome and direction
+ */
+export function alertKey(opp) {
+  return `${opp.eventId}-${opp.outcome}-${opp.bestStrategyType}`;
+}
+
+/**
+ * Whether an opportunity matches the alert rules
+ * @param {Object} opp - Opportunity from useArbitrage
+ * @param {Object} rules - Alert rules
+ * @param {boolean} held - Whether we hold a position in the outcome
+ */
+export function matchesRules(opp, rules, held) {
+  if ((SIGNAL_RANK[opp.signal] || 0) < (SIGNAL_RANK[rules.minSignal] || 1)) return false;
+
+  // Size the user could actually trade, when sized against a bankroll
+  const profit = opp.execution?.profit ?? opp.strategyDetails?.profit ?? 0;
+  const shares = opp.execution?.shares ?? opp.strategyDetails?.shares ?? 0;
+  if (profit < rules.minProfit || shares < rules.minShares) return false;
+
+  if (rules.marketTypes.length > 0 && !rules.marketTypes.includes(opp.eventType)) return false;
+  if (rules.position === 'held' && !held) return false;
+  if (rules.position === 'not-held' && held) return false;
+
+  return true;
+}
+
+/**
+ * Pick the opportunities to alert on now (de-duplicated, with cooldowns)
+ * @param {Array} opportunities - From useArbitrage
+ * @param {Object} rules - Alert rules
+ * @param {Map} history - alertKey -> { at, signal } of the last alert (mutated)
+ * @param {number} now - Unix ms
+ * @param {function} isHeld - (opp) => boolean
+ * @returns {Array} Opportunities to alert on
+ */
+export function selectAlerts(opportunities, rules, history, now, isHeld = () => false) {
+  const alerts = [];
+
+  for (const opp of opportunities) {
+    if (!matchesRules(opp, rules, isHeld(opp))) continue;
+
+    const key = alertKey(opp);
+    const last = history.get(key);
+    const coolingDown = last && now - last.at < rules.cooldown;
+    const escalated = last && SIGNAL_RANK[opp.signal] > SIGNAL_RANK[last.signal];
+    if (coolingDown && !escalated) continue;
+
+    history.set(key, { at: now, signal: opp.signal });
+    alerts.push(opp);
+  }
+
+  return alerts;
+}
+
+/**
+ * Pick the exposed outcomes to alert on now (de-duplicated, with cooldowns)
+ * @param {Map} exposures - key -> outcome exposure (usePositions exposures.outcomes)
+ * @param {Object} rules - Alert rules
+ * @param {Map} history - Alert history (mutated, keys 'exposure-<key>')
+ * @param {number} now - Unix ms
+ * @returns {Array} Outcome exposures to alert on
+ */
+export function selectExposureAlerts(exposures, rules, history, now) {
+  const alerts = [];
+
+  for (const [key, exposure] of exposures || []) {
+    if (exposure.loss < rules.minExposureLoss) continue;
+
+    const last = history.get(`exposure-${key}`);
+    const coolingDown = last && now - last.at < rules.cooldown;
+    const grown = last && exposure.unpaired > last.shares;
+    if (coolingDown && !grown) continue;
+
+    history.set(`exposure-${key}`, { at: now, signal: 'EXPOSED', shares: exposure.unpaired });
+    alerts.push(exposure);
+  }
+
+  return alerts;
+}
+
+export default { DEFAULT_ALERT_RULES, alertKey, matchesRules, selectAlerts, selectExposureAlerts };
@@ -0,0 +1,507 @@
+/**
+ * Arbitrage engine
+ *
+ * Turns orderbooks into opportunities: both directions of every outcome
+ * (Opinion YES + Poly NO, Poly YES + Opinion NO) are sized against the full
+ * ask ladders, signalled against the thresholds in settings, downgraded on
+ * stale quotes and optionally sized against a bankroll.
+ *
+ * No React or browser APIs, so the dashboard (useArbitrage), the serverless
+ * scanner (api/scan.js) and the CLI (scripts/cli.js) share it.
+ */
+
+import { getVenueFees } from './fees.js';
+import { SHARE_EPSILON } from './orderbook.js';
+import { evaluateSize, findBestStrategy } from './strategy.js';
+import { compareResolution } from './resolution.js';
+
+// Low volume threshold: 1M USD
+const LOW_VOLUME_THRESHOLD = 1_000_000;
+
+/**
+ * Downgrade a signal by one level (HOT -> GO -> NONE)
+ */
+function downgradeSignal(signal) {
+  if (signal === 'HOT') return 'GO';
+  return 'NONE';
+}
+
+/**
+ * Signal for a net profit, downgraded one level on stale or skewed quotes
+ * @param {number} netProfit - Profit % at the best size
+ * @param {Object} quoteAge - From checkQuoteAge
+ * @param {Object} settings - { minSpreadAlert, hotSpreadThreshold }
+ * @returns {string} 'HOT' | 'GO' | 'NONE'
+ */
+export function getSignal(netProfit, quoteAge, settings) {
+  let signal = 'NONE';
+  if (netProfit > settings.hotSpreadThreshold) {
+    signal = 'HOT';
+  } else if (netProfit > settings.minSpreadAlert) {
+    signal = 'GO';
+  }
+
+  // Downgrade signals built on old quotes or legs priced at different times
+  if (quoteAge.isStale || quoteAge.isSkewed) {
+    signal = downgradeSignal(signal);
+  }
+  return signal;
+}
+
+/**
+ * Check quote freshness across the legs of a trade
+ * @param {Array<number>} timestamps - Quote time of each leg's book (ms, falsy if unknown)
+ * @param {number} now - Current time (ms)
+ * @param {Object} settings - { maxQuoteAge, maxLegSkew }
+ * @returns {Object} { oldest, skew, isStale, isSkewed } (ms, null if any leg is unknown)
+ */
+export function checkLegQuoteAge(timestamps, now, settings) {
+  // A leg without a timestamp can't be trusted
+  if (timestamps.length === 0 || timestamps.some(ts => !ts)) {
+    return { oldest: null, skew: null, isStale: true, isSkewed: false };
+  }
+
+  const oldest = Math.max(0, now - Math.min(...timestamps));
+  const skew = Math.max(...timestamps) - Math.min(...timestamps);
+  return {
+    oldest,
+    skew,
+    isStale: oldest > settings.maxQuoteAge,
+    isSkewed: skew > settings.maxLegSkew
+  };
+}
+
+/**
+ * Check quote freshness of the two legs used by a strategy
+ * @param {Object} opinionLeg - Opinion book used by the strategy
+ * @param {Object} polyLeg - Polymarket book used by the strategy
+ * @param {number} now - Current time (ms)
+ * @param {Object} settings - { maxQuoteAge, maxLegSkew }
+ * @returns {Object} { opinion, poly, skew, isStale, isSkewed } (ages in ms, null if unknown)
+ */
+function checkQuoteAge(opinionLeg, polyLeg, now, settings) {
+  const opinionTs = opinionLeg?.timestamp;
+  const polyTs = polyLeg?.timestamp;
+  const { skew, isStale, isSkewed } = checkLegQuoteAge([opinionTs, polyTs], now, settings);
+
+  return {
+    opinion: opinionTs ? Math.max(0, now - opinionTs) : null,
+    poly: polyTs ? Math.max(0, now - polyTs) : null,
+    skew,
+    isStale,
+    isSkewed
+  };
+}
+
+/**
+ * Signal for a structured trade (basket, ladder pair, complete set) from its
+ * chosen legs, downgraded like pair signals on stale or skewed quotes
+ * @param {number} netProfit - Profit % at the best size
+ * @param {Array} legs - [{ outcome, side, venue }] as bought
+ * @param {Object} prices - { opinion: Map, poly: Map }
+ * @param {string} marketId - Market the legs belong to
+ * @param {number} now - Current time (ms)
+ * @param {Object} settings - { minSpreadAlert, hotSpreadThreshold, maxQuoteAge, maxLegSkew }
+ * @returns {Object} { signal, quoteAge }
+ */
+export function getLegsSignal(netProfit, legs, prices, marketId, now, settings) {
+  const timestamps = legs.map(leg =>
+    prices[leg.venue]?.get(`${marketId}-${leg.outcome}${leg.side === 'no' ? '-NO' : ''}`)?.timestamp
+  );
+  const quoteAge = checkLegQuoteAge(timestamps, now, settings);
+  return { signal: getSignal(netProfit, quoteAge, settings), quoteAge };
+}
+
+/**
+ * Calculate days until settlement date
+ */
+function getDaysToSettlement(settlementDate) {
+  if (!settlementDate) return null;
+  const settlement = new Date(settlementDate);
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  settlement.setHours(0, 0, 0, 0);
+  const diffTime = settlement.getTime() - today.getTime();
+  const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+  return diffDays > 0 ? diffDays : null;
+}
+
+/**
+ * Calculate annualized return (APY)
+ */
+function calcAPY(profitPct, daysToSettlement) {
+  if (!daysToSettlement || daysToSettlement <= 0 || profitPct <= 0) return 0;
+  return profitPct * (365 / daysToSettlement);
+}
+
+/**
+ * Cash each leg of a size point needs (each leg pays its own venue's fee)
+ */
+function calcLegSpend(point) {
+  const opinionSpend = point.opinionAvgPrice * point.shares + point.opinionFee;
+  const polySpend = point.polyAvgPrice * point.shares + point.polyFee;
+  return { opinionSpend, polySpend, totalSpend: opinionSpend + polySpend };
+}
+
+/**
+ * Size a strategy against available capital
+ * Finds the largest share quantity every budget allows, then the best size up to it
+ * @param {Array} opinionAsks - Opinion ask ladder
+ * @param {Array} polyAsks - Polymarket ask ladder
+ * @param {Array} sizePoints - Candidate sizes from findBestStrategy
+ * @param {Object} fees - { opinion, poly } per-fill fee functions
+ * @param {Object} budget - { opinion, poly, total, totalLimit } USD limits (Infinity = none)
+ * @param {string} objective - 'profitPct' or 'profit'
+ * @returns {Object|null} Size point with leg spends and `limitedBy`, or null
+ */
+function sizeWithinBudget(opinionAsks, polyAsks, sizePoints, fees, budget, objective) {
+  if (!sizePoints || sizePoints.length === 0) return null;
+
+  // Which budget a size breaks first (null if it fits)
+  const breaks = (point) => {
+    const { opinionSpend, polySpend, totalSpend } = calcLegSpend(point);
+    if (opinionSpend > budget.opinion) return 'opinion';
+    if (polySpend > budget.poly) return 'poly';
+    if (totalSpend > budget.total) return budget.totalLimit;
+    return null;
+  };
+
+  const depthShares = Math.max(...sizePoints.map(p => p.shares));
+  let capShares = depthShares;
+  let limitedBy = 'depth';
+
+  const atDepth = evaluateSize(opinionAsks, polyAsks, depthShares, fees);
+  if (breaks(atDepth)) {
+    // Spend is non-decreasing in size, so binary search the largest fitting size
+    limitedBy = breaks(atDepth);
+    let lo = 0;
+    let hi = depthShares;
+    for (let i = 0; i < 40; i++) {
+      const mid = (lo + hi) / 2;
+      const point = evaluateSize(opinionAsks, polyAsks, mid, fees);
+      if (breaks(point)) {
+        hi = mid;
+        limitedBy = breaks(point);
+      } else {
+        lo = mid;
+      }
+    }
+    capShares = lo;
+  }
+
+  if (capShares <= SHARE_EPSILON) return null;
+
+  const candidates = [
+    ...sizePoints.filter(p => p.shares < capShares),
+    evaluateSize(opinionAsks, polyAsks, capShares, fees)
+  ].filter(p => p.profit > 0);
+
+  if (candidates.length === 0) return null;
+
+  const best = candidates.sort((a, b) => b[objective] - a[objective] || b.profit - a.profit)[0];
+
+  return {
+    ...best,
+    ...calcLegSpend(best),
+    limitedBy
+  };
+}
+
+/**
+ * Check if a bankroll has any balance to size against
+ */
+function hasBankroll(bankroll) {
+  return !!bankroll && (bankroll.opinion > 0 || bankroll.poly > 0);
+}
+
+/**
+ * Allocate the bankroll across profitable opportunities, best first
+ * Platform balances are shared by all opportunities, event caps by the
+ * outcomes of one event, and each outcome is limited by the market cap.
+ * Sets `execution` on each sized opportunity.
+ * @param {Array} opportunities - Opportunities from useArbitrage (mutated)
+ * @param {Object} bankroll - { opinion, poly, maxPerMarket, maxPerEvent } (caps: 0 = none)
+ * @param {string} objective - 'profitPct' or 'profit'
+ */
+function allocateBankroll(opportunities, bankroll, objective) {
+  const remaining = { opinion: bankroll.opinion || 0, poly: bankroll.poly || 0 };
+  const eventSpent = new Map();
+  const marketCap = bankroll.maxPerMarket > 0 ? bankroll.maxPerMarket : Infinity;
+  const eventCap = bankroll.maxPerEvent > 0 ? bankroll.maxPerEvent : Infinity;
+
+  // Fresh quotes first, then by profit
+  const ranked = opportunities
+    .filter(o => o.strategyDetails.profit > 0)
+    .sort((a, b) => {
+      const staleA = a.quoteAge.isStale || a.quoteAge.isSkewed;
+      const staleB = b.quoteAge.isStale || b.quoteAge.isSkewed;
+      return staleA - staleB || b.netProfit - a.netProfit;
+    });
+
+  for (const opp of ranked) {
+    const { isBuyOpinionYes, sizePoints } = opp.strategyDetails;
+    const opinionAsks = (isBuyOpinionYes ? opp.opinion : opp.opinionNo)?.asks || [];
+    const polyAsks = (isBuyOpinionYes ? opp.polyNo : opp.poly)?.asks || [];
+
+    const eventLeft = eventCap - (eventSpent.get(opp.eventId) || 0);
+    const budget = {
+      opinion: remaining.opinion,
+      poly: remaining.poly,
+      total: Math.min(marketCap, eventLeft),
+      totalLimit: marketCap <= eventLeft ? 'market' : 'event'
+    };
+
+    const execution = sizeWithinBudget(opinionAsks, polyAsks, sizePoints, getVenueFees(opp.eventId), budget, objective);
+    opp.execution = execution;
+    if (!execution) continue;
+
+    remaining.opinion -= execution.opinionSpend;
+    remaining.poly -= execution.polySpend;
+    eventSpent.set(opp.eventId, (eventSpent.get(opp.eventId) || 0) + execution.totalSpend);
+  }
+}
+
+/**
+ * Find arbitrage opportunities across markets
+ *
+ * @param {Object} prices - { opinion: Map, poly: Map } keyed 'eventId-outcome' / 'eventId-outcome-NO'
+ * @param {Array} markets - Market configs
+ * @param {Object} settings - config.settings
+ * @param {Object} [options]
+ * @param {number} [options.now] - Clock for quote ages (ms, default: now)
+ * @param {Object} [options.bankroll] - { opinion, poly, maxPerMarket, maxPerEvent } (sets `execution`)
+ * @param {function} [options.getVolume] - (topicId) => Opinion volume in USD, or null if unknown
+ * @returns {Array} Opportunities
+ */
+export function findOpportunities(prices, markets, settings, { now = Date.now(), bankroll, getVolume = () => null } = {}) {
+  const { opinion: opinionPrices, poly: polyPrices } = prices;
+  const opportunities = [];
+
+  // Process each market
+  for (const market of markets) {
+    // Fee models in force for this market
+    const fees = getVenueFees(market.id);
+
+    // Do both venues resolve this pair the same way?
+    const resolutionRisk = compareResolution(market.resolution, settings);
+
+    // Process each outcome
+    for (const outcome of market.outcomes || []) {
+      const yesKey = `${market.id}-${outcome}`;
+      const noKey = `${market.id}-${outcome}-NO`;
+
+      // Get YES and NO prices for both platforms
+      const opinionYes = opinionPrices?.get(yesKey);
+      const opinionNo = opinionPrices?.get(noKey);
+      const polyYes = polyPrices?.get(yesKey);
+      const polyNo = polyPrices?.get(noKey);
+
+      // Skip if missing critical data
+      if (!opinionYes || !polyYes) continue;
+
+      // Get orderbook data
+      const opinionYesAsks = opinionYes.asks || [];
+      const opinionNoAsks = opinionNo?.asks || [];
+      const polyYesAsks = polyYes.asks || [];
+      const polyNoAsks = polyNo?.asks || [];
+
+      // Strategy 1: Buy Opinion YES + Buy Poly NO (full-depth sizing)
+      const strategy1 = findBestStrategy(opinionYesAsks, polyNoAsks, fees, settings.sizingObjective);
+
+      // Strategy 2: Buy Poly YES + Buy Opinion NO (full-depth sizing)
+      const strategy2 = findBestStrategy(opinionNoAsks, polyYesAsks, fees, settings.sizingObjective);
+
+      // Choose the better option (by the sizing objective)
+      const objective = settings.sizingObjective || 'profitPct';
+      let isBuyOpinionYes = true;
+      let bestStrategy = strategy1;
+
+      if (strategy2 && (!strategy1 || strategy2[objective] > strategy1[objective])) {
+        isBuyOpinionYes = false;
+        bestStrategy = strategy2;
+      }
+
+      // Skip if no valid strategy found
+      if (!bestStrategy) continue;
+
+      const bestProfitPct = bestStrategy.profitPct;
+      const bestProfit = bestStrategy.profit;
+      const bestCost = bestStrategy.costPerShare;
+
+      // For sorting and display
+      const spreadPct = 1 - bestCost;
+      const netProfit = bestProfitPct;
+
+      // Determine signal (downgraded on old or skewed quotes)
+      const quoteAge = isBuyOpinionYes
+        ? checkQuoteAge(opinionYes, polyNo, now, settings)
+        : checkQuoteAge(opinionNo, polyYes, now, settings);
+      const signal = getSignal(netProfit, quoteAge, settings);
+
+      // Determine direction with level info
+      let direction = '';
+      const formatLevels = (n) => n === 1 ? 'L1' : `L1-${n}`;
+      if (isBuyOpinionYes) {
+        direction = `Buy Opinion YES (${formatLevels(bestStrategy.opinionLevels)}) @ ${(bestStrategy.opinionAvgPrice * 100).toFixed(1)}¢ + Buy Poly NO (${formatLevels(bestStrategy.polyLevels)}) @ ${(bestStrategy.polyAvgPrice * 100).toFixed(1)}¢`;
+      } else {
+        direction = `Buy Poly YES (${formatLevels(bestStrategy.polyLevels)}) @ ${(bestStrategy.polyAvgPrice * 100).toFixed(1)}¢ + Buy Opinion NO (${formatLevels(bestStrategy.opinionLevels)}) @ ${(bestStrategy.opinionAvgPrice * 100).toFixed(1)}¢`;
+      }
+
+      // Get minimum depth (use YES token depths as primary)
+      const minDepth = Math.min(
+        opinionYes.depth || 0,
+        polyYes.depth || 0
+      );
+
+      // Get IDs for links
+      const opinionTopicId = market.opinion?.topicId;
+      const opinionType = market.opinion?.type || 'single';
+      const polySlug = market.poly?.slug;
+
+      // Calculate fee rate per dollar for display
+      const feeRate = bestStrategy.totalCost > 0 ? bestStrategy.fee / bestStrategy.totalCost : 0;
+
+      // Calculate APY (support per-outcome settlement date override)
+      const outcomeSettlementDate = market.outcomeSettings?.[outcome]?.settlementDate || market.settlementDate;
+      const daysToSettlement = getDaysToSettlement(outcomeSettlementDate);
+      const apy = calcAPY(netProfit, daysToSettlement);
+
+      // Check volume (low volume = < 1M)
+      const topicId = market.opinion?.topicId;
+      const volume = topicId ? getVolume(topicId) : null;
+      const isLowVolume = volume !== null && volume < LOW_VOLUME_THRESHOLD;
+
+      opportunities.push({
+        eventId: market.id,
+        eventName: market.name,
+        eventType: market.type,
+        settlementDate: outcomeSettlementDate || null,
+        daysToSettlement,
+        apy,
+        volume,
+        isLowVolume,
+        outcome,
+        opinion: opinionYes,
+        opinionNo: opinionNo,
+        poly: polyYes,
+        polyNo: polyNo,
+        spread: bestProfit,
+        spreadPct: spreadPct,
+        feeRate,
+        netProfit: netProfit,
+        signal,
+        quoteAge,
+        resolutionRisk,
+        direction,
+        minDepth,
+        bestStrategyType: isBuyOpinionYes ? 'opinion-yes' : 'poly-yes',
+        // Multi-level strategy details
+        strategyDetails: {
+          isBuyOpinionYes,
+          opinionLevels: bestStrategy.opinionLevels,
+          polyLevels: bestStrategy.polyLevels,
+          opinionAvgPrice: bestStrategy.opinionAvgPrice,
+          polyAvgPrice: bestStrategy.polyAvgPrice,
+          shares: bestStrategy.shares,
+          costPerShare: bestStrategy.costPerShare,
+          totalCost: bestStrategy.totalCost,
+          fee: bestStrategy.fee,
+          profit: bestStrategy.profit,
+          profitPct: bestStrategy.profitPct,
+          objective: bestStrategy.objective,
+          // All evaluated sizes, ranked by objective
+          sizePoints: bestStrategy.points
+        },
+        // Bankroll-constrained size (set by allocateBankroll)
+        execution: null,
+        // Links
+        opinionUrl: opinionTopicId ? `https://app.opinion.trade/detail?topicId=${opinionTopicId}&type=${opinionType}` : null,
+        polyUrl: polySlug ? `https://polymarket.com/event/${polySlug}` : null
+      });
+    }
+  }
+
+  // Size opportunities against available capital
+  if (hasBankroll(bankroll)) {
+    allocateBankroll(opportunities, bankroll, settings.sizingObjective || 'profitPct');
+  }
+
+  return opportunities;
+}
+
+/**
+ * Calculate statistics from opportunities
+ */
+export function calculateStats(opportunities, totalMarkets) {
+  if (opportunities.length === 0) {
+    return {
+      totalMarkets,
+      opportunities: 0,
+      hotCount: 0,
+      avgSpread: 0,
+      maxSpread: 0
+    };
+  }
+
+  const spreads = opportunities.map(o => Math.abs(o.spreadPct));
+  const profitableCount = opportunities.filter(o => o.netProfit > 0).length;
+  // Count by signal so downgraded (stale) opportunities aren't reported as GO/HOT
+  const goCount = opportunities.filter(o => o.signal !== 'NONE').length;
+  const hotCount = opportunities.filter(o => o.signal === 'HOT').length;
+
+  return {
+    totalMarkets,
+    opportunities: profitableCount,
+    goCount,
+    hotCount,
+    avgSpread: spreads.reduce((a, b) => a + b, 0) / spreads.length,
+    maxSpread: Math.max(...spreads)
+  };
+}
+
+/**
+ * Sort opportunities
+ * @param {Array} opportunities
+ * @param {string} sortBy - 'netProfit' or 'apy'
+ * @returns {Array} Sorted array
+ */
+export function sortOpportunities(opportunities, sortBy = 'netProfit') {
+  return [...opportunities].sort((a, b) => {
+    let result;
+    switch (sortBy) {
+      case 'apy':
+        // Sort by APY descending (0 APY goes to the bottom)
+        result = (b.apy || 0) - (a.apy || 0);
+        break;
+      case 'netProfit':
+      default:
+        result = b.netProfit - a.netProfit;
+    }
+    // Stable sort: use outcome name as tiebreaker
+    if (result === 0) {
+      return a.outcome.localeCompare(b.outcome);
+    }
+    return result;
+  });
+}
+
+/**
+ * Filter opportunities by type
+ * @param {Array} opportunities
+ * @param {string} type - Market type or 'ALL'
+ * @returns {Array} Filtered array
+ */
+export function filterOpportunities(opportunities, type = 'ALL') {
+  if (type === 'ALL') return opportunities;
+  return opportunities.filter(o => o.eventType === type);
+}
+
+export default {
+  getSignal,
+  checkLegQuoteAge,
+  getLegsSignal,
+  findOpportunities,
+  calculateStats,
+  sortOpportunities,
+  filterOpportunities
+};
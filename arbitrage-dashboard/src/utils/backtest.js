@@ -0,0 +1,344 @@
+/**
+ * Backtester for signal thresholds and sizing rules
+ *
+ * Replays a recorded capture (utils/capture.js) through the arbitrage engine
+ * and simulates trading each rule set independently:
+ * - entry: when an opportunity's signal (under the rule's thresholds) reaches
+ *   minSignal, buy the pair at the engine's best size, capped by maxShares /
+ *   maxSize, `latency` ms later against the books at that time, getting only
+ *   `fillRatio` of every displayed ask level (partial fills)
+ * - exit: when the usePositions criterion is met (net profit > 0 and exit
+ *   price sum >= exitThreshold), sell both legs at the bids `latency` ms later
+ * - anything still held at the end is held to settlement, where the pair
+ *   pays $1 per share
+ *
+ * Capital usage is the cost (fees included) of open positions over time;
+ * turnover is total cost entered / peak capital.
+ */
+
+import { findOpportunities, getSignal } from './arbitrage.js';
+import { evaluateSize } from './strategy.js';
+import { calcExitProfit } from './exit.js';
+import { getVenueFees } from './fees.js';
+import { SHARE_EPSILON, calcCumulativeLevel } from './orderbook.js';
+
+// Signal ranks (minSignal compares against these)
+const SIGNAL_RANK = { NONE: 0, GO: 1, HOT: 2 };
+
+export const DEFAULT_RULE = {
+  name: 'default',
+  minSpreadAlert: null,      // GO threshold (null = config.settings)
+  hotSpreadThreshold: null,  // HOT threshold (null = config.settings)
+  minSignal: 'GO',           // Enter on 'GO' or only 'HOT'
+  maxShares: 0,              // Max shares per entry (0 = no cap)
+  maxSize: 0,                // Max $ per entry, fees included (0 = no cap)
+  latency: 0,                // Signal -> execution delay (ms)
+  fillRatio: 1,              // Share of each displayed ask level we get (0-1)
+  exitThreshold: 0.98        // Min exit price sum (usePositions criterion)
+};
+
+/**
+ * Fill in a rule's defaults (thresholds from settings)
+ */
+export function normalizeRule(rule, settings) {
+  const merged = { ...DEFAULT_RULE, ...rule };
+  return {
+    ...merged,
+    minSpreadAlert: merged.minSpreadAlert ?? settings.minSpreadAlert,
+    hotSpreadThreshold: merged.hotSpreadThreshold ?? settings.hotSpreadThreshold
+  };
+}
+
+/**
+ * Books of the two legs a direction buys
+ */
+function legBooks(prices, key, direction) {
+  return direction === 'opinion-yes'
+    ? { opinion: prices.opinion.get(key), poly: prices.poly.get(`${key}-NO`) }
+    : { opinion: prices.opinion.get(`${key}-NO`), poly: prices.poly.get(key) };
+}
+
+/**
+ * Asks with every level scaled to the fillable share
+ */
+function scaleAsks(asks, ratio) {
+  return (asks || [])
+    .map(level => ({ price: level.price, size: level.size * ratio }))
+    .filter(level => level.size > SHARE_EPSILON);
+}
+
+/**
+ * Price an entry order against the current books
+ * @returns {Object} { point } (evaluateSize result) or { missed: 'book' | 'depth' | 'edge' }
+ */
+function fillEntry(order, prices, rule) {
+  const books = legBooks(prices, order.key, order.direction);
+  if (!books.opinion || !books.poly) return { missed: 'book' };
+
+  const fees = getVenueFees(order.eventId);
+  const opinionAsks = scaleAsks(books.opinion.asks, rule.fillRatio);
+  const polyAsks = scaleAsks(books.poly.asks, rule.fillRatio);
+  const depth = Math.min(
+    calcCumulativeLevel(opinionAsks, opinionAsks.length).totalSize,
+    calcCumulativeLevel(polyAsks, polyAsks.length).totalSize
+  );
+
+  const shares = Math.min(order.shares, depth, rule.maxShares > 0 ? rule.maxShares : Infinity);
+  if (shares <= SHARE_EPSILON) return { missed: 'depth' };
+
+  let point = evaluateSize(opinionAsks, polyAsks, shares, fees);
+
+  // Spend grows with size, so binary search the largest size within maxSize
+  if (rule.maxSize > 0 && point.totalCost + point.fee > rule.maxSize) {
+    let lo = 0;
+    let hi = shares;
+    for (let i = 0; i < 40; i++) {
+      const mid = (lo + hi) / 2;
+      const p = evaluateSize(opinionAsks, polyAsks, mid, fees);
+      if (p.totalCost + p.fee > rule.maxSize) hi = mid;
+      else lo = mid;
+    }
+    if (lo <= SHARE_EPSILON) return { missed: 'depth' };
+    point = evaluateSize(opinionAsks, polyAsks, lo, fees);
+  }
+
+  if (point.profit <= 0) return { missed: 'edge' };
+  return { point };
+}
+
+/**
+ * A position in the shape calcExitProfit expects (a matched usePositions entry)
+ */
+function toMatchedPosition(pos) {
+  const opinionLeg = { shares: pos.shares, avgPrice: pos.opinionAvgPrice };
+  const polyLeg = { shares: pos.shares, avgPrice: pos.polyAvgPrice };
+  const opinionYes = pos.direction === 'opinion-yes';
+  return {
+    marketId: pos.eventId,
+    outcome: pos.outcome,
+    opinion: { yes: opinionYes ? opinionLeg : null, no: opinionYes ? null : opinionLeg },
+    poly: { yes: opinionYes ? null : polyLeg, no: opinionYes ? polyLeg : null }
+  };
+}
+
+/**
+ * Per-rule simulation state
+ */
+function createAccount(rule) {
+  return {
+    rule,
+    open: new Map(),   // positionKey -> position
+    pending: [],       // orders waiting for their execution time
+    trades: [],        // closed positions
+    missed: { book: 0, depth: 0, edge: 0 },
+    signals: 0,
+    cancelledExits: 0,
+    deployed: 0,
+    peakCapital: 0,
+    capitalTime: 0,
+    entered: 0,
+    lastT: null
+  };
+}
+
+/**
+ * Advance an account's capital-time integral to t
+ */
+function accrue(account, t) {
+  if (account.lastT !== null) account.capitalTime += account.deployed * (t - account.lastT);
+  account.lastT = t;
+}
+
+/**
+ * Execute an account's orders due by t against the current books
+ */
+function executeDue(account, prices, t, inclusive) {
+  const due = account.pending.filter(o => (inclusive ? o.execAt <= t : o.execAt < t));
+  if (due.length === 0) return;
+  account.pending = account.pending.filter(o => !due.includes(o));
+  const { rule } = account;
+
+  for (const order of due) {
+    accrue(account, order.execAt);
+
+    if (order.type === 'entry') {
+      const { point, missed } = fillEntry(order, prices, rule);
+      if (missed) {
+        account.missed[missed]++;
+        continue;
+      }
+      const cost = point.totalCost + point.fee;
+      account.open.set(order.positionKey, {
+        positionKey: order.positionKey,
+        key: order.key,
+        eventId: order.eventId,
+        outcome: order.outcome,
+        direction: order.direction,
+        shares: point.shares,
+        plannedShares: order.shares,
+        opinionAvgPrice: point.opinionAvgPrice,
+        polyAvgPrice: point.polyAvgPrice,
+        cost,
+        signalAt: order.signalAt,
+        signalProfit: order.signalProfit,
+        enteredAt: order.execAt,
+        exiting: false
+      });
+      account.deployed += cost;
+      account.entered += cost;
+      account.peakCapital = Math.max(account.peakCapital, account.deployed);
+    } else {
+      const pos = account.open.get(order.positionKey);
+      if (!pos) continue;
+      const exit = calcExitProfit(toMatchedPosition(pos), prices, rule.exitThreshold);
+      if (!exit?.canExit) {
+        // Gone by the time the order arrived; may trigger again
+        pos.exiting = false;
+        account.cancelledExits++;
+        continue;
+      }
+
+      // Partial exits leave the rest open (it may exit again, or settle)
+      const cost = pos.cost * Math.min(exit.exitShares / pos.shares, 1);
+      account.deployed -= cost;
+      account.trades.push({ ...pos, shares: exit.exitShares, cost, exitedAt: order.execAt, proceeds: exit.exitValue, pnl: exit.exitValue - cost, settled: false });
+      if (pos.shares - exit.exitShares > SHARE_EPSILON) {
+        pos.shares -= exit.exitShares;
+        pos.cost -= cost;
+        pos.exiting = false;
+      } else {
+        account.open.delete(order.positionKey);
+      }
+    }
+  }
+}
+
+/**
+ * Place exit and entry orders for one evaluation step
+ */
+function decide(account, opportunities, prices, t) {
+  const { rule } = account;
+
+  // Exits (usePositions criterion)
+  for (const pos of account.open.values()) {
+    if (pos.exiting) continue;
+    const exit = calcExitProfit(toMatchedPosition(pos), prices, rule.exitThreshold);
+    if (exit?.canExit) {
+      pos.exiting = true;
+      account.pending.push({ type: 'exit', positionKey: pos.positionKey, execAt: t + rule.latency });
+    }
+  }
+
+  // Entries: one position per outcome and direction
+  for (const opp of opportunities) {
+    const signal = getSignal(opp.netProfit, opp.quoteAge, rule);
+    if (SIGNAL_RANK[signal] < (SIGNAL_RANK[rule.minSignal] || 1)) continue;
+
+    const key = `${opp.eventId}-${opp.outcome}`;
+    const positionKey = `${key}-${opp.bestStrategyType}`;
+    if (account.open.has(positionKey) || account.pending.some(o => o.positionKey === positionKey)) continue;
+
+    account.signals++;
+    account.pending.push({
+      type: 'entry',
+      positionKey,
+      key,
+      eventId: opp.eventId,
+      outcome: opp.outcome,
+      direction: opp.bestStrategyType,
+      shares: opp.strategyDetails.shares,
+      signalAt: t,
+      signalProfit: opp.netProfit,
+      execAt: t + rule.latency
+    });
+  }
+}
+
+/**
+ * Summarise an account
+ */
+function report(account, start, end) {
+  const exits = account.trades.filter(trade => !trade.settled);
+  const settled = account.trades.filter(trade => trade.settled);
+  const sum = (list, fn) => list.reduce((total, item) => total + fn(item), 0);
+  const duration = Math.max(end - start, 1);
+
+  const realisedPnl = sum(exits, trade => trade.pnl);
+  const settlementPnl = sum(settled, trade => trade.pnl);
+  const totalPnl = realisedPnl + settlementPnl;
+  const avgCapital = account.capitalTime / duration;
+
+  return {
+    name: account.rule.name,
+    signals: account.signals,
+    entries: account.trades.length,
+    missed: account.missed,
+    exits: exits.length,
+    held: settled.length,
+    cancelledExits: account.cancelledExits,
+    avgFill: account.trades.length > 0 ? sum(account.trades, trade => trade.shares / trade.plannedShares) / account.trades.length : null,
+    avgHold: exits.length > 0 ? sum(exits, trade => trade.exitedAt - trade.enteredAt) / exits.length : null,
+    realisedPnl,
+    settlementPnl,
+    totalPnl,
+    entered: account.entered,
+    peakCapital: account.peakCapital,
+    avgCapital,
+    turnover: account.peakCapital > 0 ? account.entered / account.peakCapital : 0,
+    returnOnPeak: account.peakCapital > 0 ? totalPnl / account.peakCapital : 0
+  };
+}
+
+/**
+ * Run rule sets over a capture
+ * @param {Array} events - Capture events (readCapture), sorted by t
+ * @param {Array} markets - Market configs (usually the capture header's)
+ * @param {Object} settings - config.settings (sizing objective, quote age limits, default thresholds)
+ * @param {Array} rules - Rule sets (see DEFAULT_RULE)
+ * @param {Object} [options]
+ * @param {number} [options.step] - Min capture time between evaluations (ms, 0 = every book update)
+ * @returns {Array} [{ rule, report, trades }] in rule order
+ */
+export function runBacktest(events, markets, settings, rules, { step = 0 } = {}) {
+  const accounts = rules.map(rule => createAccount(normalizeRule(rule, settings)));
+  const prices = { opinion: new Map(), poly: new Map() };
+  if (events.length === 0) return accounts.map(account => ({ rule: account.rule, report: report(account, 0, 0), trades: [] }));
+
+  const start = events[0].t;
+  let lastEval = -Infinity;
+  let i = 0;
+
+  while (i < events.length) {
+    const t = events[i].t;
+
+    // Orders due before these books arrive see the previous ones
+    accounts.forEach(account => executeDue(account, prices, t, false));
+
+    while (i < events.length && events[i].t === t) {
+      const { venue, key, book } = events[i++];
+      prices[venue]?.set(key, book);
+    }
+
+    accounts.forEach(account => executeDue(account, prices, t, true));
+
+    if (t - lastEval < step) continue;
+    lastEval = t;
+
+    const opportunities = findOpportunities(prices, markets, settings, { now: t });
+    accounts.forEach(account => decide(account, opportunities, prices, t));
+  }
+
+  // Remaining orders execute against the last books; open positions are held to settlement ($1 per share)
+  const end = events.at(-1).t;
+  return accounts.map((account) => {
+    executeDue(account, prices, Infinity, true);
+    accrue(account, end);
+    for (const pos of account.open.values()) {
+      account.trades.push({ ...pos, exitedAt: null, proceeds: pos.shares, pnl: pos.shares - pos.cost, settled: true });
+    }
+    account.open.clear();
+    return { rule: account.rule, report: report(account, start, end), trades: account.trades };
+  });
+}
+
+export default { DEFAULT_RULE, normalizeRule, runBacktest };
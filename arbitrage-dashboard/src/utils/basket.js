@@ -0,0 +1,178 @@
+/**
+ * Multi-outcome basket arbitrage
+ *
+ * For a mutually exclusive event (at most one outcome resolves YES):
+ * - YES basket: buy YES on every outcome. If the outcome list is exhaustive,
+ *   exactly one pays, so payout = 1 per share. Only scanned for markets
+ *   flagged `exhaustive` (config/markets.js), which is never inferred: a
+ *   partial list of contenders would pay nothing if anyone else wins.
+ * - NO basket: buy NO on K outcomes. At most one loses, so payout >= K - 1
+ *   per share. This holds for any subset, exhaustive or not.
+ *
+ * Each outcome is bought on whichever venue is cheapest for the basket size
+ * (fills include each venue's per-fill fee).
+ */
+
+import {
+  SHARE_EPSILON,
+  calcCumulativeLevel,
+  calcMultiLevelFee,
+  calcFillCost,
+  collectBreakpoints
+} from './orderbook';
+
+/**
+ * Price one outcome's leg on a venue, or null if the ladder is too thin
+ */
+function priceLeg(asks, shares, calcFee) {
+  if (calcCumulativeLevel(asks, asks.length).totalSize < shares - SHARE_EPSILON) return null;
+
+  const fill = calcFillCost(asks, shares);
+  const fee = calcFee ? calcMultiLevelFee(fill.levelDetails, shares, calcFee) : 0;
+
+  return {
+    avgPrice: fill.avgPrice,
+    levels: fill.levels,
+    cost: fill.totalCost,
+    fee
+  };
+}
+
+/**
+ * Evaluate a basket of a given size, choosing the cheapest venue per outcome
+ * @returns {Object|null} Basket point or null if any leg can't be filled
+ */
+function evaluateBasket(legBooks, shares, payoutPerShare, fees) {
+  const legs = [];
+  let totalCost = 0;
+  let totalFee = 0;
+
+  for (const { outcome, side, opinionAsks, polyAsks } of legBooks) {
+    const opinion = priceLeg(opinionAsks, shares, fees.opinion);
+    const poly = priceLeg(polyAsks, shares, fees.poly);
+
+    let venue = null;
+    let leg = null;
+    if (opinion && (!poly || opinion.cost + opinion.fee <= poly.cost + poly.fee)) {
+      venue = 'opinion';
+      leg = opinion;
+    } else if (poly) {
+      venue = 'poly';
+      leg = poly;
+    }
+
+    if (!leg) return null;
+
+    legs.push({ outcome, side, venue, ...leg });
+    totalCost += leg.cost;
+    totalFee += leg.fee;
+  }
+
+  const payout = payoutPerShare * shares;
+  const profit = payout - totalCost - totalFee;
+  const profitPct = totalCost > 0 ? profit / totalCost : -999;
+
+  return {
+    shares,
+    legs,
+    totalCost,
+    fee: totalFee,
+    costPerShare: (totalCost + totalFee) / shares,
+    payout,
+    profit,
+    profitPct
+  };
+}
+
+/**
+ * Find the best size for a basket of legs bought in equal share counts
+ * @param {Array} legBooks - [{ outcome, side, opinionAsks, polyAsks }]
+ * @param {number} payoutPerShare - Guaranteed payout per basket share
+ * @param {Object} fees - { opinion, poly } per-fill fee functions (null = free)
+ * @param {string} objective - 'profitPct' or 'profit'
+ * @returns {Object|null} Best basket with `points` ranked by objective
+ */
+export function findBestBasket(legBooks, payoutPerShare, fees, objective) {
+  if (legBooks.length === 0 || payoutPerShare <= 0) return null;
+
+  // Max basket size: every leg must fit on at least one venue
+  const maxShares = Math.min(...legBooks.map(({ opinionAsks, polyAsks }) => Math.max(
+    calcCumulativeLevel(opinionAsks, opinionAsks.length).totalSize,
+    calcCumulativeLevel(polyAsks, polyAsks.length).totalSize
+  )));
+  if (maxShares <= SHARE_EPSILON) return null;
+
+  // Profit only changes slope at level boundaries / min-fee kinks of some leg
+  const candidates = [
+    ...legBooks.flatMap(({ opinionAsks, polyAsks }) => [
+      ...collectBreakpoints(opinionAsks, maxShares, fees.opinion),
+      ...collectBreakpoints(polyAsks, maxShares, fees.poly)
+    ]),
+    maxShares
+  ]
+    .filter(q => q > SHARE_EPSILON && q <= maxShares)
+    .sort((a, b) => a - b)
+    .filter((q, i, arr) => i === 0 || q - arr[i - 1] > SHARE_EPSILON);
+
+  const points = candidates
+    .map(shares => evaluateBasket(legBooks, shares, payoutPerShare, fees))
+    .filter(Boolean)
+    .sort((a, b) => b[objective] - a[objective] || b.profit - a.profit);
+
+  if (points.length === 0) return null;
+  return { ...points[0], objective, points };
+}
+
+/**
+ * Scan a mutually exclusive event for YES and NO basket arbitrage
+ *
+ * @param {Object} market - Market config (needs `exclusive`; YES basket also needs `exhaustive`)
+ * @param {Map} opinionPrices - Opinion books keyed by `${eventId}-${outcome}` (`-NO` for NO)
+ * @param {Map} polyPrices - Polymarket books, same keys
+ * @param {Object} fees - { opinion, poly } per-fill fee functions
+ * @param {string} objective - 'profitPct' or 'profit'
+ * @returns {Array} Basket results: { side, outcomeCount, payoutPerShare, ...best, points }
+ */
+export function scanBaskets(market, opinionPrices, polyPrices, fees, objective = 'profitPct') {
+  if (!market.exclusive) return [];
+
+  const outcomes = market.outcomes || [];
+  const results = [];
+
+  for (const side of ['yes', 'no']) {
+    const suffix = side === 'no' ? '-NO' : '';
+    const legBooks = [];
+
+    for (const outcome of outcomes) {
+      const key = `${market.id}-${outcome}${suffix}`;
+      const opinionAsks = opinionPrices?.get(key)?.asks || [];
+      const polyAsks = polyPrices?.get(key)?.asks || [];
+      if (opinionAsks.length === 0 && polyAsks.length === 0) continue;
+      legBooks.push({ outcome, side, opinionAsks, polyAsks });
+    }
+
+    let payoutPerShare;
+    if (side === 'yes') {
+      // Only guaranteed if every possible outcome is in the basket
+      if (!market.exhaustive || legBooks.length !== outcomes.length) continue;
+      payoutPerShare = 1;
+    } else {
+      // Outcomes without books are simply left out of the NO basket
+      payoutPerShare = legBooks.length - 1;
+    }
+
+    const best = findBestBasket(legBooks, payoutPerShare, fees, objective);
+    if (!best) continue;
+
+    results.push({
+      side,
+      outcomeCount: legBooks.length,
+      payoutPerShare,
+      ...best
+    });
+  }
+
+  return results;
+}
+
+export default { scanBaskets, findBestBasket };
@@ -0,0 +1,220 @@
+/**
+ * Orderbook capture files (recording and replay)
+ *
+ * A capture is gzipped JSON lines: a header, then one line per fetched book
+ *   { type: 'header', version, startedAt, markets }
+ *   { t, venue, key, source: 'rest' | 'stream', book }
+ * where `key` is the price map key ('eventId-outcome' / 'eventId-outcome-NO')
+ * and `book` is the adapter's book as usePolling stored it. The header keeps
+ * the market registry, so a capture replays on a machine that doesn't have it.
+ */
+
+export const CAPTURE_VERSION = 1;
+
+// Player timer bounds (ms): batches events that are closer than MIN_TICK,
+// and reports progress at least every MAX_TICK through quiet stretches
+const MIN_TICK = 50;
+const MAX_TICK = 250;
+
+/**
+ * Create a recorder (idle until started)
+ * Lines are compressed as they are written; the file is only assembled on stop.
+ * @returns {Object} { start(markets), record(venue, books, source), stop(), active, count }
+ */
+export function createRecorder() {
+  const encoder = new TextEncoder();
+  let session = null;
+
+  const write = (line) => {
+    session.writer.write(encoder.encode(`${JSON.stringify(line)}\n`))
+      .catch(err => console.error('Failed to write capture:', err));
+  };
+
+  return {
+    get active() {
+      return session !== null;
+    },
+
+    get count() {
+      return session?.count || 0;
+    },
+
+    /**
+     * Start a new capture (any running one is discarded)
+     * @param {Array} markets - Market registry stored in the header
+     */
+    start(markets) {
+      if (session) session.writer.abort().catch(() => {});
+
+      // Plain JSON lines where CompressionStream is unavailable
+      const compressed = typeof CompressionStream !== 'undefined';
+      const stream = compressed ? new CompressionStream('gzip') : new TransformStream();
+      const startedAt = Date.now();
+
+      session = {
+        writer: stream.writable.getWriter(),
+        blob: new Response(stream.readable).blob(),
+        compressed,
+        startedAt,
+        count: 0
+      };
+      write({ type: 'header', version: CAPTURE_VERSION, startedAt, markets });
+    },
+
+    /**
+     * Append fetched books (no-op while idle)
+     * @param {string} venue - 'opinion' | 'poly'
+     * @param {Map|Array} books - key -> book entries
+     * @param {string} source - 'rest' | 'stream'
+     */
+    record(venue, books, source) {
+      if (!session) return;
+      const t = Date.now();
+      for (const [key, book] of books) {
+        write({ t, venue, key, source, book });
+        session.count++;
+      }
+    },
+
+    /**
+     * Finish the capture
+     * @returns {Promise<Object|null>} { blob, compressed, startedAt, count }, or null if idle
+     */
+    async stop() {
+      if (!session) return null;
+      const { writer, blob, compressed, startedAt, count } = session;
+      session = null;
+
+      await writer.close();
+      return { blob: await blob, compressed, startedAt, count };
+    }
+  };
+}
+
+/**
+ * Read a capture file (gzipped or plain JSON lines)
+ * @param {Blob} file - Capture file
+ * @returns {Promise<Object>} { header, events } with events sorted by time
+ */
+export async function readCapture(file) {
+  const bytes = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+  const gzipped = bytes[0] === 0x1f && bytes[1] === 0x8b;
+  const text = gzipped
+    ? await new Response(file.stream().pipeThrough(new DecompressionStream('gzip'))).text()
+    : await file.text();
+
+  let header = null;
+  const events = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    const entry = JSON.parse(line);
+    if (entry.type === 'header') {
+      header = entry;
+    } else if (entry.venue && entry.key && entry.book) {
+      events.push(entry);
+    }
+  }
+
+  if (!header) throw new Error('Not a capture file (no header line)');
+  if (header.version > CAPTURE_VERSION) {
+    throw new Error(`Capture version ${header.version} is newer than this dashboard supports`);
+  }
+
+  return { header, events: events.sort((a, b) => a.t - b.t) };
+}
+
+/**
+ * Create a player that emits capture events on the capture's own timeline
+ * Events are only consumed while a listener is subscribed, so none are lost
+ * before usePolling picks the player up.
+ * @param {Array} events - From readCapture (sorted by t)
+ * @param {Object} [options]
+ * @param {function} [options.onProgress] - ({ position, time, playing }) after every tick
+ * @returns {Object} { subscribe(listener), play(speed), pause(), total }
+ */
+export function createPlayer(events, { onProgress = () => {} } = {}) {
+  const listeners = new Set();
+  let index = 0;
+  let time = events[0]?.t ?? 0;
+  let speed = 1;
+  let anchor = null;  // { t, wall } while playing
+  let timer = null;
+
+  const virtualNow = () => anchor.t + (Date.now() - anchor.wall) * speed;
+
+  const tick = () => {
+    timer = null;
+    const now = virtualNow();
+
+    if (listeners.size > 0) {
+      const batch = [];
+      while (index < events.length && events[index].t <= now) {
+        batch.push(events[index++]);
+      }
+      if (batch.length > 0) listeners.forEach(listener => listener(batch));
+      time = Math.min(now, events.at(-1)?.t ?? now);
+    }
+
+    const ended = index >= events.length;
+    onProgress({ position: index, time, playing: !ended });
+    if (ended) {
+      anchor = null;
+      return;
+    }
+
+    const wait = (events[index].t - now) / speed;
+    timer = setTimeout(tick, Math.min(Math.max(wait, MIN_TICK), MAX_TICK));
+  };
+
+  const pause = () => {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    if (anchor) time = Math.min(virtualNow(), events[index]?.t ?? time);
+    anchor = null;
+  };
+
+  return {
+    total: events.length,
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Play from the current position (from the start once ended)
+     * @param {number} [newSpeed] - Capture ms per wall-clock ms (1 = real time)
+     */
+    play(newSpeed = speed) {
+      pause();
+      if (index >= events.length) {
+        index = 0;
+        time = events[0]?.t ?? 0;
+      }
+      speed = newSpeed;
+      anchor = { t: time, wall: Date.now() };
+      timer = setTimeout(tick, 0);
+    },
+
+    pause() {
+      pause();
+      onProgress({ position: index, time, playing: false });
+    }
+  };
+}
+
+/**
+ * Download a finished recording
+ * @param {Object} recording - From recorder.stop()
+ */
+export function downloadCapture({ blob, compressed, startedAt }) {
+  const stamp = new Date(startedAt).toISOString().slice(0, 16).replace(':', '-');
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `books-${stamp}.jsonl${compressed ? '.gz' : ''}`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export default { CAPTURE_VERSION, createRecorder, readCapture, createPlayer, downloadCapture };
@@ -0,0 +1,59 @@
+/**
+ * Same-venue complete-set arbitrage
+ *
+ * Buying YES and NO of the same outcome on one venue pays exactly $1 per
+ * share, so the pair is an arbitrage whenever it costs less than $1 after
+ * fees. Both legs pay the venue's own per-fill fees (config/fees.js), so
+ * on Opinion each leg carries its own minimum while Polymarket is free.
+ */
+
+import { findBestBasket } from './basket';
+
+// Venues checked for complete sets
+const VENUES = ['opinion', 'poly'];
+
+/**
+ * Scan every outcome of a market for same-venue YES+NO arbitrage
+ *
+ * @param {Object} market - Market config
+ * @param {Map} opinionPrices - Opinion books keyed by `${eventId}-${outcome}` (`-NO` for NO)
+ * @param {Map} polyPrices - Polymarket books, same keys
+ * @param {Object} fees - { opinion, poly } per-fill fee functions
+ * @param {string} objective - 'profitPct' or 'profit'
+ * @returns {Array} Profitable sets: { outcome, venue, strategyType, ...best, points }
+ */
+export function scanCompleteSets(market, opinionPrices, polyPrices, fees, objective = 'profitPct') {
+  const results = [];
+
+  for (const outcome of market.outcomes || []) {
+    const yesKey = `${market.id}-${outcome}`;
+    const noKey = `${market.id}-${outcome}-NO`;
+
+    for (const venue of VENUES) {
+      const prices = venue === 'opinion' ? opinionPrices : polyPrices;
+      const yesAsks = prices?.get(yesKey)?.asks || [];
+      const noAsks = prices?.get(noKey)?.asks || [];
+      if (yesAsks.length === 0 || noAsks.length === 0) continue;
+
+      // Both legs on the same venue (the other venue's ladder left empty)
+      const legBooks = [
+        { outcome, side: 'yes', opinionAsks: venue === 'opinion' ? yesAsks : [], polyAsks: venue === 'poly' ? yesAsks : [] },
+        { outcome, side: 'no', opinionAsks: venue === 'opinion' ? noAsks : [], polyAsks: venue === 'poly' ? noAsks : [] }
+      ];
+
+      const best = findBestBasket(legBooks, 1, fees, objective);
+      if (!best || best.profit <= 0) continue;
+
+      results.push({
+        outcome,
+        venue,
+        strategyType: `${venue}-complete-set`,
+        ...best
+      });
+    }
+  }
+
+  return results;
+}
+
+export default { scanCompleteSets };
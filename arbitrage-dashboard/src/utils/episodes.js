@@ -0,0 +1,129 @@
+/**
+ * Opportunity lifecycle tracking
+ *
+ * An episode is one unbroken stretch during which an outcome's best
+ * cross-venue strategy (per direction) has netProfit above the GO threshold
+ * (settings.minSpreadAlert). It records when the edge opened, its peak
+ * (profit %, $ profit and size at that moment) and when it closed, so we can
+ * measure how quickly edges get arbitraged away.
+ */
+
+/**
+ * Episode key: one per outcome and direction
+ */
+export function episodeKey(opp) {
+  return `${opp.eventId}-${opp.outcome}-${opp.bestStrategyType}`;
+}
+
+/**
+ * Advance open episodes with a new opportunity set
+ * @param {Map} open - key -> open episode (not mutated)
+ * @param {Array} opportunities - From useArbitrage
+ * @param {number} now - Unix ms
+ * @param {number} threshold - netProfit an edge must exceed to be open
+ * @returns {Object} { open: Map, closed: Array } episodes still open, and ones that just closed
+ */
+export function advanceEpisodes(open, opportunities, now, threshold) {
+  const next = new Map();
+
+  for (const opp of opportunities) {
+    if (!(opp.netProfit > threshold)) continue;
+
+    const key = episodeKey(opp);
+    const sd = opp.strategyDetails || {};
+    const episode = open.get(key) || {
+      id: `${key}-${now}`,
+      key,
+      eventId: opp.eventId,
+      eventName: opp.eventName,
+      outcome: opp.outcome,
+      direction: opp.bestStrategyType,
+      openedAt: now,
+      closedAt: null,
+      peakProfitPct: -Infinity,
+      peakProfit: 0,
+      peakShares: 0,
+      peakAt: now
+    };
+
+    // Track the best moment of the episode
+    const updated = { ...episode, lastSeenAt: now, lastProfitPct: opp.netProfit };
+    if (opp.netProfit > episode.peakProfitPct) {
+      updated.peakProfitPct = opp.netProfit;
+      updated.peakProfit = sd.profit || 0;
+      updated.peakShares = sd.shares || 0;
+      updated.peakAt = now;
+    }
+    next.set(key, updated);
+  }
+
+  // Anything no longer above the threshold has closed
+  const closed = [];
+  for (const [key, episode] of open) {
+    if (!next.has(key)) {
+      closed.push({ ...episode, closedAt: now });
+    }
+  }
+
+  return { open: next, closed };
+}
+
+/**
+ * Close episodes left open by a previous session at their last sighting
+ * (we can't know what happened while the dashboard was closed)
+ * @param {Array} episodes - Open episodes restored from storage
+ * @returns {Array} Closed episodes, flagged `interrupted`
+ */
+export function closeInterrupted(episodes) {
+  return episodes.map(episode => ({
+    ...episode,
+    closedAt: episode.lastSeenAt || episode.openedAt,
+    interrupted: true
+  }));
+}
+
+/**
+ * Episode duration in ms (open ones up to `now`)
+ */
+export function episodeDuration(episode, now) {
+  return (episode.closedAt ?? now) - episode.openedAt;
+}
+
+// CSV columns: [header, value getter]
+const CSV_COLUMNS = [
+  ['event_id', e => e.eventId],
+  ['event_name', e => e.eventName],
+  ['outcome', e => e.outcome],
+  ['direction', e => e.direction],
+  ['opened_at', e => new Date(e.openedAt).toISOString()],
+  ['closed_at', e => e.closedAt ? new Date(e.closedAt).toISOString() : ''],
+  ['duration_s', e => e.closedAt ? ((e.closedAt - e.openedAt) / 1000).toFixed(1) : ''],
+  ['peak_profit_pct', e => e.peakProfitPct.toFixed(6)],
+  ['peak_profit_usd', e => e.peakProfit.toFixed(2)],
+  ['peak_shares', e => e.peakShares.toFixed(2)],
+  ['peak_at', e => new Date(e.peakAt).toISOString()],
+  ['interrupted', e => e.interrupted ? 'true' : 'false']
+];
+
+/**
+ * Quote a CSV field when needed
+ */
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export episodes as CSV (one row per episode)
+ * @param {Array} episodes
+ * @returns {string} CSV text with a header row
+ */
+export function episodesToCsv(episodes) {
+  const rows = [CSV_COLUMNS.map(([header]) => header).join(',')];
+  for (const episode of episodes) {
+    rows.push(CSV_COLUMNS.map(([, get]) => csvField(get(episode))).join(','));
+  }
+  return rows.join('\n');
+}
+
+export default { episodeKey, advanceEpisodes, closeInterrupted, episodeDuration, episodesToCsv };
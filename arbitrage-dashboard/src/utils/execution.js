@@ -0,0 +1,221 @@
+/**
+ * Two-leg order execution with leg-risk handling
+ *
+ * Submits a pair plan (utils/orders.js) leg by leg: the first leg's fill
+ * sizes the second, and whatever the second leg doesn't cover is hedged
+ * (the second leg chased up to maxHedgeSlippage) and/or unwound (the first
+ * leg sold back at its unwind price). Anything still unpaired is reported as
+ * exposure. Venue clients are injected, so the same run works against the
+ * real APIs (api/orders.js) or the mock exchange (utils/mockExchange.js).
+ *
+ * An order whose fill can't be established (the request failed after it may
+ * have reached the venue, and cancelling / looking it up by id failed too)
+ * is 'unknown': the run stops there rather than hedge or unwind blindly, and
+ * reports the order so it can be checked on the venue.
+ */
+
+import { roundSize, roundToTick, clampPrice } from './orders';
+
+// Orders smaller than this can't be placed, so a residual below it is ignored
+const MIN_ORDER = 0.01;
+
+// Hedge attempts, stepping the second leg's limit up to maxHedgeSlippage
+const HEDGE_STEPS = 3;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Execute both legs of a pair
+ * @param {Object} plan - From buildPairPlan
+ * @param {Object} options
+ * @param {Object} options.clients - { opinion, poly } venue clients ({ submit, getOrder, cancel })
+ * @param {function} [options.sign] - async (order) => { typedData, signature } (null = unsigned, e.g. mock)
+ * @param {'opinion-first'|'poly-first'} options.legOrder - Leg submitted first
+ * @param {number} options.fillTimeout - Max time a leg rests before its remainder is cancelled (ms)
+ * @param {number} options.pollInterval - Status polling while a leg rests (ms)
+ * @param {'hedge'|'unwind'} options.onLegRisk - What to do when the second leg comes up short
+ * @param {number} options.maxHedgeSlippage - Furthest a hedge may chase past the second leg's limit
+ * @param {Object} options.tickSizes - { opinion, poly }
+ * @param {function} [options.onStep] - (step) => void, for every step as it happens
+ * @param {function} [options.wait] - Delay function (tests)
+ * @returns {Promise<Object>} { status, shares, legs, exposure, unknown, steps }
+ *   status: 'filled' | 'hedged' | 'unwound' | 'exposed' | 'failed' | 'unknown'
+ *   unknown: orders whose fill couldn't be established ([{ venue, tokenId, side, size, id }])
+ */
+export async function executePair(plan, {
+  clients,
+  sign = null,
+  legOrder,
+  fillTimeout,
+  pollInterval,
+  onLegRisk,
+  maxHedgeSlippage,
+  tickSizes,
+  onStep = () => {},
+  wait = sleep
+}) {
+  const steps = [];
+  const log = (venue, message) => {
+    const step = { venue, message };
+    steps.push(step);
+    onStep(step);
+  };
+
+  const firstVenue = legOrder === 'poly-first' ? 'poly' : 'opinion';
+  const first = plan.legs.find(leg => leg.venue === firstVenue);
+  const second = plan.legs.find(leg => leg.venue !== firstVenue);
+  const legs = {
+    opinion: { bought: 0, cost: 0, sold: 0, proceeds: 0 },
+    poly: { bought: 0, cost: 0, sold: 0, proceeds: 0 }
+  };
+  const unknown = [];
+
+  /**
+   * Establish a failed order's fill: cancel it by id, else look it up
+   * @returns {Promise<Object|null>} Order state, or null if neither answered
+   */
+  const recover = async (client, id) => {
+    try {
+      return await client.cancel(id);
+    } catch {
+      try {
+        return await client.getOrder(id);
+      } catch {
+        return null;
+      }
+    }
+  };
+
+  /**
+   * Submit an order, wait for it to fill, cancel what's left
+   * @returns {Promise<Object>} { filled, avgPrice, status }
+   */
+  const place = async (leg, { side, price, size }) => {
+    const order = { venue: leg.venue, tokenId: leg.tokenId, negRisk: leg.negRisk, side, price, size };
+    const label = `${side} ${size} @ ${(price * 100).toFixed(1)}¢`;
+    const client = clients[leg.venue];
+    let signed = null;
+    let id = null;
+    let result;
+
+    try {
+      signed = sign ? await sign(order) : {};
+      result = await client.submit({ order, ...signed });
+      if (result.status === 'rejected') {
+        log(leg.venue, `${label} rejected${result.error ? `: ${result.error}` : ''}`);
+        return { filled: 0, avgPrice: 0, status: 'rejected' };
+      }
+
+      id = result.id;
+      for (let waited = 0; result.status === 'open' && waited < fillTimeout; waited += pollInterval) {
+        await wait(pollInterval);
+        result = await client.getOrder(id);
+      }
+      if (result.status === 'open') result = await client.cancel(id);
+    } catch (err) {
+      // Nothing was sent if signing failed
+      if (!signed) {
+        log(leg.venue, `${label} not sent: ${err.message}`);
+        return { filled: 0, avgPrice: 0, status: 'error' };
+      }
+
+      log(leg.venue, `${label} failed: ${err.message}`);
+      result = id ? await recover(client, id) : null;
+      if (!result || result.status === 'open') {
+        unknown.push({ venue: leg.venue, tokenId: leg.tokenId, side, size, id });
+        log(leg.venue, `${label}: fill unknown${id ? ` (order ${id})` : ''} - check it on the venue`);
+        return { filled: 0, avgPrice: 0, status: 'unknown' };
+      }
+    }
+
+    if (side === 'BUY') {
+      legs[leg.venue].bought += result.filled;
+      legs[leg.venue].cost += result.filled * result.avgPrice;
+    } else {
+      legs[leg.venue].sold += result.filled;
+      legs[leg.venue].proceeds += result.filled * result.avgPrice;
+    }
+    log(leg.venue, `${label}: ${result.filled.toFixed(2)} filled${result.filled > 0 ? ` @ ${(result.avgPrice * 100).toFixed(2)}¢` : ''} (${result.status})`);
+    return result;
+  };
+
+  /**
+   * Result with the known unpaired first-leg shares as exposure
+   */
+  const finish = (status, firstFilled, hedged, unwound) => {
+    const exposed = roundSize(firstFilled - hedged - unwound);
+    const exposure = exposed >= MIN_ORDER ? { venue: first.venue, tokenId: first.tokenId, shares: exposed } : null;
+    if (exposure && status !== 'unknown') {
+      status = 'exposed';
+      log(first.venue, `${exposed.toFixed(2)} shares left unhedged - close them by hand`);
+    }
+    return { status, shares: Math.min(hedged, firstFilled), legs, exposure, unknown, steps };
+  };
+
+  // First leg: nothing is at risk until it fills
+  const firstFill = await place(first, { side: 'BUY', price: first.price, size: first.size });
+  if (firstFill.status === 'unknown') return finish('unknown', 0, 0, 0);
+  if (firstFill.filled < MIN_ORDER) {
+    return { status: 'failed', shares: 0, legs, exposure: null, unknown, steps };
+  }
+
+  // Second leg: sized to what the first leg got
+  const target = roundSize(firstFill.filled);
+  const secondFill = await place(second, { side: 'BUY', price: second.price, size: target });
+  let hedged = secondFill.filled;
+  if (secondFill.status === 'unknown') return finish('unknown', firstFill.filled, hedged, 0);
+  let status = 'filled';
+
+  // Chase the second leg in steps up to maxHedgeSlippage
+  if (onLegRisk === 'hedge') {
+    const tick = tickSizes[second.venue];
+    for (let i = 1; i <= HEDGE_STEPS && roundSize(firstFill.filled - hedged) >= MIN_ORDER; i++) {
+      status = 'hedged';
+      const price = clampPrice(roundToTick(second.price + Math.max(maxHedgeSlippage * i / HEDGE_STEPS, tick), tick, 'up'), tick);
+      const hedge = await place(second, { side: 'BUY', price, size: roundSize(firstFill.filled - hedged) });
+      hedged += hedge.filled;
+      if (hedge.status === 'unknown') return finish('unknown', firstFill.filled, hedged, 0);
+    }
+  }
+
+  // Sell back what the second leg couldn't cover
+  let unwound = 0;
+  const unpaired = roundSize(firstFill.filled - hedged);
+  if (unpaired >= MIN_ORDER) {
+    status = 'unwound';
+    const unwind = await place(first, { side: 'SELL', price: first.unwindPrice, size: unpaired });
+    unwound = unwind.filled;
+    if (unwind.status === 'unknown') status = 'unknown';
+  }
+
+  return finish(status, firstFill.filled, hedged, unwound);
+}
+
+/**
+ * Describe the orders a pair would send, without sending anything
+ * @param {Object} plan - From buildPairPlan
+ * @param {Object} options
+ * @param {'opinion-first'|'poly-first'} options.legOrder - Leg submitted first
+ * @param {function} [options.describe] - (order) => extra text per order (e.g. its signing payload)
+ * @returns {Object} { status: 'dry-run', shares, legs, exposure, unknown, steps }
+ */
+export function dryRunPair(plan, { legOrder, describe = () => '' }) {
+  const firstVenue = legOrder === 'poly-first' ? 'poly' : 'opinion';
+  const ordered = [
+    plan.legs.find(leg => leg.venue === firstVenue),
+    plan.legs.find(leg => leg.venue !== firstVenue)
+  ];
+
+  const steps = ordered.map((leg, i) => {
+    const order = { venue: leg.venue, tokenId: leg.tokenId, negRisk: leg.negRisk, side: 'BUY', price: leg.price, size: leg.size };
+    const extra = describe(order);
+    return {
+      venue: leg.venue,
+      message: `${i + 1}. would BUY ${leg.size} @ ${(leg.price * 100).toFixed(1)}¢ (unwind at ${(leg.unwindPrice * 100).toFixed(1)}¢)${extra ? ` - ${extra}` : ''}`
+    };
+  });
+
+  return { status: 'dry-run', shares: 0, legs: null, exposure: null, unknown: [], steps };
+}
+
+export default { executePair, dryRunPair };
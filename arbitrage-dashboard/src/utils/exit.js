@@ -0,0 +1,167 @@
+/**
+ * Exit profit of held arbitrage pairs
+ *
+ * A pair is YES on one venue plus NO on the other (Opinion YES + Poly NO, or
+ * Poly YES + Opinion NO). Exiting sells both legs into the current bid
+ * ladders, each level a separate fill with its own fee; the result is
+ * compared with what the sold shares cost, fees included on both sides.
+ *
+ * Large positions rarely exit whole at a profit, so the exit is sized: the
+ * best quantity is the most profitable one whose average exit price sum
+ * clears the threshold, and the rest stays held.
+ */
+
+import { calcTradeFee, getFillFeeFn } from './fees.js';
+import {
+  SHARE_EPSILON,
+  calcCumulativeLevel,
+  calcMultiLevelFee,
+  calcFillCost,
+  collectBreakpoints
+} from './orderbook.js';
+
+/**
+ * Bid ladder of a leg, best first
+ * Books without a ladder are valued at their best bid for the whole size
+ */
+function getBidLadder(book, shares) {
+  if (book.bids?.length > 0) return book.bids;
+  const bid = book.bid || book.price || 0;
+  return bid > 0 ? [{ price: bid, size: shares }] : [];
+}
+
+/**
+ * Price selling one pair at the current bid ladders
+ * @param {Object} yesLeg - { venue, position: { shares, avgPrice }, book }
+ * @param {Object} noLeg - { venue, position, book }
+ * @param {number} exitThreshold - Minimum average exit price sum
+ * @param {Object} feeOptions - { marketId } (entry fees use today's schedule too)
+ */
+function priceExit(yesLeg, noLeg, exitThreshold, feeOptions) {
+  const shares = Math.min(yesLeg.position.shares, noLeg.position.shares);
+
+  // Entry cost of the whole pair = raw cost + buy fees on both venues
+  const yesAvg = yesLeg.position.avgPrice || 0;
+  const noAvg = noLeg.position.avgPrice || 0;
+  const entryFee = calcTradeFee(yesLeg.venue, yesAvg, shares, feeOptions).actualFee +
+    calcTradeFee(noLeg.venue, noAvg, shares, feeOptions).actualFee;
+  const entryCostPerShare = shares > 0 ? yesAvg + noAvg + entryFee / shares : 0;
+
+  const yesBids = getBidLadder(yesLeg.book, shares);
+  const noBids = getBidLadder(noLeg.book, shares);
+  const yesFee = getFillFeeFn(yesLeg.venue, feeOptions);
+  const noFee = getFillFeeFn(noLeg.venue, feeOptions);
+
+  /**
+   * Sell `quantity` pairs into both ladders
+   */
+  const evaluate = (quantity) => {
+    const yesFill = calcFillCost(yesBids, quantity);
+    const noFill = calcFillCost(noBids, quantity);
+    const exitValue = yesFill.totalCost + noFill.totalCost;
+    const exitFee = (yesFee ? calcMultiLevelFee(yesFill.levelDetails, quantity, yesFee) : 0) +
+      (noFee ? calcMultiLevelFee(noFill.levelDetails, quantity, noFee) : 0);
+    const entryCost = entryCostPerShare * quantity;
+    const netProfit = exitValue - exitFee - entryCost;
+    return {
+      quantity,
+      entryCost,
+      exitValue: exitValue - exitFee,
+      exitFee,
+      netProfit,
+      profitPct: entryCost > 0 ? netProfit / entryCost : 0,
+      exitPriceSum: yesFill.avgPrice + noFill.avgPrice,
+      levels: { yes: yesFill.levels, no: noFill.levels }
+    };
+  };
+
+  // Most the bids can take; profit is linear between level boundaries / min-fee kinks
+  const maxQuantity = Math.min(
+    shares,
+    calcCumulativeLevel(yesBids, yesBids.length).totalSize,
+    calcCumulativeLevel(noBids, noBids.length).totalSize
+  );
+  const candidates = [
+    ...collectBreakpoints(yesBids, maxQuantity, yesFee),
+    ...collectBreakpoints(noBids, maxQuantity, noFee),
+    maxQuantity
+  ].filter(q => q > SHARE_EPSILON && q <= maxQuantity + SHARE_EPSILON);
+
+  // Best: most profitable quantity clearing the threshold, then the most
+  // profitable one at all; with no profitable quantity, everything the bids take
+  const points = candidates.map(evaluate).filter(p => p.netProfit > 0);
+  const qualifying = points.filter(p => p.exitPriceSum >= exitThreshold);
+  const byProfit = (a, b) => b.netProfit - a.netProfit || b.quantity - a.quantity;
+  const best = qualifying.sort(byProfit)[0] || points.sort(byProfit)[0] ||
+    evaluate(Math.max(maxQuantity, 0));
+
+  const topBidSum = (yesBids[0]?.price || 0) + (noBids[0]?.price || 0);
+
+  return {
+    strategy: yesLeg.venue === 'opinion' ? 'opinion-yes' : 'poly-yes',
+    shares,
+    exitShares: best.quantity,
+    remainingShares: shares - best.quantity,
+    remainingCost: entryCostPerShare * (shares - best.quantity),
+    entryCost: best.entryCost,
+    exitValue: best.exitValue,
+    exitFee: best.exitFee,
+    netProfit: best.netProfit,
+    profitPct: best.profitPct,
+    levels: best.levels,
+    // Per-share price sums (before fees): entry, average exit, best bids
+    entryPriceSum: yesAvg + noAvg,
+    exitPriceSum: best.exitPriceSum,
+    topBidSum,
+    // Can exit only if profitable AND the average exit price sum >= threshold
+    canExit: best.netProfit > 0 && best.exitPriceSum >= exitThreshold
+  };
+}
+
+/**
+ * Best exit of a held position (the better of the two pair directions)
+ * @param {Object} entry - Matched position { marketId, outcome, opinion: { yes, no }, poly: { yes, no } }
+ *   where each side is { shares, avgPrice } or null
+ * @param {Object} prices - { opinion: Map, poly: Map } keyed 'eventId-outcome' / 'eventId-outcome-NO'
+ * @param {number} exitThreshold - Minimum average exit price sum (e.g., 0.98 = 98 cents)
+ * @returns {Object|null} Exit profit at the best exit quantity ({ shares, exitShares,
+ *   remainingShares, netProfit, canExit, ... }), or null if no complete pair has prices
+ */
+export function calcExitProfit(entry, prices, exitThreshold) {
+  const key = `${entry.marketId}-${entry.outcome}`;
+  const opinionYes = prices.opinion?.get(key);
+  const opinionNo = prices.opinion?.get(`${key}-NO`);
+  const polyYes = prices.poly?.get(key);
+  const polyNo = prices.poly?.get(`${key}-NO`);
+  const feeOptions = { marketId: entry.marketId };
+
+  let exitProfit = null;
+
+  // Strategy 1: Sell Opinion YES + Sell Poly NO
+  if (entry.opinion?.yes && entry.poly?.no && opinionYes && polyNo) {
+    exitProfit = priceExit(
+      { venue: 'opinion', position: entry.opinion.yes, book: opinionYes },
+      { venue: 'poly', position: entry.poly.no, book: polyNo },
+      exitThreshold,
+      feeOptions
+    );
+  }
+
+  // Strategy 2: Sell Poly YES + Sell Opinion NO (used if it can exit when the other can't, or pays more)
+  if (entry.poly?.yes && entry.opinion?.no && polyYes && opinionNo) {
+    const exit = priceExit(
+      { venue: 'poly', position: entry.poly.yes, book: polyYes },
+      { venue: 'opinion', position: entry.opinion.no, book: opinionNo },
+      exitThreshold,
+      feeOptions
+    );
+    if (!exitProfit || (exit.canExit && !exitProfit.canExit) ||
+      (exit.canExit === exitProfit.canExit && exit.netProfit > exitProfit.netProfit)) {
+      exitProfit = exit;
+    }
+  }
+
+  return exitProfit;
+}
+
+export default { calcExitProfit };
@@ -0,0 +1,207 @@
+/**
+ * Unhedged exposure of held positions
+ *
+ * Within an outcome, YES and NO pay out complementarily whichever venue they
+ * are held on (exactly one side pays $1 at settlement), so only the
+ * difference between the YES and NO share counts is at risk - a lone leg, or
+ * 500 Opinion YES against 420 Poly NO.
+ *
+ * An event's worst case is its worst settlement scenario: for an exclusive
+ * event each held outcome winning (plus none of them winning, unless the
+ * outcome list is exhaustive); otherwise every outcome at its own worst.
+ *
+ * The rebalancing trade buys the short side at the current asks, on
+ * whichever venue fills it cheapest (per-fill fees included).
+ */
+
+import { SHARE_EPSILON, calcCumulativeLevel, calcMultiLevelFee, calcFillCost } from './orderbook';
+import { getVenueFees } from './fees';
+
+const VENUES = ['opinion', 'poly'];
+
+// Imbalances below this many shares are fill residue, not exposure
+export const DEFAULT_MIN_IMBALANCE = 1;
+
+/**
+ * Shares and cost held on one side of an outcome, across both venues
+ */
+function sumSide(entry, side) {
+  let shares = 0;
+  let cost = 0;
+  for (const venue of VENUES) {
+    const leg = entry[venue]?.[side];
+    if (!leg) continue;
+    shares += leg.shares || 0;
+    cost += (leg.shares || 0) * (leg.avgPrice || 0);
+  }
+  return { shares, cost };
+}
+
+/**
+ * Price buying the short side on the venue that fills it cheapest
+ * A venue that can fill the whole imbalance beats one that can't.
+ * @returns {Object|null} { venue, side, shares, complete, avgPrice, limitPrice, cost, fee }
+ */
+function priceRebalance(entry, prices, side, shares, fees) {
+  const key = `${entry.marketId}-${entry.outcome}${side === 'no' ? '-NO' : ''}`;
+  let best = null;
+
+  for (const venue of VENUES) {
+    const asks = prices[venue]?.get(key)?.asks || [];
+    const size = Math.min(shares, calcCumulativeLevel(asks, asks.length).totalSize);
+    if (size <= SHARE_EPSILON) continue;
+
+    const fill = calcFillCost(asks, size);
+    const fee = fees[venue] ? calcMultiLevelFee(fill.levelDetails, size, fees[venue]) : 0;
+    const candidate = {
+      venue,
+      side,
+      shares: size,
+      complete: size >= shares - SHARE_EPSILON,
+      avgPrice: fill.avgPrice,
+      limitPrice: fill.levelDetails[fill.levelDetails.length - 1].price,
+      cost: fill.totalCost,
+      fee
+    };
+
+    const better = !best ||
+      (candidate.complete && !best.complete) ||
+      (candidate.complete === best.complete && (candidate.cost + candidate.fee) / size < (best.cost + best.fee) / best.shares);
+    if (better) best = candidate;
+  }
+
+  return best;
+}
+
+/**
+ * Exposure of one held outcome
+ * @param {Object} entry - Matched position { marketId, marketName, outcome, opinion: { yes, no }, poly: { yes, no } }
+ * @param {Object} prices - { opinion: Map, poly: Map } keyed 'eventId-outcome' / 'eventId-outcome-NO'
+ * @returns {Object} { yesShares, noShares, cost, imbalance, long, unpaired, settleIfYes, settleIfNo,
+ *   worstCase, loss, rebalance } - imbalance > 0 is long YES; rebalance is null if no book can fill it
+ */
+export function calcOutcomeExposure(entry, prices) {
+  const yes = sumSide(entry, 'yes');
+  const no = sumSide(entry, 'no');
+  const cost = yes.cost + no.cost;
+  const imbalance = yes.shares - no.shares;
+
+  // Settlement P&L of everything held in the outcome
+  const settleIfYes = yes.shares - cost;
+  const settleIfNo = no.shares - cost;
+  const worstCase = Math.min(settleIfYes, settleIfNo);
+
+  let rebalance = null;
+  if (Math.abs(imbalance) > SHARE_EPSILON) {
+    const short = imbalance > 0 ? 'no' : 'yes';
+    rebalance = priceRebalance(entry, prices, short, Math.abs(imbalance), getVenueFees(entry.marketId));
+    if (rebalance) {
+      // Worst case once the rebalancing shares are held
+      rebalance.worstCaseAfter = Math.min(yes.shares, no.shares) + rebalance.shares - cost - rebalance.cost - rebalance.fee;
+    }
+  }
+
+  return {
+    marketId: entry.marketId,
+    marketName: entry.marketName,
+    outcome: entry.outcome,
+    holdings: {
+      opinion: { yes: entry.opinion?.yes?.shares || 0, no: entry.opinion?.no?.shares || 0 },
+      poly: { yes: entry.poly?.yes?.shares || 0, no: entry.poly?.no?.shares || 0 }
+    },
+    yesShares: yes.shares,
+    noShares: no.shares,
+    cost,
+    imbalance,
+    long: imbalance > 0 ? 'yes' : 'no',
+    unpaired: Math.abs(imbalance),
+    settleIfYes,
+    settleIfNo,
+    worstCase,
+    loss: Math.max(0, -worstCase),
+    rebalance
+  };
+}
+
+/**
+ * Worst settlement scenario of an event's held outcomes
+ * @param {Object} market - Market config (`exclusive` / `exhaustive` flags, `outcomes`)
+ * @param {Array} outcomes - calcOutcomeExposure results for the event (all held outcomes)
+ * @returns {Object} { cost, worstCase, loss, worstScenario } - worstScenario is the winning
+ *   outcome, 'none' (no held outcome wins) or null (non-exclusive: each outcome at its worst)
+ */
+export function calcEventExposure(market, outcomes) {
+  const cost = outcomes.reduce((sum, o) => sum + o.cost, 0);
+
+  if (!market?.exclusive) {
+    const worstCase = outcomes.reduce((sum, o) => sum + o.worstCase, 0);
+    return { cost, worstCase, loss: Math.max(0, -worstCase), worstScenario: null };
+  }
+
+  // One winner at most: YES pays on the winner, NO pays on every other outcome
+  const payoutIf = (winner) => outcomes.reduce(
+    (sum, o) => sum + (o.outcome === winner ? o.yesShares : o.noShares),
+    0
+  );
+  const scenarios = outcomes.map(o => o.outcome);
+  const allHeld = (market.outcomes || []).every(name => scenarios.includes(name));
+  if (!market.exhaustive || !allHeld) scenarios.push('none');
+
+  let worstCase = Infinity;
+  let worstScenario = null;
+  for (const winner of scenarios) {
+    const pnl = payoutIf(winner) - cost;
+    if (pnl < worstCase) {
+      worstCase = pnl;
+      worstScenario = winner;
+    }
+  }
+
+  return { cost, worstCase, loss: Math.max(0, -worstCase), worstScenario };
+}
+
+/**
+ * Exposure of all held positions, per outcome and per event
+ * @param {Map} matchedPositions - From usePositions (key 'marketId-outcome')
+ * @param {Object} prices - { opinion: Map, poly: Map }
+ * @param {Array} markets - Market registry (exclusivity flags)
+ * @param {number} [minImbalance] - Smallest YES/NO share difference that counts
+ * @returns {Object} { outcomes: Map key -> outcome exposure (unbalanced only),
+ *   events: [{ marketId, marketName, exclusive, ...event exposure, outcomes }] (events with exposure),
+ *   totalLoss }
+ */
+export function calcExposures(matchedPositions, prices, markets, minImbalance = DEFAULT_MIN_IMBALANCE) {
+  const outcomes = new Map();
+  const byEvent = new Map();
+
+  for (const [key, entry] of matchedPositions || []) {
+    const exposure = calcOutcomeExposure(entry, prices);
+    if (!byEvent.has(entry.marketId)) byEvent.set(entry.marketId, []);
+    byEvent.get(entry.marketId).push(exposure);
+    if (exposure.unpaired >= minImbalance) outcomes.set(key, exposure);
+  }
+
+  const events = [];
+  for (const [marketId, held] of byEvent) {
+    const exposed = held.filter(o => o.unpaired >= minImbalance);
+    if (exposed.length === 0) continue;
+
+    const market = markets.find(m => m.id === marketId);
+    events.push({
+      marketId,
+      marketName: held[0].marketName,
+      exclusive: !!market?.exclusive,
+      ...calcEventExposure(market, held),
+      outcomes: exposed
+    });
+  }
+  events.sort((a, b) => b.loss - a.loss);
+
+  return {
+    outcomes,
+    events,
+    totalLoss: events.reduce((sum, e) => sum + e.loss, 0)
+  };
+}
+
+export default { calcOutcomeExposure, calcEventExposure, calcExposures };
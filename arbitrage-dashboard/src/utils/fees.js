@@ -1,56 +1,162 @@
 /**
- * Fee calculation utilities for Opinion platform
+ * Fee calculation utilities
  *
- * Fee formula: 0.08 * p * (1 - p)
- * Minimum fee: $0.5 per fill (per price level in orderbook)
+ * Fee models come from the registry in config/fees.js (one versioned list
+ * per venue, optionally overridden per market). Opinion currently charges
+ * 0.08 * p * (1 - p) per $ of notional with a $0.5 minimum per fill;
+ * Polymarket is free.
  *
  * Note: When eating multiple orderbook levels at different prices,
- * each price level is a separate fill with its own $0.5 minimum fee.
+ * each price level is a separate fill with its own minimum fee.
  * Same-price orders from different makers count as one fill.
  */
 
-// Fee constant
-const FEE_K = 0.08;
+import { feeSchedules } from '../config/fees.js';
 
-// Minimum fee in USD
-const MIN_FEE_USD = 0.5;
+/**
+ * Get the fee model in force for a venue
+ * @param {string} venue - 'opinion' | 'poly'
+ * @param {Object} [options]
+ * @param {string} [options.marketId] - Market with its own schedule, if any
+ * @param {number|string|Date} [options.at] - Trade time (default: now)
+ * @returns {Object|null} Fee model, or null if the venue has no schedule
+ */
+export function getFeeModel(venue, { marketId, at } = {}) {
+  const versions = feeSchedules.markets[marketId]?.[venue] || feeSchedules.venues[venue];
+  if (!versions || versions.length === 0) return null;
+
+  // Latest version already in effect at the trade time
+  const time = at === undefined ? Date.now() : new Date(at).getTime();
+  let current = null;
+  for (const model of versions) {
+    const from = new Date(model.effectiveFrom).getTime();
+    if (from <= time && (!current || from >= new Date(current.effectiveFrom).getTime())) {
+      current = model;
+    }
+  }
+  return current;
+}
 
 /**
- * Calculate fee rate for a given price
+ * Fee rate per $ of notional at a given price
+ * @param {Object} model - Fee model from getFeeModel
  * @param {number} p - Price between 0 and 1
+ * @param {'taker'|'maker'} [role] - Liquidity role (default taker)
  * @returns {number} Fee rate
  */
-export function nominalFee(p) {
-  if (p <= 0 || p >= 1) return 0;
-  return FEE_K * p * (1 - p);
+export function calcFeeRate(model, p, role = 'taker') {
+  if (!model || p <= 0 || p >= 1) return 0;
+  const rate = model[role] || 0;
+  return model.curve === 'quadratic' ? rate * p * (1 - p) : rate;
 }
 
 /**
- * Calculate actual Opinion fee for a trade (with $0.5 minimum)
+ * Calculate the fee for a single fill under a fee model
+ * @param {Object} model - Fee model from getFeeModel
  * @param {number} price - Price between 0 and 1
  * @param {number} shares - Number of shares
+ * @param {'taker'|'maker'} [role] - Liquidity role (default taker)
  * @returns {object} { calculatedFee, actualFee, isMinFee, feeRate }
  */
-export function calcOpinionTradeFee(price, shares) {
-  if (!price || price <= 0 || price >= 1 || !shares || shares <= 0) {
+export function calcFillFee(model, price, shares, role = 'taker') {
+  if (!model || !price || price <= 0 || price >= 1 || !shares || shares <= 0) {
     return { calculatedFee: 0, actualFee: 0, isMinFee: false, feeRate: 0 };
   }
 
-  const feeRate = nominalFee(price);
+  const feeRate = calcFeeRate(model, price, role);
   const notional = price * shares;
-  const calculatedFee = notional * feeRate;
-  const actualFee = Math.max(calculatedFee, MIN_FEE_USD);
+  const calculatedFee = notional * feeRate + (model.flatFee || 0);
+
+  // The minimum only applies to fills that are charged at all
+  const minFee = calculatedFee > 0 ? model.minFee || 0 : 0;
+  const actualFee = Math.max(calculatedFee, minFee);
 
   return {
     feeRate,
     calculatedFee,
     actualFee,
-    isMinFee: calculatedFee < MIN_FEE_USD
+    isMinFee: calculatedFee < minFee
+  };
+}
+
+/**
+ * Calculate the fee for a trade on a venue
+ * @param {string} venue - 'opinion' | 'poly'
+ * @param {number} price - Price between 0 and 1
+ * @param {number} shares - Number of shares
+ * @param {Object} [options] - { marketId, at, role }
+ * @returns {object} { calculatedFee, actualFee, isMinFee, feeRate }
+ */
+export function calcTradeFee(venue, price, shares, { marketId, at, role } = {}) {
+  return calcFillFee(getFeeModel(venue, { marketId, at }), price, shares, role);
+}
+
+/**
+ * Check whether a fee model can ever charge anything, in either role
+ */
+function isFree(model) {
+  return !model || (!model.taker && !model.maker && !model.flatFee && !model.minFee);
+}
+
+/**
+ * Per-fill fee function for a venue, as used by calcMultiLevelFee
+ * @param {string} venue - 'opinion' | 'poly'
+ * @param {Object} [options] - { marketId, at, role }
+ * @returns {function|null} (price, shares) => fee in USD, or null if the venue is free
+ */
+export function getFillFeeFn(venue, { marketId, at, role } = {}) {
+  const model = getFeeModel(venue, { marketId, at });
+  if (isFree(model)) return null;
+  return (price, shares) => calcFillFee(model, price, shares, role).actualFee;
+}
+
+/**
+ * Per-fill fee functions for both venues of a market
+ * @param {string} [marketId] - Market ID
+ * @returns {Object} { opinion, poly } fee functions (null = free)
+ */
+export function getVenueFees(marketId) {
+  return {
+    opinion: getFillFeeFn('opinion', { marketId }),
+    poly: getFillFeeFn('poly', { marketId })
   };
 }
 
 /**
- * Calculate net profit from arbitrage
+ * Calculate fee rate for a given Opinion price
+ * @param {number} p - Price between 0 and 1
+ * @returns {number} Fee rate
+ */
+export function nominalFee(p) {
+  return calcFeeRate(getFeeModel('opinion'), p);
+}
+
+/**
+ * Calculate actual Opinion fee for a trade (with minimum)
+ * @param {number} price - Price between 0 and 1
+ * @param {number} shares - Number of shares
+ * @param {string} [marketId] - Market with its own schedule, if any
+ * @param {'taker'|'maker'} [role] - Liquidity role (default taker)
+ * @returns {object} { calculatedFee, actualFee, isMinFee, feeRate }
+ */
+export function calcOpinionTradeFee(price, shares, marketId, role) {
+  return calcTradeFee('opinion', price, shares, { marketId, role });
+}
+
+/**
+ * Opinion fee for a single fill, in USD (with minimum)
+ * @param {number} price - Price between 0 and 1
+ * @param {number} shares - Number of shares
+ * @param {string} [marketId] - Market with its own schedule, if any
+ * @param {'taker'|'maker'} [role] - Liquidity role (default taker)
+ * @returns {number} Fee in USD
+ */
+export function calcOpinionFillFee(price, shares, marketId, role) {
+  return calcOpinionTradeFee(price, shares, marketId, role).actualFee;
+}
+
+/**
+ * Calculate net profit per share from arbitrage (before minimum fees)
  * @param {number} opinionPrice - Opinion price (0-1)
  * @param {number} polyPrice - Polymarket price (0-1)
  * @returns {object} { spread, spreadPct, feeRate, netProfit }
@@ -59,9 +165,10 @@ export function calcNetProfit(opinionPrice, polyPrice) {
   const spread = opinionPrice - polyPrice;
   const spreadPct = spread;
 
-  const avgPrice = (opinionPrice + polyPrice) / 2;
-  const feeRate = nominalFee(avgPrice);
-  const feeCost = avgPrice * feeRate;
+  // Same per-$ notional fee as calcOpinionTradeFee, for one share on each venue
+  const feeRate = nominalFee(opinionPrice);
+  const feeCost = opinionPrice * feeRate +
+    polyPrice * calcFeeRate(getFeeModel('poly'), polyPrice);
   const netProfit = Math.abs(spreadPct) - feeCost;
 
   return {
@@ -72,4 +179,5 @@ export function calcNetProfit(opinionPrice, polyPrice) {
   };
 }
 
-export { MIN_FEE_USD };
+// Current Opinion per-fill minimum in USD
+export const MIN_FEE_USD = getFeeModel('opinion')?.minFee || 0;
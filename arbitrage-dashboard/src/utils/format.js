@@ -56,6 +56,19 @@ export function formatTime(date) {
   });
 }
 
+/**
+ * Format a duration as a short age (e.g., 4200 -> "4s", 95000 -> "1m")
+ * @param {number} ms - Age in milliseconds
+ * @returns {string} Formatted age
+ */
+export function formatAge(ms) {
+  if (ms === null || ms === undefined || isNaN(ms)) return '—';
+  if (ms < 1000) return '<1s';
+  if (ms < 60000) return `${Math.floor(ms / 1000)}s`;
+  if (ms < 3600000) return `${Math.floor(ms / 60000)}m`;
+  return `${Math.floor(ms / 3600000)}h`;
+}
+
 /**
  * Format date and time
  * @param {Date|number} date - Date object or timestamp
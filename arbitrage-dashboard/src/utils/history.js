@@ -0,0 +1,139 @@
+/**
+ * Price and spread history (IndexedDB)
+ *
+ * One record per outcome sample:
+ *   { key: 'eventId-outcome', t, opinion: { yes, no }, poly: { yes, no }, netProfit }
+ * where each book side is { bid, ask } top-of-book. Records older than the
+ * retention window are pruned, and the store is capped at a maximum record
+ * count (oldest first).
+ */
+
+const DB_NAME = 'arbitrage-history';
+const DB_VERSION = 1;
+const STORE = 'samples';
+
+// Shared connection (opened lazily)
+let dbPromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and create/upgrade) the history database
+ * @returns {Promise<IDBDatabase|null>} null where IndexedDB is unavailable
+ */
+export function openHistory() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('t', 't');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      console.error('Failed to open price history database:', error);
+      dbPromise = null;
+      return null;
+    });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Append samples
+ * @param {Array} samples - History records (without id)
+ */
+export async function appendSamples(samples) {
+  const db = await openHistory();
+  if (!db || samples.length === 0) return;
+
+  const tx = db.transaction(STORE, 'readwrite');
+  const store = tx.objectStore(STORE);
+  for (const sample of samples) {
+    store.add(sample);
+  }
+
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Load every sample since a timestamp, oldest first
+ * @param {number} since - Unix ms
+ * @returns {Promise<Array>} Samples
+ */
+export async function loadSamples(since) {
+  const db = await openHistory();
+  if (!db) return [];
+
+  const index = db.transaction(STORE, 'readonly').objectStore(STORE).index('t');
+  return promisify(index.getAll(IDBKeyRange.lowerBound(since)));
+}
+
+/**
+ * Apply retention limits: drop samples older than maxAge, then the oldest
+ * ones beyond maxRecords
+ * @param {Object} limits - { maxAge (ms), maxRecords }
+ * @returns {Promise<number>} Number of samples deleted
+ */
+export async function pruneHistory({ maxAge, maxRecords }) {
+  const db = await openHistory();
+  if (!db) return 0;
+
+  const store = db.transaction(STORE, 'readwrite').objectStore(STORE);
+  const index = store.index('t');
+  let deleted = 0;
+
+  // Age limit
+  const expired = await promisify(index.getAllKeys(IDBKeyRange.upperBound(Date.now() - maxAge, true)));
+  for (const id of expired) {
+    store.delete(id);
+    deleted++;
+  }
+
+  // Count limit (requests run in order, so the count excludes the deletes above;
+  // ids are increasing, so the smallest ids are the oldest)
+  const excess = (await promisify(store.count())) - maxRecords;
+  if (excess > 0) {
+    const oldest = await promisify(store.getAllKeys(null, excess));
+    for (const id of oldest) {
+      store.delete(id);
+      deleted++;
+    }
+  }
+
+  return deleted;
+}
+
+/**
+ * Start of the current open run: the earliest sample of the latest unbroken
+ * streak with netProfit above the threshold
+ * @param {Array} samples - One outcome's samples, oldest first
+ * @param {number} threshold - e.g. settings.minSpreadAlert
+ * @returns {number|null} Unix ms, or null if the latest sample is below the threshold
+ */
+export function getOpenSince(samples, threshold) {
+  let since = null;
+  for (let i = samples.length - 1; i >= 0; i--) {
+    if (samples[i].netProfit === null || samples[i].netProfit <= threshold) break;
+    since = samples[i].t;
+  }
+  return since;
+}
+
+export default { openHistory, appendSamples, loadSamples, pruneHistory, getOpenSince };
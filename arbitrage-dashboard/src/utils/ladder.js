@@ -0,0 +1,64 @@
+/**
+ * Ladder (threshold) market monotonicity arbitrage
+ *
+ * For nested outcomes like ">$4m", ">$5m" ... a higher threshold implies the
+ * lower one, so P(higher) can never exceed P(lower). Buying YES on the lower
+ * threshold plus NO on the higher one pays at least $1 per share:
+ *   - above both:   YES lower pays, NO higher doesn't  -> $1
+ *   - between:      both pay                            -> $2
+ *   - below both:   NO higher pays                      -> $1
+ * So the pair is an arbitrage whenever it costs less than $1 after fees.
+ * Each leg is bought on whichever venue is cheapest.
+ */
+
+import { findBestBasket } from './basket';
+
+/**
+ * Scan a ladder market for monotonicity violations across both venues
+ *
+ * @param {Object} market - Market config with `ladder` (outcomes, least to most restrictive)
+ * @param {Map} opinionPrices - Opinion books keyed by `${eventId}-${outcome}` (`-NO` for NO)
+ * @param {Map} polyPrices - Polymarket books, same keys
+ * @param {Object} fees - { opinion, poly } per-fill fee functions
+ * @param {string} objective - 'profitPct' or 'profit'
+ * @returns {Array} Profitable pairs: { lower, higher, maxPayout, ...best, points }
+ */
+export function scanLadder(market, opinionPrices, polyPrices, fees, objective = 'profitPct') {
+  const ladder = market.ladder || [];
+  const results = [];
+
+  const getAsks = (prices, key) => prices?.get(key)?.asks || [];
+
+  // Every (lower, higher) pair, not just neighbours
+  for (let i = 0; i < ladder.length; i++) {
+    for (let j = i + 1; j < ladder.length; j++) {
+      const lower = ladder[i];
+      const higher = ladder[j];
+      const yesKey = `${market.id}-${lower}`;
+      const noKey = `${market.id}-${higher}-NO`;
+
+      const legBooks = [
+        { outcome: lower, side: 'yes', opinionAsks: getAsks(opinionPrices, yesKey), polyAsks: getAsks(polyPrices, yesKey) },
+        { outcome: higher, side: 'no', opinionAsks: getAsks(opinionPrices, noKey), polyAsks: getAsks(polyPrices, noKey) }
+      ];
+
+      // Skip pairs with a leg missing on both venues
+      if (legBooks.some(leg => leg.opinionAsks.length === 0 && leg.polyAsks.length === 0)) continue;
+
+      const best = findBestBasket(legBooks, 1, fees, objective);
+      if (!best || best.profit <= 0) continue;
+
+      results.push({
+        lower,
+        higher,
+        // Both legs pay if the result lands between the thresholds
+        maxPayout: 2 * best.shares,
+        ...best
+      });
+    }
+  }
+
+  return results;
+}
+
+export default { scanLadder };
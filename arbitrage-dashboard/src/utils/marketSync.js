@@ -0,0 +1,238 @@
+/**
+ * Market sync
+ *
+ * Pulls the current sub-markets of every configured event from both venues
+ * (Opinion childMarkets by topicId, Polymarket event markets by slug),
+ * matches them by normalised name and merges the result into the market
+ * config. See MARKET_SYNC_DESIGN.md.
+ *
+ * New outcomes are named after the Polymarket sub-market. Synced outcomes
+ * and Opinion token IDs are stored in localStorage and re-applied on load;
+ * Polymarket token IDs are not - they go through the outcome mapping review
+ * (utils/outcomeMapping.js) and are only used once confirmed.
+ */
+
+import { fetchMarketByTopicId } from '../api/opinion';
+import { fetchMarketBySlug } from '../api/polymarket';
+import { MATCH_CONFIDENCE, normalizeName, scoreMatch } from './outcomeMapping';
+import { normalizeResolution } from './resolution';
+
+const STORAGE_KEY = 'arbitrage-market-sync';
+
+/**
+ * Match Opinion and Polymarket sub-markets by name
+ * Exact normalised matches win; remaining ones may match on identical
+ * thresholds (outcomeMapping scoreMatch, numeric) when the pair is
+ * unambiguous. Anything else, fuzzy or containment ('Trump' / 'Trump Jr.'),
+ * is left unmatched for review.
+ * @param {Array} opinionOutcomes - [{ name, tokenId, noTokenId }] from fetchMarketByTopicId
+ * @param {Array} polyMarkets - [{ name, yesTokenId, noTokenId }] from fetchMarketBySlug
+ * @returns {Object} { matched: [{ opinion, poly }], opinionOnly: [...], polyOnly: [...] }
+ */
+export function matchSubMarkets(opinionOutcomes, polyMarkets) {
+  const matched = [];
+  const opinionLeft = [...opinionOutcomes];
+  const polyLeft = [];
+
+  // Pass 1: exact normalised name
+  for (const poly of polyMarkets) {
+    const index = opinionLeft.findIndex(o => normalizeName(o.name) === normalizeName(poly.name));
+    if (index >= 0) {
+      matched.push({ opinion: opinionLeft.splice(index, 1)[0], poly });
+    } else {
+      polyLeft.push(poly);
+    }
+  }
+
+  // Pass 2: same thresholds (">$8m" / "Over $8 million"), only where each
+  // side has exactly one such candidate
+  const candidates = [];
+  for (const poly of polyLeft) {
+    for (const opinion of opinionLeft) {
+      const score = scoreMatch(opinion.name, poly.name);
+      if (score && score.confidence >= MATCH_CONFIDENCE.numeric) candidates.push({ opinion, poly });
+    }
+  }
+  const count = (side, item) => candidates.filter(c => c[side] === item).length;
+  const pairs = candidates.filter(c => count('opinion', c.opinion) === 1 && count('poly', c.poly) === 1);
+
+  for (const pair of pairs) {
+    matched.push(pair);
+    opinionLeft.splice(opinionLeft.indexOf(pair.opinion), 1);
+  }
+  const polyOnly = polyLeft.filter(poly => !pairs.some(pair => pair.poly === poly));
+
+  return { matched, opinionOnly: opinionLeft, polyOnly };
+}
+
+/**
+ * Sync one market against both venues
+ * @param {Object} market - Market config (needs opinion.topicId and poly.slug)
+ * @param {string} apiKey - Opinion API key
+ * @returns {Promise<Object>} { marketId, title, outcomes, tokenIds, newOutcomes, unmatched, resolution, error }
+ */
+export async function syncMarket(market, apiKey) {
+  const result = {
+    marketId: market.id,
+    marketName: market.name,
+    title: null,
+    outcomes: market.outcomes || [],
+    tokenIds: {},
+    newOutcomes: [],
+    unmatched: { opinion: [], poly: [] },
+    resolution: null,
+    error: null
+  };
+
+  const topicId = market.opinion?.topicId;
+  const slug = market.poly?.slug;
+  if (!topicId || !slug) {
+    result.error = 'Needs both an Opinion topicId and a Polymarket slug';
+    return result;
+  }
+
+  const [opinionInfo, polyInfo] = await Promise.all([
+    fetchMarketByTopicId(topicId, apiKey, { force: true }),
+    fetchMarketBySlug(slug, { force: true })
+  ]);
+
+  if (!opinionInfo?.outcomes?.length) {
+    result.error = `Opinion topic ${topicId} returned no sub-markets`;
+    return result;
+  }
+  if (!polyInfo?.markets?.length) {
+    result.error = `Polymarket event ${slug} returned no markets`;
+    return result;
+  }
+
+  result.title = polyInfo.title || null;
+  result.resolution = {
+    opinion: normalizeResolution(opinionInfo.resolution),
+    poly: normalizeResolution(polyInfo.resolution),
+    fetchedAt: new Date().toISOString()
+  };
+
+  const { matched, opinionOnly, polyOnly } = matchSubMarkets(opinionInfo.outcomes, polyInfo.markets);
+  const known = new Set(result.outcomes);
+
+  for (const { opinion, poly } of matched) {
+    // Reuse a configured name for either side before introducing a new one
+    const outcome = [poly.name, opinion.name].find(name => known.has(name)) || poly.name;
+    if (opinion.tokenId) {
+      result.tokenIds[outcome] = { yes: opinion.tokenId, no: opinion.noTokenId || null };
+    }
+    if (!known.has(outcome)) {
+      result.newOutcomes.push(outcome);
+    }
+  }
+
+  // Keep configured outcomes in order, append new ones
+  result.outcomes = [...result.outcomes, ...result.newOutcomes];
+  result.unmatched = {
+    opinion: opinionOnly.map(o => o.name),
+    poly: polyOnly.map(m => m.name)
+  };
+
+  return result;
+}
+
+/**
+ * Sync every configured market (sequentially, to stay under rate limits)
+ * @param {Array} markets - Market configs
+ * @param {string} apiKey - Opinion API key
+ * @returns {Promise<Object>} { results, timestamp }
+ */
+export async function syncMarkets(markets, apiKey) {
+  const results = [];
+
+  for (const market of markets) {
+    try {
+      results.push(await syncMarket(market, apiKey));
+    } catch (error) {
+      console.error(`Market sync failed for ${market.id}:`, error);
+      results.push({
+        marketId: market.id,
+        marketName: market.name,
+        outcomes: market.outcomes || [],
+        tokenIds: {},
+        newOutcomes: [],
+        unmatched: { opinion: [], poly: [] },
+        error: error.message || 'Sync failed'
+      });
+    }
+  }
+
+  return { results, timestamp: new Date().toISOString() };
+}
+
+/**
+ * Merge sync results into market configs (in place)
+ * Existing token IDs are only filled in, never overwritten; resolution
+ * info is replaced with the freshly fetched one.
+ * @param {Array} markets - Market configs (mutated)
+ * @param {Array} results - Results from syncMarkets
+ * @returns {number} Number of outcomes added
+ */
+export function mergeSyncResults(markets, results) {
+  let added = 0;
+
+  for (const result of results) {
+    const market = markets.find(m => m.id === result.marketId);
+    if (!market || result.error) continue;
+
+    for (const outcome of result.outcomes) {
+      if (!market.outcomes.includes(outcome)) {
+        market.outcomes.push(outcome);
+        added++;
+      }
+    }
+
+    if (market.opinion) {
+      market.opinion.tokenIds = { ...result.tokenIds, ...market.opinion.tokenIds };
+    }
+    if (result.resolution) {
+      market.resolution = result.resolution;
+    }
+  }
+
+  return added;
+}
+
+/**
+ * Load the last sync from localStorage
+ * @returns {Object|null} { results, timestamp }
+ */
+export function loadSync() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored) return JSON.parse(stored);
+  } catch (e) {
+    console.error('Failed to load market sync from localStorage:', e);
+  }
+  return null;
+}
+
+/**
+ * Save a sync to localStorage
+ */
+export function saveSync(sync) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(sync));
+  } catch (e) {
+    console.error('Failed to save market sync to localStorage:', e);
+  }
+}
+
+/**
+ * Apply the stored sync to the static market config
+ * (seeds the market registry when nothing has been saved yet)
+ * @param {Array} markets - Market configs (mutated)
+ */
+export function applyStoredSync(markets) {
+  const sync = loadSync();
+  if (sync?.results) {
+    mergeSyncResults(markets, sync.results);
+  }
+}
+
+export default { matchSubMarkets, syncMarket, syncMarkets, mergeSyncResults, loadSync, saveSync, applyStoredSync };
@@ -0,0 +1,120 @@
+/**
+ * In-memory exchange stub for order execution
+ *
+ * Matches limit orders against the current books and answers like a venue
+ * client (api/orders.js), so two-leg execution can run without the network
+ * (useExecution's 'mock' mode). Liquidity taken by earlier orders stays taken.
+ *
+ * Per-venue behaviour makes the leg-risk paths reproducible:
+ *   fillRatio - share of the matchable size filled on arrival (the rest rests until cancelled)
+ *   reject    - refuse every order
+ *   latency   - delay of every call (ms)
+ */
+
+const EPSILON = 1e-9;
+
+/**
+ * Create a mock exchange
+ * @param {Object} options
+ * @param {function} options.getBook - (venue, tokenId) => { bids, asks } or null
+ * @param {Object} [options.behaviour] - { opinion: { fillRatio, reject, latency }, poly: {...} }
+ * @returns {Object} { client(venue), orders }
+ */
+export function createMockExchange({ getBook, behaviour = {} }) {
+  const orders = new Map();
+  const taken = new Map();  // 'venue:tokenId:side:price' -> shares already filled
+  let nextId = 1;
+
+  const delay = (venue) => {
+    const ms = behaviour[venue]?.latency || 0;
+    return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+  };
+
+  const view = (order) => ({
+    id: order.id,
+    status: order.status,
+    filled: order.filled,
+    avgPrice: order.filled > 0 ? order.notional / order.filled : 0,
+    error: order.error || null
+  });
+
+  /**
+   * Fill an order against the opposite side of its book, within its limit
+   */
+  const match = (venue, order) => {
+    const book = getBook(venue, order.tokenId) || {};
+    const levels = order.side === 'BUY'
+      ? [...(book.asks || [])].sort((a, b) => a.price - b.price).filter(l => l.price <= order.price + EPSILON)
+      : [...(book.bids || [])].sort((a, b) => b.price - a.price).filter(l => l.price >= order.price - EPSILON);
+
+    const ratio = behaviour[venue]?.fillRatio ?? 1;
+    let remaining = order.size * ratio;
+
+    for (const level of levels) {
+      if (remaining <= EPSILON) break;
+      const key = `${venue}:${order.tokenId}:${order.side}:${level.price}`;
+      const available = level.size - (taken.get(key) || 0);
+      const size = Math.min(available, remaining);
+      if (size <= EPSILON) continue;
+
+      taken.set(key, (taken.get(key) || 0) + size);
+      order.filled += size;
+      order.notional += size * level.price;
+      remaining -= size;
+    }
+
+    order.status = order.filled >= order.size - EPSILON ? 'filled' : 'open';
+  };
+
+  return {
+    orders,
+
+    /**
+     * Venue client ({ submit, getOrder, cancel }, as api/orders.js)
+     */
+    client(venue) {
+      return {
+        async submit({ order }) {
+          await delay(venue);
+          const entry = {
+            id: `mock-${venue}-${nextId++}`,
+            venue,
+            tokenId: order.tokenId,
+            side: order.side,
+            price: order.price,
+            size: order.size,
+            filled: 0,
+            notional: 0,
+            status: 'open'
+          };
+          orders.set(entry.id, entry);
+
+          if (behaviour[venue]?.reject) {
+            entry.status = 'rejected';
+            entry.error = 'Rejected by mock exchange';
+          } else {
+            match(venue, entry);
+          }
+          return view(entry);
+        },
+
+        async getOrder(id) {
+          await delay(venue);
+          const entry = orders.get(id);
+          if (!entry) throw new Error(`Unknown order ${id}`);
+          return view(entry);
+        },
+
+        async cancel(id) {
+          await delay(venue);
+          const entry = orders.get(id);
+          if (!entry) throw new Error(`Unknown order ${id}`);
+          if (entry.status === 'open') entry.status = 'cancelled';
+          return view(entry);
+        }
+      };
+    }
+  };
+}
+
+export default { createMockExchange };
@@ -0,0 +1,150 @@
+/**
+ * Orderbook ladder utilities
+ *
+ * Pricing fills against ask ladders ({ price, size }, best first) and the
+ * per-fill fee rules shared by the arbitrage scanners.
+ */
+
+// Share quantities closer than this are treated as equal
+export const SHARE_EPSILON = 1e-9;
+
+/**
+ * Calculate cumulative orderbook level data (weighted average price and total size)
+ * @param {Array} asks - Array of { price, size }
+ * @param {number} levels - Number of levels to include
+ * @returns {Object} { avgPrice, totalSize, levelDetails }
+ */
+export function calcCumulativeLevel(asks, levels) {
+  if (!asks || asks.length === 0) return { avgPrice: 0, totalSize: 0, levelDetails: [] };
+
+  let totalSize = 0;
+  let totalValue = 0;
+  const levelDetails = [];
+
+  for (let i = 0; i < levels && i < asks.length; i++) {
+    const level = asks[i];
+    if (!level || !level.size) continue;
+    totalSize += level.size;
+    totalValue += level.price * level.size;
+    levelDetails.push({ price: level.price, size: level.size });
+  }
+
+  return {
+    avgPrice: totalSize > 0 ? totalValue / totalSize : 0,
+    totalSize,
+    levelDetails
+  };
+}
+
+/**
+ * Calculate Opinion fee for multiple orderbook levels
+ * Each price level is a separate fill with its own minimum fee
+ * @param {Array} levelDetails - Array of { price, size } for each level consumed
+ * @param {number} sharesToUse - Actual shares to use (may be limited by other side)
+ * @param {function} calcFee - Fee calculation function
+ * @returns {number} Total fee across all levels
+ */
+export function calcMultiLevelFee(levelDetails, sharesToUse, calcFee) {
+  if (!levelDetails || levelDetails.length === 0 || sharesToUse <= 0) return 0;
+
+  let totalFee = 0;
+  let remainingShares = sharesToUse;
+
+  for (const level of levelDetails) {
+    if (remainingShares <= 0) break;
+
+    // Use min of level size and remaining shares
+    const sharesFromThisLevel = Math.min(level.size, remainingShares);
+    if (sharesFromThisLevel <= 0) continue;
+
+    // Each level's fee has its own minimum
+    const levelFee = calcFee(level.price, sharesFromThisLevel);
+    totalFee += levelFee;
+    remainingShares -= sharesFromThisLevel;
+  }
+
+  return totalFee;
+}
+
+/**
+ * Price a buy of a given share quantity by walking an ask ladder
+ * The last level may be filled only partially
+ * @param {Array} asks - Array of { price, size }, best first
+ * @param {number} shares - Shares to buy
+ * @returns {Object} { avgPrice, totalCost, levels, levelDetails } (levelDetails = fills)
+ */
+export function calcFillCost(asks, shares) {
+  let remaining = shares;
+  let totalCost = 0;
+  const levelDetails = [];
+
+  for (const level of asks || []) {
+    // Epsilon guard: float residue must not become an extra fill with its own min fee
+    if (remaining <= SHARE_EPSILON) break;
+    if (!level || !level.size) continue;
+
+    const size = Math.min(level.size, remaining);
+    totalCost += level.price * size;
+    levelDetails.push({ price: level.price, size });
+    remaining -= size;
+  }
+
+  const filled = shares - Math.max(remaining, 0);
+
+  return {
+    avgPrice: filled > 0 ? totalCost / filled : 0,
+    totalCost,
+    levels: levelDetails.length,
+    levelDetails
+  };
+}
+
+/**
+ * Find the fill size at which a level's fee rises above its per-fill minimum
+ * Below this size the fee is flat, above it grows with size, so it's a kink in profit
+ * @param {number} price - Level price
+ * @param {number} maxSize - Level size
+ * @param {function} calcFee - Fee calculation function
+ * @returns {number|null} Fill size, or null if the fee never leaves the minimum
+ */
+export function findMinFeeKink(price, maxSize, calcFee) {
+  const minFee = calcFee(price, SHARE_EPSILON);
+  if (minFee <= 0 || calcFee(price, maxSize) <= minFee) return null;
+
+  // Binary search (fee is non-decreasing in size)
+  let lo = 0;
+  let hi = maxSize;
+  for (let i = 0; i < 40; i++) {
+    const mid = (lo + hi) / 2;
+    if (calcFee(price, mid) <= minFee) {
+      lo = mid;
+    } else {
+      hi = mid;
+    }
+  }
+  return lo;
+}
+
+/**
+ * Collect candidate share quantities along one ladder: every level boundary,
+ * plus the min-fee kink inside each level when the leg is charged a fee
+ */
+export function collectBreakpoints(asks, maxShares, calcFee) {
+  const points = [];
+  let cumulative = 0;
+
+  for (const level of asks || []) {
+    if (!level || !level.size) continue;
+
+    if (calcFee) {
+      const kink = findMinFeeKink(level.price, level.size, calcFee);
+      if (kink) points.push(cumulative + kink);
+    }
+
+    cumulative += level.size;
+    points.push(cumulative);
+    if (cumulative >= maxShares) break;
+  }
+
+  return points;
+}
@@ -0,0 +1,199 @@
+/**
+ * Limit orders for both venues' CTF exchanges
+ *
+ * Turns an opportunity's strategy into a pair plan (one BUY limit order per
+ * venue, priced from the ladder it walked) and each order into EIP-712 typed
+ * data ready for eth_signTypedData_v4. Amounts are 6-decimal integer strings
+ * (USDC and conditional tokens both have 6 decimals).
+ */
+
+import { calcFillCost, SHARE_EPSILON } from './orderbook';
+import { getConfirmedMappings } from './outcomeMapping';
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Smallest order size step (shares)
+const SIZE_STEP = 0.01;
+
+export const ORDER_SIDES = { BUY: 0, SELL: 1 };
+
+const ORDER_TYPES = {
+  EIP712Domain: [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'verifyingContract', type: 'address' }
+  ],
+  Order: [
+    { name: 'salt', type: 'uint256' },
+    { name: 'maker', type: 'address' },
+    { name: 'signer', type: 'address' },
+    { name: 'taker', type: 'address' },
+    { name: 'tokenId', type: 'uint256' },
+    { name: 'makerAmount', type: 'uint256' },
+    { name: 'takerAmount', type: 'uint256' },
+    { name: 'expiration', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'feeRateBps', type: 'uint256' },
+    { name: 'side', type: 'uint8' },
+    { name: 'signatureType', type: 'uint8' }
+  ]
+};
+
+/**
+ * Round a price to the venue's tick
+ * @param {'up'|'down'} direction - Up for buys (never below the intended price), down for sells
+ */
+export function roundToTick(price, tick, direction) {
+  const ticks = price / tick;
+  // Float guard: 0.57 / 0.01 is 56.99999999999999
+  const rounded = direction === 'up' ? Math.ceil(ticks - 1e-9) : Math.floor(ticks + 1e-9);
+  return Number((rounded * tick).toFixed(6));
+}
+
+/**
+ * Round a size down to the order size step
+ */
+export function roundSize(shares) {
+  return Number((Math.floor(shares / SIZE_STEP + 1e-9) * SIZE_STEP).toFixed(2));
+}
+
+/**
+ * Keep a limit price inside (0, 1) on the venue's tick grid
+ */
+export function clampPrice(price, tick) {
+  return Math.min(Math.max(price, tick), Number((1 - tick).toFixed(6)));
+}
+
+/**
+ * Token IDs of the two legs a direction buys
+ * @param {Object} market - Market config
+ * @param {string} outcome - Outcome name
+ * @param {'opinion-yes'|'poly-yes'} direction - Strategy direction
+ * @returns {Object} { opinion, poly } token IDs (undefined if unmapped)
+ */
+export function getLegTokens(market, outcome, direction) {
+  const opinionTokens = market.opinion?.tokenIds?.[outcome] || {};
+  const polyTokens = getConfirmedMappings(market)[outcome] || {};
+  return direction === 'opinion-yes'
+    ? { opinion: opinionTokens.yes, poly: polyTokens.no }
+    : { opinion: opinionTokens.no, poly: polyTokens.yes };
+}
+
+/**
+ * Plan both legs of an opportunity as BUY limit orders
+ * Each limit is the worst ask level the size reaches plus `slippage`; each
+ * leg also carries the price it would be unwound at (best bid less maxHedgeSlippage).
+ * @param {Object} opp - Opportunity from useArbitrage
+ * @param {Object} market - The opportunity's market config
+ * @param {Object} options
+ * @param {number} options.shares - Pair size (rounded down to 0.01)
+ * @param {Object} options.execution - config.execution
+ * @returns {Object} { key, eventId, outcome, direction, shares, legs, expectedCost }
+ */
+export function buildPairPlan(opp, market, { shares, execution }) {
+  const direction = opp.bestStrategyType;
+  const tokens = getLegTokens(market, opp.outcome, direction);
+  const size = roundSize(shares);
+  if (size <= SHARE_EPSILON) throw new Error('Nothing to execute (size rounds to 0)');
+
+  const books = direction === 'opinion-yes'
+    ? { opinion: opp.opinion, poly: opp.polyNo }
+    : { opinion: opp.opinionNo, poly: opp.poly };
+  const bookKeys = direction === 'opinion-yes'
+    ? { opinion: `${opp.eventId}-${opp.outcome}`, poly: `${opp.eventId}-${opp.outcome}-NO` }
+    : { opinion: `${opp.eventId}-${opp.outcome}-NO`, poly: `${opp.eventId}-${opp.outcome}` };
+
+  const legs = ['opinion', 'poly'].map((venue) => {
+    if (!tokens[venue]) throw new Error(`No ${venue} token for ${opp.outcome} (${direction})`);
+    const { tickSize } = execution.venues[venue];
+    const book = books[venue] || {};
+    const fill = calcFillCost(book.asks, size);
+    const worstAsk = fill.levelDetails.at(-1)?.price;
+    if (!worstAsk) throw new Error(`No ${venue} asks to buy from`);
+
+    const bestBid = book.bids?.[0]?.price || 0;
+    return {
+      venue,
+      tokenId: tokens[venue],
+      bookKey: bookKeys[venue],
+      negRisk: !!market[venue]?.negRisk,
+      side: 'BUY',
+      size,
+      price: clampPrice(roundToTick(worstAsk + execution.slippage, tickSize, 'up'), tickSize),
+      expectedAvgPrice: fill.avgPrice,
+      unwindPrice: clampPrice(roundToTick(bestBid - execution.maxHedgeSlippage, tickSize, 'down'), tickSize)
+    };
+  });
+
+  return {
+    key: `${opp.eventId}-${opp.outcome}`,
+    eventId: opp.eventId,
+    outcome: opp.outcome,
+    direction,
+    shares: size,
+    legs,
+    expectedCost: legs.reduce((sum, leg) => sum + leg.expectedAvgPrice * size, 0)
+  };
+}
+
+/**
+ * Maker / taker amounts of a limit order (6 decimals)
+ * A BUY gives USDC for shares, a SELL gives shares for USDC.
+ */
+export function orderAmounts(side, price, size) {
+  const shares = Math.round(size * 1e6);
+  const usdc = Math.round(price * size * 1e6);
+  return side === 'BUY'
+    ? { makerAmount: String(usdc), takerAmount: String(shares) }
+    : { makerAmount: String(shares), takerAmount: String(usdc) };
+}
+
+/**
+ * Random 48-bit order salt (unique per order)
+ */
+function randomSalt() {
+  const bytes = new Uint32Array(2);
+  crypto.getRandomValues(bytes);
+  return String(bytes[0] * 65536 + (bytes[1] & 0xffff));
+}
+
+/**
+ * EIP-712 typed data of an order
+ * @param {Object} order - { venue, tokenId, side, price, size, negRisk }
+ * @param {Object} options
+ * @param {string} options.maker - Funding address (the venue wallet)
+ * @param {Object} options.venue - config.execution.venues[venue]
+ * @param {number} options.expiration - Unix seconds (0 = good till cancelled)
+ * @returns {Object} { domain, types, primaryType, message }
+ */
+export function buildOrderTypedData(order, { maker, venue, expiration = 0 }) {
+  const verifyingContract = order.negRisk ? venue.negRiskExchange : venue.exchange;
+  if (!verifyingContract) throw new Error(`No ${order.venue} exchange contract configured (config.execution.venues)`);
+
+  return {
+    domain: {
+      name: venue.domainName,
+      version: '1',
+      chainId: venue.chainId,
+      verifyingContract
+    },
+    types: ORDER_TYPES,
+    primaryType: 'Order',
+    message: {
+      salt: randomSalt(),
+      maker,
+      signer: maker,
+      taker: ZERO_ADDRESS,
+      tokenId: String(order.tokenId),
+      ...orderAmounts(order.side, order.price, order.size),
+      expiration: String(expiration),
+      nonce: '0',
+      feeRateBps: '0',
+      side: ORDER_SIDES[order.side],
+      signatureType: 0
+    }
+  };
+}
+
+export default { ORDER_SIDES, roundToTick, roundSize, clampPrice, getLegTokens, buildPairPlan, orderAmounts, buildOrderTypedData };
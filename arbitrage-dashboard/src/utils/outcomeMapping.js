@@ -0,0 +1,254 @@
+/**
+ * Cross-venue outcome mapping
+ *
+ * Each outcome is mapped to a Polymarket sub-market's YES/NO token IDs.
+ * The matcher only proposes mappings, each with a confidence score:
+ * - exact (1.00): identical names
+ * - normalised (0.95): identical after lowercasing / stripping punctuation
+ * - numeric (0.85): same thresholds, e.g. ">$8m" and "Over $8 million"
+ * - fuzzy (<= 0.80): similar names (character bigram overlap)
+ *
+ * A proposal is only used (polling, streams, signals, position matching)
+ * once it has been confirmed, which stores it in market.poly.tokenIds:
+ *   { [outcome]: { yes, no, name, confidence, method, confirmedAt } }
+ */
+
+// Confidence per match method (fuzzy scales with similarity up to this)
+export const MATCH_CONFIDENCE = {
+  exact: 1,
+  normalised: 0.95,
+  numeric: 0.85,
+  fuzzy: 0.8
+};
+
+// Proposals below this confidence are dropped
+export const MIN_CONFIDENCE = 0.5;
+
+// Number suffixes (">$8m", "8 million", "1.5k")
+const UNIT_MULTIPLIERS = {
+  k: 1e3, thousand: 1e3,
+  m: 1e6, mil: 1e6, million: 1e6,
+  b: 1e9, bn: 1e9, billion: 1e9
+};
+
+/**
+ * Normalise a sub-market name for matching
+ * (lowercase, special characters removed, whitespace collapsed)
+ */
+export function normalizeName(name) {
+  return (name || '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9\s]/g, '')
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Extract numeric values (with unit multipliers applied) from a name
+ * e.g. ">$8m" -> [8000000], "Over $8 million" -> [8000000]
+ */
+export function extractNumbers(name) {
+  const values = [];
+  const pattern = /(\d+(?:[.,]\d+)*)\s*(thousand|million|billion|mil|bn|k|m|b)?\b/gi;
+
+  for (const [, digits, unit] of (name || '').matchAll(pattern)) {
+    const value = parseFloat(digits.replace(/,/g, ''));
+    if (Number.isNaN(value)) continue;
+    values.push(value * (UNIT_MULTIPLIERS[unit?.toLowerCase()] || 1));
+  }
+
+  return values;
+}
+
+/**
+ * Threshold direction of a name: 'above', 'below' or null
+ */
+function direction(name) {
+  const text = (name || '').toLowerCase();
+  if (/>|\b(over|above|more than|at least|higher|greater)\b/.test(text)) return 'above';
+  if (/<|\b(under|below|less than|at most|lower|fewer)\b/.test(text)) return 'below';
+  return null;
+}
+
+/**
+ * Whether a name reads as a threshold (currency, percent, comparison or unit)
+ */
+function isThreshold(name) {
+  return /[$%<>]|\d\s*(k|m|b|bn|mil|thousand|million|billion)\b/i.test(name) || direction(name) !== null;
+}
+
+/**
+ * Character bigrams of a normalised name (spaces removed)
+ */
+function bigrams(text) {
+  const compact = text.replace(/\s/g, '');
+  const grams = [];
+  for (let i = 0; i < compact.length - 1; i++) {
+    grams.push(compact.slice(i, i + 2));
+  }
+  return grams;
+}
+
+/**
+ * Dice coefficient between two normalised names (0-1)
+ */
+function similarity(a, b) {
+  const gramsA = bigrams(a);
+  const gramsB = bigrams(b);
+  if (gramsA.length === 0 || gramsB.length === 0) return 0;
+
+  const counts = new Map();
+  for (const gram of gramsA) counts.set(gram, (counts.get(gram) || 0) + 1);
+
+  let overlap = 0;
+  for (const gram of gramsB) {
+    if (counts.get(gram) > 0) {
+      overlap++;
+      counts.set(gram, counts.get(gram) - 1);
+    }
+  }
+
+  return (2 * overlap) / (gramsA.length + gramsB.length);
+}
+
+/**
+ * Score how well an outcome name matches a Polymarket sub-market name
+ * @param {string} outcome - Outcome name (market.outcomes)
+ * @param {string} polyName - Polymarket sub-market name (groupItemTitle)
+ * @returns {Object|null} { confidence, method } or null when they don't match
+ */
+export function scoreMatch(outcome, polyName) {
+  if (!outcome || !polyName) return null;
+  if (outcome === polyName) {
+    return { confidence: MATCH_CONFIDENCE.exact, method: 'exact' };
+  }
+
+  const a = normalizeName(outcome);
+  const b = normalizeName(polyName);
+  if (a && a === b) {
+    return { confidence: MATCH_CONFIDENCE.normalised, method: 'normalised' };
+  }
+
+  // Threshold outcomes: same numbers and no conflicting direction
+  // (plain numbers such as years fall through to fuzzy matching)
+  const numbersA = extractNumbers(outcome);
+  const numbersB = extractNumbers(polyName);
+  if (numbersA.length > 0 && numbersB.length > 0 && (isThreshold(outcome) || isThreshold(polyName))) {
+    const sameNumbers = numbersA.length === numbersB.length &&
+      numbersA.every((value, i) => value === numbersB[i]);
+    const dirA = direction(outcome);
+    const dirB = direction(polyName);
+    if (!sameNumbers || (dirA && dirB && dirA !== dirB)) return null;
+    return { confidence: MATCH_CONFIDENCE.numeric, method: 'numeric' };
+  }
+
+  // Fuzzy: bigram similarity, containment counts as fairly similar
+  let score = similarity(a, b);
+  if (a && b && (a.includes(b) || b.includes(a))) {
+    score = Math.max(score, 0.8);
+  }
+
+  const confidence = Math.round(score * MATCH_CONFIDENCE.fuzzy * 100) / 100;
+  if (confidence < MIN_CONFIDENCE) return null;
+  return { confidence, method: 'fuzzy' };
+}
+
+/**
+ * Propose Polymarket mappings for a market's outcomes
+ * Pairs are assigned best-first, so each sub-market maps to one outcome.
+ * @param {Array<string>} outcomes - Outcome names to map
+ * @param {Array} polyMarkets - [{ name, yesTokenId, noTokenId }] from fetchMarketBySlug
+ * @returns {Object} { proposals: [{ outcome, name, yes, no, confidence, method }], unmatched: [outcome] }
+ */
+export function proposeMappings(outcomes, polyMarkets) {
+  const candidates = [];
+  for (const outcome of outcomes) {
+    for (const poly of polyMarkets) {
+      const score = scoreMatch(outcome, poly.name);
+      if (score) candidates.push({ outcome, poly, ...score });
+    }
+  }
+
+  // Highest confidence first
+  candidates.sort((a, b) => b.confidence - a.confidence);
+
+  const proposals = [];
+  const usedOutcomes = new Set();
+  const usedPoly = new Set();
+  for (const { outcome, poly, confidence, method } of candidates) {
+    if (usedOutcomes.has(outcome) || usedPoly.has(poly)) continue;
+    usedOutcomes.add(outcome);
+    usedPoly.add(poly);
+    proposals.push({
+      outcome,
+      name: poly.name,
+      yes: poly.yesTokenId || null,
+      no: poly.noTokenId || null,
+      confidence,
+      method
+    });
+  }
+
+  // Keep the market's outcome order
+  proposals.sort((a, b) => outcomes.indexOf(a.outcome) - outcomes.indexOf(b.outcome));
+
+  return {
+    proposals,
+    unmatched: outcomes.filter(o => !usedOutcomes.has(o))
+  };
+}
+
+/**
+ * Confirmed Polymarket token IDs of a market, limited to its outcomes
+ * @param {Object} market - Market config
+ * @returns {Object} { [outcome]: { yes, no, ... } }
+ */
+export function getConfirmedMappings(market) {
+  const mappings = {};
+  for (const outcome of market?.outcomes || []) {
+    const mapping = market.poly?.tokenIds?.[outcome];
+    if (mapping?.yes || mapping?.no) {
+      mappings[outcome] = mapping;
+    }
+  }
+  return mappings;
+}
+
+/**
+ * Store a proposal as a confirmed mapping (returns an updated market)
+ * @param {Object} market - Market config
+ * @param {Object} proposal - From proposeMappings
+ */
+export function confirmMapping(market, { outcome, name, yes, no, confidence, method }) {
+  return {
+    ...market,
+    poly: {
+      ...market.poly,
+      tokenIds: {
+        ...market.poly?.tokenIds,
+        [outcome]: { yes, no, name, confidence, method, confirmedAt: new Date().toISOString() }
+      }
+    }
+  };
+}
+
+/**
+ * Drop an outcome's confirmed mapping (returns an updated market)
+ */
+export function removeMapping(market, outcome) {
+  const tokenIds = { ...market.poly?.tokenIds };
+  delete tokenIds[outcome];
+  return { ...market, poly: { ...market.poly, tokenIds } };
+}
+
+export default {
+  MATCH_CONFIDENCE,
+  MIN_CONFIDENCE,
+  normalizeName,
+  extractNumbers,
+  scoreMatch,
+  proposeMappings,
+  getConfirmedMappings,
+  confirmMapping,
+  removeMapping
+};
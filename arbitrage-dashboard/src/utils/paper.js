@@ -0,0 +1,171 @@
+/**
+ * Paper-trading fills and the virtual portfolio
+ *
+ * Entries walk the opportunity's current ask ladders (each level is a fill
+ * with its own fee); holdings are kept in the shape of usePositions' matched
+ * positions, so calcExitProfit and MarketTable treat them like real ones.
+ */
+
+import { calcFillCost, SHARE_EPSILON } from './orderbook';
+import { calcOpinionTradeFee, calcTradeFee } from './fees';
+import { calcExitProfit } from './exit';
+
+/**
+ * Simulate a market buy on one venue
+ * @param {string} venue - 'opinion' | 'poly'
+ * @param {Array} asks - Ask ladder, best first
+ * @param {number} shares - Shares to buy (capped by depth)
+ * @param {string} marketId - Market ID (for its fee schedule)
+ * @returns {Object} { shares, avgPrice, cost, fee }
+ */
+export function simulateBuy(venue, asks, shares, marketId) {
+  const fill = calcFillCost(asks, shares);
+  const filled = fill.levelDetails.reduce((sum, level) => sum + level.size, 0);
+  const fee = fill.levelDetails.reduce((sum, level) => sum + (venue === 'opinion'
+    ? calcOpinionTradeFee(level.price, level.size, marketId)
+    : calcTradeFee(venue, level.price, level.size, { marketId })
+  ).actualFee, 0);
+
+  return { shares: filled, avgPrice: fill.avgPrice, cost: fill.totalCost, fee };
+}
+
+/**
+ * Simulate entering an opportunity's best pair
+ * Both legs get the same share count: the smaller of the request and either ladder's depth.
+ * @param {Object} opp - Opportunity from useArbitrage (carries its books)
+ * @param {number} shares - Requested shares
+ * @returns {Object|null} { direction, shares, opinion, poly, cost } (legs from simulateBuy), or null if nothing fills
+ */
+export function simulateEntry(opp, shares) {
+  const isBuyOpinionYes = opp.strategyDetails?.isBuyOpinionYes ?? true;
+  const opinionAsks = (isBuyOpinionYes ? opp.opinion : opp.opinionNo)?.asks || [];
+  const polyAsks = (isBuyOpinionYes ? opp.polyNo : opp.poly)?.asks || [];
+
+  const depth = (asks) => asks.reduce((sum, level) => sum + (level.size || 0), 0);
+  const size = Math.min(shares, depth(opinionAsks), depth(polyAsks));
+  if (!(size > SHARE_EPSILON)) return null;
+
+  const opinion = simulateBuy('opinion', opinionAsks, size, opp.eventId);
+  const poly = simulateBuy('poly', polyAsks, size, opp.eventId);
+
+  return {
+    direction: isBuyOpinionYes ? 'opinion-yes' : 'poly-yes',
+    shares: size,
+    opinion,
+    poly,
+    cost: opinion.cost + opinion.fee + poly.cost + poly.fee
+  };
+}
+
+/**
+ * Add a simulated buy to a holding (weighted average price, fees accumulated)
+ */
+function addToLeg(leg, fill) {
+  if (!leg) return { shares: fill.shares, avgPrice: fill.avgPrice, fee: fill.fee };
+  const shares = leg.shares + fill.shares;
+  return {
+    shares,
+    avgPrice: (leg.avgPrice * leg.shares + fill.avgPrice * fill.shares) / shares,
+    fee: leg.fee + fill.fee
+  };
+}
+
+/**
+ * Book a simulated entry into the portfolio's positions
+ * @param {Object} positions - key ('eventId-outcome') -> simulated position
+ * @param {Object} opp - Opportunity the entry was taken from
+ * @param {Object} entry - From simulateEntry
+ * @param {number} at - Entry time
+ * @returns {Object} New positions
+ */
+export function addEntry(positions, opp, entry, at) {
+  const key = `${opp.eventId}-${opp.outcome}`;
+  const prev = positions[key] || {
+    marketId: opp.eventId,
+    marketName: opp.eventName,
+    outcome: opp.outcome,
+    opinion: { yes: null, no: null },
+    poly: { yes: null, no: null },
+    simulated: true,
+    openedAt: at
+  };
+  const opinionSide = entry.direction === 'opinion-yes' ? 'yes' : 'no';
+  const polySide = entry.direction === 'opinion-yes' ? 'no' : 'yes';
+
+  return {
+    ...positions,
+    [key]: {
+      ...prev,
+      opinion: { ...prev.opinion, [opinionSide]: addToLeg(prev.opinion[opinionSide], entry.opinion) },
+      poly: { ...prev.poly, [polySide]: addToLeg(prev.poly[polySide], entry.poly) }
+    }
+  };
+}
+
+/**
+ * Remove sold shares from a holding (its fees go with them pro rata)
+ * @returns {Object} { leg, cost } - Remaining holding (null once empty) and the cost basis sold
+ */
+function sellFromLeg(leg, shares) {
+  const fraction = Math.min(shares / leg.shares, 1);
+  const cost = (leg.avgPrice * leg.shares + leg.fee) * fraction;
+  const remaining = leg.shares - shares;
+  return {
+    leg: remaining > SHARE_EPSILON ? { ...leg, shares: remaining, fee: leg.fee * (1 - fraction) } : null,
+    cost
+  };
+}
+
+/**
+ * Simulate selling a position's best pair into the bids (the usePositions exit,
+ * at its best exit quantity - the rest stays held)
+ * @param {Object} positions - key -> simulated position
+ * @param {string} key - Position key
+ * @param {Object} prices - { opinion: Map, poly: Map } from usePolling
+ * @param {number} exitThreshold - Minimum exit price sum (only reported, a manual close always sells)
+ * @param {number} at - Exit time
+ * @returns {Object|null} { positions, trade } or null if the pair has no prices
+ */
+export function closePosition(positions, key, prices, exitThreshold, at) {
+  const position = positions[key];
+  if (!position) return null;
+  const exit = calcExitProfit(position, prices, exitThreshold);
+  if (!exit) return null;
+
+  const opinionSide = exit.strategy === 'opinion-yes' ? 'yes' : 'no';
+  const polySide = exit.strategy === 'opinion-yes' ? 'no' : 'yes';
+  if (exit.exitShares <= SHARE_EPSILON) return null;
+  const opinionSold = sellFromLeg(position.opinion[opinionSide], exit.exitShares);
+  const polySold = sellFromLeg(position.poly[polySide], exit.exitShares);
+
+  const rest = {
+    ...position,
+    opinion: { ...position.opinion, [opinionSide]: opinionSold.leg },
+    poly: { ...position.poly, [polySide]: polySold.leg }
+  };
+  const next = { ...positions };
+  if (rest.opinion.yes || rest.opinion.no || rest.poly.yes || rest.poly.no) {
+    next[key] = rest;
+  } else {
+    delete next[key];
+  }
+
+  const cost = opinionSold.cost + polySold.cost;
+  return {
+    positions: next,
+    trade: {
+      key,
+      marketName: position.marketName,
+      outcome: position.outcome,
+      strategy: exit.strategy,
+      shares: exit.exitShares,
+      cost,
+      proceeds: exit.exitValue,
+      pnl: exit.exitValue - cost,
+      openedAt: position.openedAt,
+      closedAt: at
+    }
+  };
+}
+
+export default { simulateBuy, simulateEntry, addEntry, closePosition };
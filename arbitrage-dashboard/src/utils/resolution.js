@@ -0,0 +1,152 @@
+/**
+ * Resolution criteria comparison
+ *
+ * A cross-venue pair is only risk-free if both markets resolve on the same
+ * criteria, source and deadline. Each registry market stores both venues'
+ * resolution info (filled in by market sync / useResolutionCheck):
+ *   resolution: { opinion: { text, endDate, source }, poly: { ... }, fetchedAt }
+ *
+ * Divergence levels:
+ * - risk: deadlines differ by more than the tolerance
+ * - warn: criteria text or resolution source differ
+ * - unknown: either venue is missing the data needed to compare
+ * - ok: nothing to flag
+ */
+
+// Words ignored when comparing criteria text
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'by', 'for', 'if', 'in', 'is',
+  'it', 'market', 'of', 'on', 'or', 'resolve', 'resolves', 'the', 'this', 'to', 'will', 'with'
+]);
+
+/**
+ * Convert a date-ish value to an ISO timestamp
+ * Accepts ISO strings and unix timestamps in seconds or milliseconds
+ */
+function toIsoTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const numeric = typeof value === 'number' || /^\d+$/.test(value) ? Number(value) : null;
+  const date = numeric !== null
+    ? new Date(numeric < 1e12 ? numeric * 1000 : numeric)
+    : new Date(value);
+
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Normalise one venue's resolution info
+ * @param {Object} raw - { text, endDate, source } as returned by an adapter
+ * @returns {Object} { text, endDate (ISO), source }
+ */
+export function normalizeResolution(raw) {
+  const asText = (value) => (typeof value === 'string' && value.trim()) || null;
+  return {
+    text: asText(raw?.text),
+    endDate: toIsoTime(raw?.endDate),
+    source: asText(raw?.source)
+  };
+}
+
+/**
+ * Significant words of a criteria text
+ */
+function criteriaWords(text) {
+  return new Set(
+    (text || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+  );
+}
+
+/**
+ * Word overlap between two criteria texts (Jaccard, 0-1)
+ */
+export function criteriaSimilarity(a, b) {
+  const wordsA = criteriaWords(a);
+  const wordsB = criteriaWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared++;
+  }
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Hostnames mentioned in a resolution source (URLs or bare domains)
+ */
+function sourceHosts(source) {
+  const hosts = new Set();
+  for (const [, host] of (source || '').toLowerCase().matchAll(/(?:https?:\/\/)?(?:www\.)?([a-z0-9-]+(?:\.[a-z0-9-]+)+)/g)) {
+    hosts.add(host);
+  }
+  return hosts;
+}
+
+/**
+ * Compare the two venues' resolution info of a paired market
+ * @param {Object} resolution - market.resolution ({ opinion, poly })
+ * @param {Object} settings - { resolutionDeadlineTolerance (hours), minCriteriaSimilarity }
+ * @returns {Object} { level: 'ok'|'warn'|'risk'|'unknown', reasons: Array<string>, deadlineGapHours, similarity }
+ */
+export function compareResolution(resolution, settings) {
+  const opinion = resolution?.opinion || {};
+  const poly = resolution?.poly || {};
+  const reasons = [];
+  let level = 'ok';
+
+  const raise = (next, reason) => {
+    const rank = { ok: 0, unknown: 1, warn: 2, risk: 3 };
+    if (rank[next] > rank[level]) level = next;
+    reasons.push(reason);
+  };
+
+  // Deadline
+  let deadlineGapHours = null;
+  if (opinion.endDate && poly.endDate) {
+    deadlineGapHours = Math.abs(new Date(opinion.endDate) - new Date(poly.endDate)) / 3_600_000;
+    if (deadlineGapHours > settings.resolutionDeadlineTolerance) {
+      raise('risk', `Deadlines differ by ${formatGap(deadlineGapHours)} (Opinion ${opinion.endDate.slice(0, 10)}, Poly ${poly.endDate.slice(0, 10)})`);
+    }
+  } else {
+    raise('unknown', `No end date from ${!opinion.endDate ? 'Opinion' : 'Polymarket'}`);
+  }
+
+  // Criteria text
+  let similarity = null;
+  if (opinion.text && poly.text) {
+    similarity = criteriaSimilarity(opinion.text, poly.text);
+    if (similarity < settings.minCriteriaSimilarity) {
+      raise('warn', `Resolution criteria differ (${(similarity * 100).toFixed(0)}% word overlap)`);
+    }
+  } else {
+    raise('unknown', `No resolution criteria from ${!opinion.text ? 'Opinion' : 'Polymarket'}`);
+  }
+
+  // Source (only when both venues name one)
+  if (opinion.source && poly.source) {
+    const hostsA = sourceHosts(opinion.source);
+    const hostsB = sourceHosts(poly.source);
+    const differs = hostsA.size > 0 && hostsB.size > 0
+      ? ![...hostsA].some(host => hostsB.has(host))
+      : opinion.source.toLowerCase() !== poly.source.toLowerCase();
+    if (differs) {
+      raise('warn', `Resolution sources differ (Opinion: ${opinion.source}, Poly: ${poly.source})`);
+    }
+  }
+
+  return { level, reasons, deadlineGapHours, similarity };
+}
+
+/**
+ * Format a deadline gap (hours or days)
+ */
+function formatGap(hours) {
+  return hours < 48 ? `${hours.toFixed(0)}h` : `${(hours / 24).toFixed(0)}d`;
+}
+
+export default { normalizeResolution, criteriaSimilarity, compareResolution };
@@ -0,0 +1,138 @@
+/**
+ * Position rolls: swapping a held leg to the other venue
+ *
+ * A held leg (say Poly NO) can be sold into its bids and the same side
+ * bought on the other venue (Opinion NO) in the same share count. Every
+ * settlement scenario pays exactly what it did before, so whatever the sale
+ * brings in above the purchase, fees included, is locked-in profit - it
+ * raises the guaranteed payout of the position. Swapping both legs of a pair
+ * rotates it into the opposite pair (Opinion YES + Poly NO -> Poly YES +
+ * Opinion NO); each leg's swap is priced on its own.
+ *
+ * Swaps are sized by walking both ladders (sell bids, buy asks) with
+ * per-fill fees; the gain only changes slope at level boundaries and
+ * min-fee kinks, so those are the candidate sizes.
+ */
+
+import {
+  SHARE_EPSILON,
+  calcCumulativeLevel,
+  calcMultiLevelFee,
+  calcFillCost,
+  collectBreakpoints
+} from './orderbook';
+import { getVenueFees } from './fees';
+
+const VENUES = ['opinion', 'poly'];
+
+/**
+ * Price swapping `shares` of a leg: sell into `bids`, buy the same count off `asks`
+ */
+function evaluateSwap(bids, asks, shares, fees) {
+  const sale = calcFillCost(bids, shares);
+  const purchase = calcFillCost(asks, shares);
+  const sellFee = fees.sell ? calcMultiLevelFee(sale.levelDetails, shares, fees.sell) : 0;
+  const buyFee = fees.buy ? calcMultiLevelFee(purchase.levelDetails, shares, fees.buy) : 0;
+
+  return {
+    shares,
+    sellAvgPrice: sale.avgPrice,
+    buyAvgPrice: purchase.avgPrice,
+    sellLimit: sale.levelDetails[sale.levelDetails.length - 1]?.price || 0,
+    buyLimit: purchase.levelDetails[purchase.levelDetails.length - 1]?.price || 0,
+    proceeds: sale.totalCost,
+    cost: purchase.totalCost,
+    fee: sellFee + buyFee,
+    gain: sale.totalCost - purchase.totalCost - sellFee - buyFee
+  };
+}
+
+/**
+ * Most profitable swap of one held leg to the other venue
+ * @param {Object} entry - Matched position (usePositions)
+ * @param {string} venue - Venue the leg is held on
+ * @param {string} side - 'yes' | 'no'
+ * @param {Object} prices - { opinion: Map, poly: Map }
+ * @param {Object} venueFees - { opinion, poly } per-fill fee functions
+ * @returns {Object|null} Best swap, or null if no size gains anything
+ */
+function findBestSwap(entry, venue, side, prices, venueFees) {
+  const held = entry[venue]?.[side]?.shares || 0;
+  if (held <= SHARE_EPSILON) return null;
+
+  const target = venue === 'opinion' ? 'poly' : 'opinion';
+  const key = `${entry.marketId}-${entry.outcome}${side === 'no' ? '-NO' : ''}`;
+  const bids = prices[venue]?.get(key)?.bids || [];
+  const asks = prices[target]?.get(key)?.asks || [];
+  const fees = { sell: venueFees[venue], buy: venueFees[target] };
+
+  // Quick reject: the best bid must beat the best ask before fees
+  if (!bids[0] || !asks[0] || bids[0].price <= asks[0].price) return null;
+
+  const maxShares = Math.min(
+    held,
+    calcCumulativeLevel(bids, bids.length).totalSize,
+    calcCumulativeLevel(asks, asks.length).totalSize
+  );
+  if (maxShares <= SHARE_EPSILON) return null;
+
+  const candidates = [
+    ...collectBreakpoints(bids, maxShares, fees.sell),
+    ...collectBreakpoints(asks, maxShares, fees.buy),
+    maxShares
+  ].filter(q => q > SHARE_EPSILON && q <= maxShares + SHARE_EPSILON);
+
+  let best = null;
+  for (const shares of candidates) {
+    const swap = evaluateSwap(bids, asks, shares, fees);
+    if (!best || swap.gain > best.gain) best = swap;
+  }
+  if (!best || best.gain <= 0) return null;
+
+  return {
+    marketId: entry.marketId,
+    marketName: entry.marketName,
+    outcome: entry.outcome,
+    side,
+    from: venue,
+    to: target,
+    heldShares: held,
+    ...best,
+    gainPerShare: best.gain / best.shares,
+    // Both sides of the outcome on one venue if only this leg swaps (no cross-venue resolution risk)
+    sameVenue: (entry[target]?.[side === 'yes' ? 'no' : 'yes']?.shares || 0) > SHARE_EPSILON
+  };
+}
+
+/**
+ * Leg swaps that raise the guaranteed payout of held positions
+ * @param {Map} matchedPositions - From usePositions (key 'marketId-outcome')
+ * @param {Object} prices - { opinion: Map, poly: Map } from usePolling
+ * @param {number} [minGain] - Smallest locked-in gain to recommend ($, config.settings.minRollGain)
+ * @returns {Array} Swaps, best first: { key, marketId, outcome, side, from, to, shares,
+ *   sellAvgPrice, buyAvgPrice, sellLimit, buyLimit, proceeds, cost, fee, gain, gainPerShare,
+ *   sameVenue, rotation } - rotation is set when the outcome's pair swaps both legs
+ */
+export function findRolls(matchedPositions, prices, minGain = 0) {
+  const rolls = [];
+
+  for (const [key, entry] of matchedPositions || []) {
+    const venueFees = getVenueFees(entry.marketId);
+    const swaps = [];
+
+    for (const venue of VENUES) {
+      for (const side of ['yes', 'no']) {
+        const swap = findBestSwap(entry, venue, side, prices, venueFees);
+        if (swap && swap.gain >= minGain) swaps.push({ key, ...swap });
+      }
+    }
+
+    // Opposite legs of a pair both moving = rotating the pair
+    const rotation = swaps.length === 2 && swaps[0].from !== swaps[1].from && swaps[0].side !== swaps[1].side;
+    rolls.push(...swaps.map(swap => ({ ...swap, rotation })));
+  }
+
+  return rolls.sort((a, b) => b.gain - a.gain);
+}
+
+export default { findRolls };
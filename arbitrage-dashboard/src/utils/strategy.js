@@ -0,0 +1,93 @@
+/**
+ * Two-leg arbitrage sizing
+ *
+ * Buying YES on one venue and NO on the other pays $1 per share pair at
+ * resolution; these price that pair against both full ask ladders.
+ * Shared by useArbitrage and the serverless scanner (api/scan.js).
+ */
+
+import {
+  SHARE_EPSILON,
+  calcCumulativeLevel,
+  calcMultiLevelFee,
+  calcFillCost,
+  collectBreakpoints
+} from './orderbook.js';
+
+/**
+ * Evaluate buying the same share quantity on both ladders
+ * @param {Object} fees - { opinion, poly } per-fill fee functions (null = free)
+ */
+export function evaluateSize(opinionAsks, polyAsks, shares, fees) {
+  const opFill = calcFillCost(opinionAsks, shares);
+  const polyFill = calcFillCost(polyAsks, shares);
+
+  const totalCost = opFill.totalCost + polyFill.totalCost;
+  const costPerShare = totalCost / shares;
+
+  // Each fill (price level) has its own minimum fee
+  const opinionFee = fees.opinion ? calcMultiLevelFee(opFill.levelDetails, shares, fees.opinion) : 0;
+  const polyFee = fees.poly ? calcMultiLevelFee(polyFill.levelDetails, shares, fees.poly) : 0;
+  const fee = opinionFee + polyFee;
+
+  // Profit = payout (1 per share) - cost - fee
+  const profit = shares - totalCost - fee;
+  const profitPct = totalCost > 0 ? profit / totalCost : -999;
+
+  return {
+    opinionLevels: opFill.levels,
+    polyLevels: polyFill.levels,
+    opinionAvgPrice: opFill.avgPrice,
+    polyAvgPrice: polyFill.avgPrice,
+    shares,
+    costPerShare,
+    totalCost,
+    fee,
+    opinionFee,
+    polyFee,
+    profit,
+    profitPct
+  };
+}
+
+/**
+ * Find the best arbitrage size by walking both full ask ladders
+ *
+ * Profit is piecewise linear in share count between level boundaries and
+ * min-fee kinks (with a jump down each time a new charged level adds its
+ * minimum fee), so both absolute profit and profit % peak at one of those
+ * breakpoints. Every breakpoint is evaluated and ranked.
+ *
+ * @param {Array} opinionAsks - Opinion ask ladder
+ * @param {Array} polyAsks - Polymarket ask ladder
+ * @param {Object} fees - { opinion, poly } per-fill fee functions from getVenueFees
+ * @param {'profitPct'|'profit'} objective - What the best size maximises
+ * @returns {Object|null} Best strategy with `points` (all sizes ranked by objective) or null
+ */
+export function findBestStrategy(opinionAsks, polyAsks, fees, objective = 'profitPct') {
+  const opTotal = calcCumulativeLevel(opinionAsks, opinionAsks?.length || 0).totalSize;
+  const polyTotal = calcCumulativeLevel(polyAsks, polyAsks?.length || 0).totalSize;
+
+  // Skip if no data
+  if (opTotal <= 0 || polyTotal <= 0) return null;
+
+  // Available shares = min of both sides
+  const maxShares = Math.min(opTotal, polyTotal);
+
+  const candidates = [
+    ...collectBreakpoints(opinionAsks, maxShares, fees.opinion),
+    ...collectBreakpoints(polyAsks, maxShares, fees.poly),
+    maxShares
+  ]
+    .filter(q => q > SHARE_EPSILON && q <= maxShares)
+    .sort((a, b) => a - b)
+    .filter((q, i, arr) => i === 0 || q - arr[i - 1] > SHARE_EPSILON);
+
+  const points = candidates
+    .map(shares => evaluateSize(opinionAsks, polyAsks, shares, fees))
+    .sort((a, b) => b[objective] - a[objective] || b.profit - a.profit);
+
+  return { ...points[0], objective, points };
+}
+
+export default { evaluateSize, findBestStrategy };